@@ -1,6 +1,69 @@
 import { nodeResolve } from '@rollup/plugin-node-resolve';
 import terser from '@rollup/plugin-terser';
 
+// Tool catalogs exported by each build, keyed by output file
+const toolCatalogs = new Map();
+const BUILD_COUNT = 4;
+
+/**
+ * Load a generated bundle and return the tool catalog it exports
+ * @param {string} code - Generated bundle code
+ * @param {string} format - Rollup output format
+ * @returns {Promise<Array<Object>>} Tool definitions from getToolsForLLM()
+ */
+async function loadToolCatalog(code, format) {
+  let MapboxMapTools;
+
+  if (format === 'es') {
+    const moduleUrl = `data:text/javascript;base64,${Buffer.from(code).toString('base64')}`;
+    ({ MapboxMapTools } = await import(moduleUrl));
+  } else {
+    // UMD and CommonJS builds take the CommonJS branch with a stubbed mapbox-gl
+    const module = { exports: {} };
+    new Function('module', 'exports', 'require', code)(module, module.exports, () => ({}));
+    MapboxMapTools = module.exports;
+  }
+
+  // The catalog does not depend on the map, so any method call on it is a no-op
+  const stubMap = new Proxy({}, { get: () => () => undefined });
+  return new MapboxMapTools(stubMap).getToolsForLLM();
+}
+
+/**
+ * Fail the build when the builds export different tool catalogs
+ */
+function toolCatalogCheck() {
+  return {
+    name: 'tool-catalog-check',
+    async generateBundle(outputOptions, bundle) {
+      const entry = Object.values(bundle).find(chunk => chunk.type === 'chunk' && chunk.isEntry);
+      toolCatalogs.set(outputOptions.file, await loadToolCatalog(entry.code, outputOptions.format));
+
+      if (toolCatalogs.size < BUILD_COUNT) {
+        return;
+      }
+
+      const [[referenceFile, referenceTools], ...others] = toolCatalogs;
+      const referenceNames = referenceTools.map(tool => tool.name);
+
+      others.forEach(([file, tools]) => {
+        if (JSON.stringify(tools) === JSON.stringify(referenceTools)) {
+          return;
+        }
+        const names = tools.map(tool => tool.name);
+        const missing = referenceNames.filter(name => !names.includes(name));
+        const extra = names.filter(name => !referenceNames.includes(name));
+        this.error(
+          `Tool catalog of ${file} differs from ${referenceFile}` +
+          (missing.length ? `; missing: ${missing.join(', ')}` : '') +
+          (extra.length ? `; extra: ${extra.join(', ')}` : '') +
+          (!missing.length && !extra.length ? '; tool definitions differ' : '')
+        );
+      });
+    }
+  };
+}
+
 export default [
   // UMD build for browsers
   {
@@ -9,13 +72,15 @@ export default [
       file: 'dist/mapbox-map-tools.js',
       format: 'umd',
       name: 'MapboxMapTools',
+      exports: 'default',
       globals: {
         'mapbox-gl': 'mapboxgl'
       }
     },
     external: ['mapbox-gl'],
     plugins: [
-      nodeResolve()
+      nodeResolve(),
+      toolCatalogCheck()
     ]
   },
   // Minified UMD build for browsers
@@ -25,6 +90,7 @@ export default [
       file: 'dist/mapbox-map-tools.min.js',
       format: 'umd',
       name: 'MapboxMapTools',
+      exports: 'default',
       globals: {
         'mapbox-gl': 'mapboxgl'
       }
@@ -32,7 +98,8 @@ export default [
     external: ['mapbox-gl'],
     plugins: [
       nodeResolve(),
-      terser()
+      terser(),
+      toolCatalogCheck()
     ]
   },
   // ES module build
@@ -44,7 +111,8 @@ export default [
     },
     external: ['mapbox-gl'],
     plugins: [
-      nodeResolve()
+      nodeResolve(),
+      toolCatalogCheck()
     ]
   },
   // CommonJS build
@@ -53,11 +121,12 @@ export default [
     output: {
       file: 'dist/mapbox-map-tools.cjs.js',
       format: 'cjs',
-      exports: 'named'
+      exports: 'default'
     },
     external: ['mapbox-gl'],
     plugins: [
-      nodeResolve()
+      nodeResolve(),
+      toolCatalogCheck()
     ]
   }
-];
\ No newline at end of file
+];
@@ -0,0 +1,290 @@
+/**
+ * Spatial analysis
+ *
+ * Measurements and derived shapes for the analysis and measuring tools. Distances,
+ * lengths and areas are geodesic; centroids and hulls are planar in longitude/latitude,
+ * as Mapbox GL draws them.
+ */
+
+import { EARTH_RADIUS_METERS, distance, distanceToSegment } from './geodesy.js';
+import { forEachPosition, polygonContains, toPolygons } from './geojson.js';
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+/**
+ * Collect the lines of a geometry, without polygon rings
+ * @param {Object} geometry - GeoJSON geometry (including GeometryCollection)
+ * @returns {Array<Array<Array<number>>>} Coordinates of each line
+ */
+function toLines(geometry) {
+    if (!geometry) {
+        return [];
+    }
+    switch (geometry.type) {
+        case 'LineString':
+            return [geometry.coordinates];
+        case 'MultiLineString':
+            return geometry.coordinates;
+        case 'GeometryCollection':
+            return (geometry.geometries || []).flatMap(toLines);
+        default:
+            return [];
+    }
+}
+
+/**
+ * Collect the points of a geometry
+ * @param {Object} geometry - GeoJSON geometry (including GeometryCollection)
+ * @returns {Array<Array<number>>} Point positions
+ */
+export function toPoints(geometry) {
+    if (!geometry) {
+        return [];
+    }
+    switch (geometry.type) {
+        case 'Point':
+            return [geometry.coordinates];
+        case 'MultiPoint':
+            return geometry.coordinates;
+        case 'GeometryCollection':
+            return (geometry.geometries || []).flatMap(toPoints);
+        default:
+            return [];
+    }
+}
+
+/**
+ * Geodesic length of a line
+ * @param {Array<Array<number>>} coordinates - Line positions
+ * @returns {number} Length in meters
+ */
+export function lineLength(coordinates) {
+    let length = 0;
+    for (let i = 1; i < coordinates.length; i++) {
+        length += distance(coordinates[i - 1], coordinates[i]);
+    }
+    return length;
+}
+
+/**
+ * Area enclosed by a ring on the sphere
+ * @param {Array<Array<number>>} ring - Closed ring
+ * @returns {number} Area in square meters
+ */
+function ringArea(ring) {
+    let total = 0;
+    for (let i = 1; i < ring.length; i++) {
+        const [lon1, lat1] = ring[i - 1];
+        const [lon2, lat2] = ring[i];
+        total += toRadians(lon2 - lon1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+    }
+    return Math.abs(total * EARTH_RADIUS_METERS * EARTH_RADIUS_METERS / 2);
+}
+
+/**
+ * Geodesic area of a polygon, without its holes
+ * @param {Array<Array<Array<number>>>} rings - Polygon coordinates
+ * @returns {number} Area in square meters
+ */
+export function polygonArea(rings) {
+    return rings.reduce((area, ring, index) => area + (index === 0 ? 1 : -1) * ringArea(ring), 0);
+}
+
+/**
+ * Measure a geometry
+ * @param {Object} geometry - GeoJSON geometry (including GeometryCollection)
+ * @returns {{length: number, area: number, perimeter: number}} Length of its lines, area of
+ *   its polygons and length of their rings, in meters and square meters
+ */
+export function measureGeometry(geometry) {
+    const polygons = toPolygons(geometry);
+    return {
+        length: toLines(geometry).reduce((total, line) => total + lineLength(line), 0),
+        area: polygons.reduce((total, rings) => total + polygonArea(rings), 0),
+        perimeter: polygons.reduce((total, rings) => total + rings.reduce((sum, ring) => sum + lineLength(ring), 0), 0)
+    };
+}
+
+/**
+ * Check whether a position lies inside the polygons of a geometry
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {Array<number>} position - Position
+ * @returns {boolean} True if inside one of its polygons
+ */
+export function geometryContains(geometry, position) {
+    return toPolygons(geometry).some(rings => polygonContains(position, rings));
+}
+
+/**
+ * Shortest distance from a position to a geometry; 0 inside its polygons
+ * @param {Array<number>} position - Position
+ * @param {Object} geometry - GeoJSON geometry (including GeometryCollection)
+ * @returns {number} Distance in meters, Infinity for empty geometries
+ */
+export function distanceToGeometry(position, geometry) {
+    if (geometryContains(geometry, position)) {
+        return 0;
+    }
+
+    let nearest = Infinity;
+    toPoints(geometry).forEach(point => {
+        nearest = Math.min(nearest, distance(position, point));
+    });
+    [...toLines(geometry), ...toPolygons(geometry).flat()].forEach(line => {
+        for (let i = 1; i < line.length; i++) {
+            nearest = Math.min(nearest, distanceToSegment(position, line[i - 1], line[i]));
+        }
+    });
+    return nearest;
+}
+
+/**
+ * Centroid of geometries taken together. Only the parts of the highest dimension count:
+ * the area-weighted center of polygons, else the length-weighted center of lines, else
+ * the mean of points.
+ * @param {Array<Object>} geometries - GeoJSON geometries
+ * @returns {Array<number>|null} Position, or null for empty geometries
+ */
+export function centroid(geometries) {
+    const polygons = geometries.flatMap(toPolygons);
+    const lines = geometries.flatMap(toLines);
+
+    let [sumX, sumY, weight] = [0, 0, 0];
+    if (polygons.length > 0) {
+        polygons.forEach(rings => rings.forEach((ring, index) => {
+            // Relative to the first position, for precision
+            const [x0, y0] = ring[0];
+            let ringWeight = 0;
+            let [ringX, ringY] = [0, 0];
+            for (let i = 1; i < ring.length; i++) {
+                const [x1, y1] = [ring[i - 1][0] - x0, ring[i - 1][1] - y0];
+                const [x2, y2] = [ring[i][0] - x0, ring[i][1] - y0];
+                const cross = x1 * y2 - x2 * y1;
+                ringWeight += cross / 2;
+                ringX += (x1 + x2) * cross / 6;
+                ringY += (y1 + y2) * cross / 6;
+            }
+            // Outer rings add, holes subtract, whichever way they wind
+            const sign = (index === 0 ? 1 : -1) * Math.sign(ringWeight);
+            sumX += sign * (ringX + x0 * ringWeight);
+            sumY += sign * (ringY + y0 * ringWeight);
+            weight += sign * ringWeight;
+        }));
+    } else if (lines.length > 0) {
+        lines.forEach(line => {
+            for (let i = 1; i < line.length; i++) {
+                const length = distance(line[i - 1], line[i]);
+                sumX += (line[i - 1][0] + line[i][0]) / 2 * length;
+                sumY += (line[i - 1][1] + line[i][1]) / 2 * length;
+                weight += length;
+            }
+        });
+    }
+
+    if (weight !== 0) {
+        return [sumX / weight, sumY / weight];
+    }
+
+    // Points, or lines and polygons without length or area
+    const positions = [];
+    geometries.forEach(geometry => forEachPosition(geometry, position => positions.push(position)));
+    if (positions.length === 0) {
+        return null;
+    }
+    return [
+        positions.reduce((total, position) => total + position[0], 0) / positions.length,
+        positions.reduce((total, position) => total + position[1], 0) / positions.length
+    ];
+}
+
+/**
+ * Convex hull of positions (monotone chain)
+ * @param {Array<Array<number>>} positions - Positions
+ * @returns {Object|null} GeoJSON Polygon, counterclockwise, or null if the positions lie on one line
+ */
+export function convexHull(positions) {
+    const sorted = [...positions].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+
+    const half = points => {
+        const chain = [];
+        points.forEach(point => {
+            while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], point) <= 0) {
+                chain.pop();
+            }
+            chain.push(point);
+        });
+        chain.pop();
+        return chain;
+    };
+
+    const hull = [...half(sorted), ...half([...sorted].reverse())];
+    if (hull.length < 3) {
+        return null;
+    }
+    return { type: 'Polygon', coordinates: [[...hull, hull[0]]] };
+}
+
+const METERS_PER_MILE = 1609.344;
+const METERS_PER_FOOT = 0.3048;
+const SQUARE_METERS_PER_ACRE = 4046.8564224;
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * Express a length in metric and imperial units
+ * @param {number} meters - Length in meters
+ * @returns {{meters: number, kilometers: number, feet: number, miles: number}} Rounded values
+ */
+export function convertLength(meters) {
+    return {
+        meters: round(meters, 1),
+        kilometers: round(meters / 1000, 3),
+        feet: round(meters / METERS_PER_FOOT, 0),
+        miles: round(meters / METERS_PER_MILE, 3)
+    };
+}
+
+/**
+ * Express an area in metric and imperial units
+ * @param {number} squareMeters - Area in square meters
+ * @returns {{squareMeters: number, squareKilometers: number, acres: number, squareMiles: number}} Rounded values
+ */
+export function convertArea(squareMeters) {
+    return {
+        squareMeters: round(squareMeters, 0),
+        squareKilometers: round(squareMeters / 1e6, 4),
+        acres: round(squareMeters / SQUARE_METERS_PER_ACRE, 2),
+        squareMiles: round(squareMeters / (METERS_PER_MILE * METERS_PER_MILE), 4)
+    };
+}
+
+// Significant digits for display: 3 below 100, whole numbers above
+const display = value => String(value < 100 ? Number(value.toPrecision(3)) : Math.round(value));
+
+/**
+ * Format a distance for tool results, in metric and imperial units
+ * @param {number} meters - Distance in meters
+ * @returns {string} E.g. "850 m (2789 ft)" or "12.4 km (7.71 mi)"
+ */
+export function formatDistance(meters) {
+    const metric = meters < 1000 ? `${Math.round(meters)} m` : `${display(meters / 1000)} km`;
+    const imperial = meters < METERS_PER_MILE / 10
+        ? `${Math.round(meters / METERS_PER_FOOT)} ft`
+        : `${display(meters / METERS_PER_MILE)} mi`;
+    return `${metric} (${imperial})`;
+}
+
+/**
+ * Format an area for tool results, in metric and imperial units
+ * @param {number} squareMeters - Area in square meters
+ * @returns {string} E.g. "5400 m² (1.33 acres)" or "3.2 km² (1.24 mi²)"
+ */
+export function formatArea(squareMeters) {
+    const squareMile = METERS_PER_MILE * METERS_PER_MILE;
+    const metric = squareMeters < 100000 ? `${Math.round(squareMeters)} m²` : `${display(squareMeters / 1e6)} km²`;
+    const imperial = squareMeters < squareMile
+        ? `${display(squareMeters / SQUARE_METERS_PER_ACRE)} acres`
+        : `${display(squareMeters / squareMile)} mi²`;
+    return `${metric} (${imperial})`;
+}
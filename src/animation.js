@@ -0,0 +1,312 @@
+/**
+ * Route animation
+ *
+ * Plays back a tool-created route: the line "draws itself" by showing a growing
+ * part of the route's GeoJSON on its source, while a marker travels along it and
+ * the camera optionally follows. The full data stays in the layer registry and is
+ * put back on the source when the animation stops.
+ */
+
+import { toFeatures } from './geojson.js';
+import { distance } from './geodesy.js';
+
+/**
+ * Split the lines of a route into parts with their length, in drawing order
+ * @param {Object} data - FeatureCollection of LineString / MultiLineString features
+ * @returns {{features: Array<Object>, parts: Array<Object>, length: number}} Path
+ */
+function buildPath(data) {
+    const features = toFeatures(data);
+    const parts = [];
+    let length = 0;
+
+    features.forEach((feature, featureIndex) => {
+        const geometry = feature.geometry;
+        if (!geometry) {
+            return;
+        }
+        const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+            : geometry.type === 'MultiLineString' ? geometry.coordinates
+                : [];
+
+        lines.forEach(coordinates => {
+            const segmentLengths = coordinates.slice(1).map((position, i) => distance(coordinates[i], position));
+            const partLength = segmentLengths.reduce((total, segmentLength) => total + segmentLength, 0);
+            parts.push({ featureIndex, coordinates, segmentLengths, start: length, length: partLength });
+            length += partLength;
+        });
+    });
+
+    return { features, parts, length };
+}
+
+/**
+ * Cut a line's coordinates at a distance from its start
+ * @param {Object} part - Path part
+ * @param {number} distance - Distance in meters
+ * @returns {Array<Array<number>>} Coordinates up to the distance (at least two positions)
+ */
+function truncateLine(part, distance) {
+    const result = [part.coordinates[0]];
+    let travelled = 0;
+
+    for (let i = 0; i < part.segmentLengths.length; i++) {
+        const segmentLength = part.segmentLengths[i];
+        const [from, to] = [part.coordinates[i], part.coordinates[i + 1]];
+        if (travelled + segmentLength >= distance) {
+            const ratio = segmentLength > 0 ? (distance - travelled) / segmentLength : 0;
+            result.push([from[0] + (to[0] - from[0]) * ratio, from[1] + (to[1] - from[1]) * ratio]);
+            return result;
+        }
+        result.push(to);
+        travelled += segmentLength;
+    }
+
+    return result;
+}
+
+/**
+ * The visible part of a route at a progress, and the position of its tip
+ * @param {Object} path - Path from buildPath
+ * @param {number} progress - 0 to 1
+ * @returns {{data: Object, position: (Array<number>|null)}} Partial FeatureCollection and tip position
+ */
+function revealPath(path, progress) {
+    const distance = path.length * progress;
+    const linesByFeature = new Map();
+    let position = null;
+
+    path.parts.forEach(part => {
+        if (part.start > distance) {
+            return;
+        }
+        const coordinates = part.start + part.length <= distance
+            ? part.coordinates
+            : truncateLine(part, distance - part.start);
+        if (!linesByFeature.has(part.featureIndex)) {
+            linesByFeature.set(part.featureIndex, []);
+        }
+        linesByFeature.get(part.featureIndex).push(coordinates);
+        position = coordinates[coordinates.length - 1];
+    });
+
+    const features = Array.from(linesByFeature.entries()).map(([featureIndex, lines]) => {
+        const feature = path.features[featureIndex];
+        return {
+            type: 'Feature',
+            properties: feature.properties || {},
+            geometry: lines.length === 1
+                ? { type: 'LineString', coordinates: lines[0] }
+                : { type: 'MultiLineString', coordinates: lines }
+        };
+    });
+
+    return { data: { type: 'FeatureCollection', features }, position };
+}
+
+/**
+ * Create the element of the moving marker
+ * @param {string} color - Marker color
+ * @returns {HTMLElement} Marker element
+ */
+function createMarkerElement(color) {
+    const element = document.createElement('div');
+    Object.assign(element.style, {
+        width: '14px',
+        height: '14px',
+        borderRadius: '50%',
+        background: color,
+        border: '2px solid #ffffff',
+        boxShadow: '0 0 4px rgba(0, 0, 0, 0.5)'
+    });
+    return element;
+}
+
+export class RouteAnimation {
+    /**
+     * Playback of a route. Created by MapboxMapTools.animateRoute.
+     * @param {mapboxgl.Map} map - Map instance
+     * @param {{id: string, spec: Object}} source - Registered GeoJSON source of the route
+     * @param {Object} [options]
+     * @param {number} [options.duration=10000] - Duration of one playback in milliseconds
+     * @param {boolean} [options.showMarker=true] - Show a marker at the tip of the route
+     * @param {string} [options.markerColor='#FF851B'] - Marker color
+     * @param {boolean} [options.followCamera=false] - Keep the marker centered
+     * @param {boolean} [options.loop=false] - Restart when the end is reached
+     * @param {Function} [options.onFinish] - Called when playback reaches the end without looping
+     */
+    constructor(map, source, options = {}) {
+        this.map = map;
+        this.source = source;
+        this.options = {
+            duration: 10000,
+            showMarker: true,
+            markerColor: '#FF851B',
+            followCamera: false,
+            loop: false,
+            onFinish: null,
+            ...options
+        };
+
+        // idle, playing, paused, finished or stopped
+        this.status = 'idle';
+        this.progress = 0;
+        this.frameId = null;
+        this.startTime = null;
+        this.marker = null;
+        this.path = null;
+        this.pathData = null;
+
+        this.frame = this.frame.bind(this);
+    }
+
+    /**
+     * Start or resume playback
+     * @param {number} [progress] - Position to start from (0 to 1); restarts from 0 after the end
+     */
+    play(progress) {
+        if (progress !== undefined) {
+            this.progress = Math.min(Math.max(progress, 0), 1);
+        } else if (this.progress >= 1) {
+            this.progress = 0;
+        }
+
+        if (this.status === 'playing') {
+            this.startTime = null;
+            return;
+        }
+
+        this.status = 'playing';
+        this.startTime = null;
+        this.frameId = requestAnimationFrame(this.frame);
+    }
+
+    /**
+     * Pause playback at the current position
+     */
+    pause() {
+        if (this.status !== 'playing') {
+            return;
+        }
+        cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+        this.status = 'paused';
+    }
+
+    /**
+     * Jump to a position; playback continues from there if playing
+     * @param {number} progress - Position from 0 (start) to 1 (end)
+     */
+    seek(progress) {
+        this.progress = Math.min(Math.max(progress, 0), 1);
+        this.startTime = null;
+        if (this.status === 'idle' || this.status === 'stopped') {
+            this.status = 'paused';
+        }
+        this.render();
+    }
+
+    /**
+     * Stop playback, show the whole route again and remove the marker
+     */
+    stop() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        this.status = 'stopped';
+
+        const mapSource = this.map.getSource(this.source.id);
+        if (mapSource) {
+            mapSource.setData(this.source.spec.data);
+        }
+        if (this.marker) {
+            this.marker.remove();
+            this.marker = null;
+        }
+    }
+
+    /**
+     * @returns {{status: string, progress: number, duration: number, length: number}} Playback state;
+     *   length is the route length in meters
+     */
+    getState() {
+        return {
+            status: this.status,
+            progress: this.progress,
+            duration: this.options.duration,
+            length: this.getPath().length
+        };
+    }
+
+    /**
+     * requestAnimationFrame callback
+     * @param {number} timestamp - Frame time in milliseconds
+     */
+    frame(timestamp) {
+        if (this.startTime === null) {
+            this.startTime = timestamp - this.progress * this.options.duration;
+        }
+        this.progress = Math.min((timestamp - this.startTime) / this.options.duration, 1);
+        this.render();
+
+        if (this.progress >= 1) {
+            if (this.options.loop) {
+                this.progress = 0;
+                this.startTime = null;
+            } else {
+                this.frameId = null;
+                this.status = 'finished';
+                if (this.options.onFinish) {
+                    this.options.onFinish(this);
+                }
+                return;
+            }
+        }
+
+        this.frameId = requestAnimationFrame(this.frame);
+    }
+
+    /**
+     * Get the route's path, rebuilt when its data was updated
+     * @returns {Object} Path
+     */
+    getPath() {
+        if (this.pathData !== this.source.spec.data) {
+            this.pathData = this.source.spec.data;
+            this.path = buildPath(this.pathData);
+        }
+        return this.path;
+    }
+
+    /**
+     * Show the route up to the current progress and move the marker and camera
+     */
+    render() {
+        const { data, position } = revealPath(this.getPath(), this.progress);
+
+        // The source is missing while a new style loads; it is restored with the full data
+        const mapSource = this.map.getSource(this.source.id);
+        if (mapSource) {
+            mapSource.setData(data);
+        }
+
+        if (!position) {
+            return;
+        }
+
+        if (this.options.showMarker) {
+            if (!this.marker) {
+                this.marker = new mapboxgl.Marker({ element: createMarkerElement(this.options.markerColor) })
+                    .setLngLat(position)
+                    .addTo(this.map);
+            } else {
+                this.marker.setLngLat(position);
+            }
+        }
+
+        if (this.options.followCamera) {
+            this.map.jumpTo({ center: position });
+        }
+    }
+}
@@ -0,0 +1,372 @@
+/**
+ * Geodesic buffers
+ *
+ * Buffers a geometry by tracing the line where its great-circle distance equals the
+ * buffer distance (marching squares on a longitude/latitude grid that only covers the
+ * surroundings of the geometry). Overlapping parts merge and enclosed gaps become holes
+ * without a polygon clipping library.
+ */
+
+import { EARTH_RADIUS_METERS, circle, distanceToSegment } from './geodesy.js';
+import { assemblePolygons } from './geojson.js';
+
+// Grid cells per buffer distance; the traced outline deviates by well under a cell
+const CELLS_PER_DISTANCE = 8;
+
+// Cells are looked at in square blocks of BLOCK_SIZE x BLOCK_SIZE cells
+const BLOCK_SIZE = 8;
+
+// Upper limit of evaluated grid cells. Larger geometries use a coarser grid.
+const MAX_CELLS = 250000;
+
+const METERS_PER_DEGREE = EARTH_RADIUS_METERS * Math.PI / 180;
+
+/**
+ * Shift a longitude by whole turns to within 180 degrees of a reference longitude
+ * @param {number} lon - Longitude
+ * @param {number} reference - Reference longitude
+ * @returns {number} Longitude
+ */
+function unwrapLongitude(lon, reference) {
+    return reference + ((lon - reference + 540) % 360) - 180;
+}
+
+/**
+ * Split a geometry into segments (points become zero-length segments) and the polygons
+ * whose interior belongs to the buffer. Longitudes are unwrapped, each line starting
+ * near the first position of the geometry, so parts crossing the antimeridian stay
+ * contiguous on the grid (longitudes may fall outside -180..180).
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {{segments: Array, polygons: Array, reference: ?number}} [parts] - Parts collected so far
+ * @returns {{segments: Array<Array<Array<number>>>, polygons: Array<Array<Array<Array<number>>>>}} Parts
+ */
+function collectParts(geometry, parts = { segments: [], polygons: [], reference: null }) {
+    if (!geometry) {
+        return parts;
+    }
+
+    const addLine = line => {
+        if (line.length === 0) {
+            return line;
+        }
+        if (parts.reference === null) {
+            parts.reference = line[0][0];
+        }
+        let lon = unwrapLongitude(line[0][0], parts.reference);
+        const unwrapped = line.map(position => {
+            lon = unwrapLongitude(position[0], lon);
+            return [lon, position[1]];
+        });
+
+        if (unwrapped.length === 1) {
+            parts.segments.push([unwrapped[0], unwrapped[0]]);
+        }
+        for (let i = 1; i < unwrapped.length; i++) {
+            parts.segments.push([unwrapped[i - 1], unwrapped[i]]);
+        }
+        return unwrapped;
+    };
+    const addPolygon = rings => {
+        parts.polygons.push(rings.map(addLine));
+    };
+
+    switch (geometry.type) {
+        case 'Point':
+            addLine([geometry.coordinates]);
+            break;
+        case 'MultiPoint':
+            geometry.coordinates.forEach(position => addLine([position]));
+            break;
+        case 'LineString':
+            addLine(geometry.coordinates);
+            break;
+        case 'MultiLineString':
+            geometry.coordinates.forEach(addLine);
+            break;
+        case 'Polygon':
+            addPolygon(geometry.coordinates);
+            break;
+        case 'MultiPolygon':
+            geometry.coordinates.forEach(addPolygon);
+            break;
+        case 'GeometryCollection':
+            geometry.geometries.forEach(child => collectParts(child, parts));
+            break;
+        default:
+            throw new Error(`Cannot buffer geometry of type ${geometry.type}`);
+    }
+
+    return parts;
+}
+
+/**
+ * Lay out the grid: cell size, origin and the blocks of cells near the geometry, each
+ * with the segments that can be within the buffer distance of its cells
+ * @param {Array} segments - Segments of the geometry
+ * @param {number} radius - Buffer distance in meters
+ * @param {number} cellMeters - Cell height in meters
+ * @returns {Object|null} Grid, or null if it would exceed MAX_CELLS
+ */
+function buildGrid(segments, radius, cellMeters) {
+    let [west, south, east, north] = [Infinity, Infinity, -Infinity, -Infinity];
+    segments.forEach(segment => segment.forEach(([lon, lat]) => {
+        west = Math.min(west, lon);
+        south = Math.min(south, lat);
+        east = Math.max(east, lon);
+        north = Math.max(north, lat);
+    }));
+
+    // Cells are square in meters at the middle latitude
+    const minCos = 0.01;
+    const cosine = lat => Math.max(Math.cos(lat * Math.PI / 180), minCos);
+    const referenceCos = cosine((south + north) / 2);
+    const cellLat = cellMeters / METERS_PER_DEGREE;
+    const cellLon = cellLat / referenceCos;
+    const blockMeters = cellMeters * BLOCK_SIZE;
+
+    // Blocks within reach of sample points along each segment are evaluated; the margin
+    // around the geometry holds the reach at the latitude farthest from the equator
+    const sampleStep = blockMeters;
+    const reachMeters = radius + 2 * cellMeters + sampleStep / 2;
+    const marginLat = reachMeters / METERS_PER_DEGREE + 2 * blockMeters / METERS_PER_DEGREE;
+    const marginLon = marginLat / cosine(Math.max(Math.abs(south), Math.abs(north)));
+    const originLon = west - marginLon;
+    const originLat = south - marginLat;
+    const blockColumns = Math.ceil((east + marginLon - originLon) / (cellLon * BLOCK_SIZE)) + 1;
+
+    const blocks = new Map();
+    for (let index = 0; index < segments.length; index++) {
+        const [start, end] = segments[index];
+        const lengthMeters = Math.hypot((end[0] - start[0]) * referenceCos, end[1] - start[1]) * METERS_PER_DEGREE;
+        const samples = Math.max(1, Math.ceil(lengthMeters / sampleStep));
+
+        for (let s = 0; s <= samples; s++) {
+            const lon = start[0] + (end[0] - start[0]) * s / samples;
+            const lat = start[1] + (end[1] - start[1]) * s / samples;
+            // One block of slack for the change of scale with latitude within the reach
+            const reachJ = Math.ceil(reachMeters / blockMeters) + 1;
+            const reachI = Math.ceil(reachMeters / (blockMeters * cosine(lat) / referenceCos)) + 1;
+            const bi = Math.floor((lon - originLon) / (cellLon * BLOCK_SIZE));
+            const bj = Math.floor((lat - originLat) / (cellLat * BLOCK_SIZE));
+
+            for (let j = Math.max(bj - reachJ, 0); j <= bj + reachJ; j++) {
+                for (let i = Math.max(bi - reachI, 0); i <= Math.min(bi + reachI, blockColumns - 1); i++) {
+                    const key = j * blockColumns + i;
+                    let blockSegments = blocks.get(key);
+                    if (!blockSegments) {
+                        if ((blocks.size + 1) * BLOCK_SIZE * BLOCK_SIZE > MAX_CELLS) {
+                            return null;
+                        }
+                        blockSegments = [];
+                        blocks.set(key, blockSegments);
+                    }
+                    if (blockSegments[blockSegments.length - 1] !== index) {
+                        blockSegments.push(index);
+                    }
+                }
+            }
+        }
+    }
+
+    return { blocks, blockColumns, columns: blockColumns * BLOCK_SIZE, originLon, originLat, cellLon, cellLat };
+}
+
+/**
+ * Drop outline vertices that lie almost on the line between their neighbors
+ * @param {Array<Array<number>>} ring - Closed ring
+ * @param {number} tolerance - Maximum deviation in degrees
+ * @returns {Array<Array<number>>} Closed ring
+ */
+function simplifyRing(ring, tolerance) {
+    const result = [ring[0]];
+    for (let i = 1; i < ring.length - 1; i++) {
+        const [x0, y0] = result[result.length - 1];
+        const [x1, y1] = ring[i];
+        const [x2, y2] = ring[i + 1];
+        const length = Math.hypot(x2 - x0, y2 - y0);
+        const deviation = length > 0 ? Math.abs((x2 - x0) * (y0 - y1) - (x0 - x1) * (y2 - y0)) / length : 0;
+        if (deviation > tolerance) {
+            result.push(ring[i]);
+        }
+    }
+    result.push(ring[ring.length - 1]);
+    return result;
+}
+
+/**
+ * Buffer a geometry by a distance
+ * @param {Object} geometry - GeoJSON geometry (any type, including GeometryCollection)
+ * @param {number} radius - Buffer distance in meters, greater than 0
+ * @returns {Object} GeoJSON Polygon or MultiPolygon with counterclockwise outer rings
+ */
+export function bufferGeometry(geometry, radius) {
+    if (!(radius > 0)) {
+        throw new Error('The buffer distance must be greater than 0');
+    }
+
+    // A single point buffers to an exact circle
+    if (geometry.type === 'Point') {
+        return circle(geometry.coordinates, radius);
+    }
+
+    const { segments, polygons } = collectParts(geometry);
+    if (segments.length === 0) {
+        throw new Error('The geometry has no coordinates to buffer');
+    }
+
+    let grid = null;
+    let cellMeters = radius / CELLS_PER_DISTANCE;
+    while (!(grid = buildGrid(segments, radius, cellMeters))) {
+        cellMeters *= 2;
+    }
+    const { blocks, blockColumns, columns, originLon, originLat, cellLon, cellLat } = grid;
+
+    // Longitudes at which each polygon crosses a grid row, for the inside test
+    const rowCrossings = new Map();
+    const insidePolygon = (lon, lat, j) => {
+        if (!rowCrossings.has(j)) {
+            rowCrossings.set(j, polygons.map(rings => rings.flatMap(ring => {
+                const crossings = [];
+                for (let k = 1; k < ring.length; k++) {
+                    const [x1, y1] = ring[k - 1];
+                    const [x2, y2] = ring[k];
+                    if ((y1 > lat) !== (y2 > lat)) {
+                        crossings.push(x1 + (lat - y1) * (x2 - x1) / (y2 - y1));
+                    }
+                }
+                return crossings;
+            })));
+        }
+        return rowCrossings.get(j).some(crossings => crossings.filter(x => x < lon).length % 2 === 1);
+    };
+
+    // Distance from a position to the nearest of some segments, up to a limit. A planar
+    // estimate rules out segments well beyond the limit before the spherical distance.
+    const nearestDistance = (position, segmentIndexes, limit) => {
+        const scaleX = Math.cos(position[1] * Math.PI / 180) * METERS_PER_DEGREE;
+        let nearest = limit;
+        for (const index of segmentIndexes) {
+            const [start, end] = segments[index];
+            const ax = (start[0] - position[0]) * scaleX;
+            const ay = (start[1] - position[1]) * METERS_PER_DEGREE;
+            const dx = (end[0] - start[0]) * scaleX;
+            const dy = (end[1] - start[1]) * METERS_PER_DEGREE;
+            const lengthSquared = dx * dx + dy * dy;
+            const t = lengthSquared > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared)) : 0;
+            if (Math.hypot(ax + t * dx, ay + t * dy) > 1.5 * nearest) {
+                continue;
+            }
+            nearest = Math.min(nearest, distanceToSegment(position, start, end));
+        }
+        return nearest;
+    };
+
+    // Signed distance minus radius at grid vertices: negative inside the buffer. Distances
+    // beyond the reach of the block's segments are capped, so shared vertices agree.
+    const cap = radius + 2 * cellMeters;
+    const values = new Map();
+    const valueAt = (i, j, blockSegments) => {
+        const key = j * (columns + 1) + i;
+        let value = values.get(key);
+        if (value === undefined) {
+            const position = [originLon + i * cellLon, originLat + j * cellLat];
+            const inside = polygons.length > 0 && insidePolygon(position[0], position[1], j);
+            value = (inside ? 0 : nearestDistance(position, blockSegments, cap)) - radius;
+            values.set(key, value);
+        }
+        return value;
+    };
+
+    // Outline pieces: crossing point keys, linked with the inside on the left
+    const points = new Map();
+    const next = new Map();
+
+    const traceCell = (i, j, blockSegments) => {
+        // Corners counterclockwise from bottom left, with the key of the edge that follows each
+        const corners = [[i, j], [i + 1, j], [i + 1, j + 1], [i, j + 1]];
+        const cornerValues = corners.map(([ci, cj]) => valueAt(ci, cj, blockSegments));
+        const inside = cornerValues.map(value => value < 0);
+        if (inside.every(Boolean) || !inside.some(Boolean)) {
+            return;
+        }
+
+        const edgeKeys = [
+            2 * (j * (columns + 1) + i),
+            2 * (j * (columns + 1) + i + 1) + 1,
+            2 * ((j + 1) * (columns + 1) + i),
+            2 * (j * (columns + 1) + i) + 1
+        ];
+
+        const crossings = [];
+        for (let k = 0; k < 4; k++) {
+            const m = (k + 1) % 4;
+            if (inside[k] === inside[m]) {
+                continue;
+            }
+            const t = cornerValues[k] / (cornerValues[k] - cornerValues[m]);
+            const [i0, j0] = corners[k];
+            const [i1, j1] = corners[m];
+            points.set(edgeKeys[k], [
+                originLon + (i0 + (i1 - i0) * t) * cellLon,
+                originLat + (j0 + (j1 - j0) * t) * cellLat
+            ]);
+            crossings.push({ key: edgeKeys[k], leaving: inside[k] });
+        }
+
+        // Each crossing leaving the inside links to the crossing entering it again: the next
+        // one around the cell, or for saddles with an outside center the previous one
+        const centerInside = cornerValues.reduce((sum, value) => sum + value, 0) < 0;
+        crossings.forEach((crossing, k) => {
+            if (!crossing.leaving) {
+                return;
+            }
+            const pair = crossings.length === 4 && !centerInside
+                ? crossings[(k + 3) % 4]
+                : crossings[(k + 1) % crossings.length];
+            next.set(crossing.key, pair.key);
+        });
+    };
+
+    blocks.forEach((blockSegments, key) => {
+        const bj = Math.floor(key / blockColumns);
+        const bi = key - bj * blockColumns;
+
+        // Distances change by at most the distance moved, so a block whose center is farther
+        // from the outline than from its corners contains none of it
+        const centerJ = (bj + 0.5) * BLOCK_SIZE;
+        const center = [originLon + (bi + 0.5) * BLOCK_SIZE * cellLon, originLat + centerJ * cellLat];
+        const halfDiagonal = Math.hypot(BLOCK_SIZE * cellLon * Math.cos(center[1] * Math.PI / 180), BLOCK_SIZE * cellLat) / 2 * METERS_PER_DEGREE;
+        const centerInPolygon = polygons.length > 0 && insidePolygon(center[0], center[1], centerJ);
+        const centerDistance = centerInPolygon ? 0 : nearestDistance(center, blockSegments, Infinity);
+        if (Math.abs(centerDistance - radius) > halfDiagonal * 1.01) {
+            return;
+        }
+
+        for (let j = bj * BLOCK_SIZE; j < (bj + 1) * BLOCK_SIZE; j++) {
+            for (let i = bi * BLOCK_SIZE; i < (bi + 1) * BLOCK_SIZE; i++) {
+                traceCell(i, j, blockSegments);
+            }
+        }
+    });
+
+    // Chain the pieces into closed rings
+    const rings = [];
+    while (next.size > 0) {
+        const start = next.keys().next().value;
+        const ring = [];
+        let key = start;
+        do {
+            ring.push(points.get(key));
+            const following = next.get(key);
+            next.delete(key);
+            key = following;
+        } while (key !== undefined && key !== start);
+
+        if (key === start && ring.length >= 3) {
+            ring.push(ring[0]);
+            rings.push(simplifyRing(ring, cellLat / 20));
+        }
+    }
+
+    return assemblePolygons(rings);
+}
@@ -0,0 +1,702 @@
+/**
+ * Data formats
+ *
+ * Parses GPX tracks, KML (e.g. from Google Earth), CSV tables and WKT into GeoJSON
+ * in the browser, for MapboxMapTools.importData. CSV coordinates come from latitude
+ * and longitude columns or a WKT column, found by their names unless given.
+ */
+
+import { GEOJSON_TYPES } from './geojson.js';
+
+export const IMPORT_FORMATS = ['geojson', 'gpx', 'kml', 'csv', 'wkt'];
+
+// Formats by file extension
+const EXTENSION_FORMATS = {
+    geojson: 'geojson',
+    json: 'geojson',
+    gpx: 'gpx',
+    kml: 'kml',
+    csv: 'csv',
+    tsv: 'csv',
+    txt: 'csv',
+    wkt: 'wkt'
+};
+
+// Recognized CSV column names, lowercase without separators, in order of preference
+const LATITUDE_COLUMNS = ['latitude', 'lat', 'decimallatitude', 'latdd', 'y', 'pointy', 'ycoord', 'ycoordinate'];
+const LONGITUDE_COLUMNS = ['longitude', 'lon', 'lng', 'long', 'decimallongitude', 'londd', 'x', 'pointx', 'xcoord', 'xcoordinate'];
+const WKT_COLUMNS = ['wkt', 'geometry', 'geom', 'thegeom', 'shape', 'wktgeometry'];
+
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+const WKT_TYPES = ['POINT', 'LINESTRING', 'POLYGON', 'MULTIPOINT', 'MULTILINESTRING', 'MULTIPOLYGON', 'GEOMETRYCOLLECTION'];
+
+// Start of WKT, for detecting WKT data and CSV columns
+const WKT_PATTERN = new RegExp(`^\\s*(SRID=\\d+;\\s*)?(${WKT_TYPES.join('|')})\\s*(Z|M|ZM)?\\s*(\\(|EMPTY)`, 'i');
+
+const FORMAT_NAMES = { geojson: 'GeoJSON', gpx: 'GPX', kml: 'KML', csv: 'CSV', wkt: 'WKT' };
+
+/**
+ * Display name of a format
+ * @param {string} format - Import format
+ * @returns {string} E.g. "GPX"
+ */
+export function formatName(format) {
+    return FORMAT_NAMES[format] || format;
+}
+
+/**
+ * Detect the format of data from its file name or, failing that, its content
+ * @param {string} text - Data
+ * @param {string} [fileName] - File name or URL
+ * @returns {string} One of IMPORT_FORMATS
+ * @throws {Error} For KMZ files and unknown XML documents
+ */
+export function detectFormat(text, fileName) {
+    const extension = fileName ? (fileName.split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i) || [])[1] : undefined;
+    if (extension && extension.toLowerCase() === 'kmz') {
+        throw new Error('KMZ files are zip archives; extract the doc.kml file they contain and import that');
+    }
+    if (extension && EXTENSION_FORMATS[extension.toLowerCase()]) {
+        return EXTENSION_FORMATS[extension.toLowerCase()];
+    }
+
+    const start = text.replace(/^\uFEFF/, '').trimStart();
+    if (start.startsWith('{')) {
+        return 'geojson';
+    }
+    if (start.startsWith('<')) {
+        if (/<gpx[\s>]/.test(start)) {
+            return 'gpx';
+        }
+        if (/<kml[\s>]/.test(start)) {
+            return 'kml';
+        }
+        throw new Error('The data is an XML document, but neither GPX nor KML');
+    }
+    if (WKT_PATTERN.test(start)) {
+        return 'wkt';
+    }
+    return 'csv';
+}
+
+/**
+ * Parse data into GeoJSON
+ * @param {string} text - Data
+ * @param {string} format - One of IMPORT_FORMATS
+ * @param {Object} [options] - CSV options, see parseCsv
+ * @returns {{geojson: Object, skipped: number, columns?: Object}} FeatureCollection, number of
+ *   records without usable geometry, and for CSV the coordinate columns used
+ */
+export function parseData(text, format, options = {}) {
+    switch (format) {
+        case 'geojson': {
+            let geojson;
+            try {
+                geojson = JSON.parse(text);
+            } catch (error) {
+                throw new Error(`Invalid GeoJSON: ${error.message}`);
+            }
+            if (!geojson || !GEOJSON_TYPES.includes(geojson.type)) {
+                throw new Error(`Invalid GeoJSON: expected a type of ${GEOJSON_TYPES.join(', ')}`);
+            }
+            return { geojson, skipped: 0 };
+        }
+        case 'gpx':
+            return parseGpx(text);
+        case 'kml':
+            return parseKml(text);
+        case 'csv':
+            return parseCsv(text, options);
+        case 'wkt': {
+            const geometries = parseWktGeometries(text);
+            return {
+                geojson: {
+                    type: 'FeatureCollection',
+                    features: geometries.filter(Boolean).map(geometry => ({ type: 'Feature', geometry, properties: {} }))
+                },
+                skipped: geometries.filter(geometry => !geometry).length
+            };
+        }
+        default:
+            throw new Error(`Unknown format "${format}". Use one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+}
+
+/**
+ * Split WKT into numbers, words and punctuation
+ * @param {string} text - WKT
+ * @returns {Array<{value: string, position: number}>} Tokens
+ */
+function tokenizeWkt(text) {
+    const tokens = [];
+    const pattern = /\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?|[A-Za-z]+|[(),;=]|\S)/y;
+    let match;
+    while (pattern.lastIndex < text.length && (match = pattern.exec(text))) {
+        tokens.push({ value: match[1], position: match.index + match[0].length - match[1].length });
+    }
+    return tokens;
+}
+
+/**
+ * Parse one or more WKT geometries, separated by whitespace or semicolons.
+ * An EWKT SRID prefix is accepted for longitude/latitude (4326) only.
+ * @param {string} text - WKT
+ * @returns {Array<Object|null>} GeoJSON geometries; null for empty geometries
+ * @throws {Error} With the position of invalid WKT
+ */
+function parseWktGeometries(text) {
+    const tokens = tokenizeWkt(text);
+    let index = 0;
+
+    const fail = expected => {
+        const token = tokens[index];
+        throw new Error(token
+            ? `Invalid WKT at position ${token.position}: expected ${expected}, found "${token.value}"`
+            : `Invalid WKT: expected ${expected}, found the end`);
+    };
+    const peek = () => tokens[index] && tokens[index].value.toUpperCase();
+    const expect = value => {
+        if (peek() !== value) {
+            fail(`"${value}"`);
+        }
+        index++;
+    };
+    const isNumber = token => Boolean(token) && /^[-+.\d]/.test(token.value) && Number.isFinite(Number(token.value));
+    const number = () => {
+        if (!isNumber(tokens[index])) {
+            fail('a number');
+        }
+        return Number(tokens[index++].value);
+    };
+    // Comma-separated items in parentheses
+    const list = item => {
+        expect('(');
+        const items = [item()];
+        while (peek() === ',') {
+            index++;
+            items.push(item());
+        }
+        expect(')');
+        return items;
+    };
+
+    const geometry = () => {
+        if (!/^[A-Z]+$/.test(peek() || '')) {
+            fail('a geometry type');
+        }
+        // The dimensions may follow the type with or without a space, e.g. POINTZ or POINT Z
+        let [, type, dimensions = ''] = peek().match(/^(.*?)(ZM|Z|M)?$/);
+        if (!WKT_TYPES.includes(type)) {
+            fail('a geometry type');
+        }
+        index++;
+        if (!dimensions && ['Z', 'M', 'ZM'].includes(peek())) {
+            dimensions = tokens[index++].value.toUpperCase();
+        }
+
+        // [x, y] or [x, y, z]; measures are dropped
+        const position = () => {
+            const values = [number(), number()];
+            while (isNumber(tokens[index])) {
+                values.push(number());
+            }
+            const hasZ = dimensions === 'Z' || dimensions === 'ZM' || (dimensions === '' && values.length > 2);
+            return hasZ ? values.slice(0, 3) : values.slice(0, 2);
+        };
+        const line = () => list(position);
+        const polygon = () => list(line);
+        // MULTIPOINT ((1 2), (3 4)) and MULTIPOINT (1 2, 3 4) are both valid
+        const multiPointMember = () => {
+            if (peek() !== '(') {
+                return position();
+            }
+            index++;
+            const member = position();
+            expect(')');
+            return member;
+        };
+
+        // Empty geometries have no GeoJSON equivalent that layers can draw
+        if (peek() === 'EMPTY') {
+            index++;
+            return null;
+        }
+        switch (type) {
+            case 'POINT': {
+                expect('(');
+                const coordinates = position();
+                expect(')');
+                return { type: 'Point', coordinates };
+            }
+            case 'LINESTRING':
+                return { type: 'LineString', coordinates: line() };
+            case 'POLYGON':
+                return { type: 'Polygon', coordinates: polygon() };
+            case 'MULTIPOINT':
+                return { type: 'MultiPoint', coordinates: list(multiPointMember) };
+            case 'MULTILINESTRING':
+                return { type: 'MultiLineString', coordinates: list(line) };
+            case 'MULTIPOLYGON':
+                return { type: 'MultiPolygon', coordinates: list(polygon) };
+            case 'GEOMETRYCOLLECTION': {
+                const geometries = list(geometry).filter(Boolean);
+                return geometries.length > 0 ? { type: 'GeometryCollection', geometries } : null;
+            }
+        }
+    };
+
+    const geometries = [];
+    while (index < tokens.length) {
+        if (peek() === ';') {
+            index++;
+            continue;
+        }
+        if (peek() === 'SRID') {
+            index++;
+            expect('=');
+            const srid = number();
+            if (srid !== 4326) {
+                throw new Error(`WKT with SRID ${srid} is not supported; coordinates must be longitude/latitude (SRID 4326)`);
+            }
+            expect(';');
+        }
+        geometries.push(geometry());
+    }
+    if (geometries.length === 0) {
+        throw new Error('Invalid WKT: no geometry found');
+    }
+    return geometries;
+}
+
+/**
+ * Parse a WKT geometry
+ * @param {string} text - WKT, e.g. "POINT (13.4 52.5)"
+ * @returns {Object|null} GeoJSON geometry; null for an empty geometry
+ * @throws {Error} For invalid WKT or more than one geometry
+ */
+export function parseWkt(text) {
+    const geometries = parseWktGeometries(text);
+    if (geometries.length > 1) {
+        throw new Error(`Expected one WKT geometry, found ${geometries.length}`);
+    }
+    return geometries[0];
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting)
+ * @param {string} text - CSV
+ * @param {string} delimiter - Cell delimiter
+ * @returns {Array<Array<string>>} Rows, without empty lines
+ */
+function splitCsvRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Guess the delimiter of CSV text from its first line
+ * @param {string} text - CSV
+ * @returns {string} The delimiter occurring most often outside quotes
+ */
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    return CSV_DELIMITERS.reduce((best, delimiter) =>
+        firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best);
+}
+
+/**
+ * Find a column by the name given by the caller, or by recognized names
+ * @param {Array<string>} header - Column names
+ * @param {string} [name] - Column name given by the caller
+ * @param {Array<string>} candidates - Recognized names, normalized
+ * @returns {number} Column index, -1 if not found
+ * @throws {Error} If a given column does not exist
+ */
+function findColumn(header, name, candidates) {
+    const normalize = value => value.toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (name !== undefined) {
+        const exact = header.indexOf(name);
+        const index = exact !== -1 ? exact : header.findIndex(column => column.toLowerCase() === name.toLowerCase());
+        if (index === -1) {
+            throw new Error(`Column "${name}" not found. Columns: ${header.join(', ')}`);
+        }
+        return index;
+    }
+    const normalized = header.map(normalize);
+    for (const candidate of candidates) {
+        const index = normalized.indexOf(candidate);
+        if (index !== -1) {
+            return index;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Read a coordinate, accepting a decimal comma
+ * @param {string} value - Cell value
+ * @returns {number} Number, NaN if not numeric
+ */
+function parseCoordinate(value) {
+    const trimmed = (value || '').trim();
+    return /^[-+]?\d*[.,]?\d+([eE][-+]?\d+)?$/.test(trimmed) ? Number(trimmed.replace(',', '.')) : NaN;
+}
+
+/**
+ * Convert a cell to a property value: numbers become numbers, except those with leading
+ * zeros such as postal codes
+ * @param {string} value - Cell value
+ * @returns {string|number} Property value
+ */
+function toPropertyValue(value) {
+    const trimmed = value.trim();
+    return /^-?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/.test(trimmed) ? Number(trimmed) : trimmed;
+}
+
+/**
+ * Parse a CSV table with a header row into GeoJSON features
+ * @param {string} text - CSV
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Cell delimiter; detected from the header if omitted
+ * @param {string} [options.latitudeColumn] - Latitude column; detected if omitted
+ * @param {string} [options.longitudeColumn] - Longitude column; detected if omitted
+ * @param {string} [options.wktColumn] - Column with WKT geometries, instead of latitude and longitude
+ * @returns {{geojson: Object, skipped: number, columns: Object}} FeatureCollection with the other
+ *   columns as properties, number of rows without valid coordinates, and the columns used
+ *   ({latitude, longitude} or {wkt})
+ * @throws {Error} If no coordinate columns are found
+ */
+export function parseCsv(text, options = {}) {
+    const content = text.replace(/^\uFEFF/, '');
+    const delimiter = options.delimiter || detectDelimiter(content);
+    const [header = [], ...rows] = splitCsvRows(content, delimiter);
+    const columns = header.map((name, i) => name.trim() || `column${i + 1}`);
+
+    let latitudeIndex = -1;
+    let longitudeIndex = -1;
+    let wktIndex = -1;
+    if (options.wktColumn !== undefined) {
+        wktIndex = findColumn(columns, options.wktColumn, []);
+    } else {
+        latitudeIndex = findColumn(columns, options.latitudeColumn, LATITUDE_COLUMNS);
+        longitudeIndex = findColumn(columns, options.longitudeColumn, LONGITUDE_COLUMNS);
+        if (latitudeIndex === -1 || longitudeIndex === -1) {
+            // A column named like a geometry column, or else the first one holding WKT
+            wktIndex = findColumn(columns, undefined, WKT_COLUMNS);
+            if (wktIndex === -1 && rows.length > 0) {
+                wktIndex = rows[0].findIndex(value => WKT_PATTERN.test(value));
+            }
+        }
+    }
+    if (wktIndex === -1 && (latitudeIndex === -1 || longitudeIndex === -1)) {
+        throw new Error(
+            `No coordinate columns found in the CSV columns ${columns.join(', ')}. ` +
+            'Name the latitude and longitude columns with latitudeColumn and longitudeColumn, or a WKT column with wktColumn'
+        );
+    }
+
+    const coordinateColumns = wktIndex !== -1 ? [wktIndex] : [latitudeIndex, longitudeIndex];
+    let skipped = 0;
+    const features = [];
+
+    rows.forEach(row => {
+        let geometry = null;
+        if (wktIndex !== -1) {
+            try {
+                geometry = parseWkt(row[wktIndex] || '');
+            } catch (error) {
+                geometry = null;
+            }
+        } else {
+            const latitude = parseCoordinate(row[latitudeIndex]);
+            const longitude = parseCoordinate(row[longitudeIndex]);
+            if (Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180) {
+                geometry = { type: 'Point', coordinates: [longitude, latitude] };
+            }
+        }
+        if (!geometry) {
+            skipped++;
+            return;
+        }
+
+        const properties = {};
+        columns.forEach((name, i) => {
+            if (!coordinateColumns.includes(i) && row[i] !== undefined && row[i].trim() !== '') {
+                properties[name] = toPropertyValue(row[i]);
+            }
+        });
+        features.push({ type: 'Feature', geometry, properties });
+    });
+
+    return {
+        geojson: { type: 'FeatureCollection', features },
+        skipped,
+        columns: wktIndex !== -1
+            ? { wkt: columns[wktIndex] }
+            : { latitude: columns[latitudeIndex], longitude: columns[longitudeIndex] }
+    };
+}
+
+/**
+ * Parse an XML document
+ * @param {string} text - XML
+ * @param {string} format - Format name for errors
+ * @returns {Document} Document
+ * @throws {Error} If the XML is invalid or no DOMParser is available
+ */
+function parseXml(text, format) {
+    if (typeof DOMParser === 'undefined') {
+        throw new Error(`Importing ${format} needs a DOMParser, which browsers provide`);
+    }
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error(`Invalid ${format}: the data is not well-formed XML`);
+    }
+    return doc;
+}
+
+// Elements by local name, so that namespace prefixes (e.g. gx:Track) do not matter
+const descendants = (element, name) => Array.from(element.getElementsByTagNameNS('*', name));
+const children = (element, name) => Array.from(element.children).filter(child => child.localName === name);
+const childText = (element, name) => {
+    const child = children(element, name)[0];
+    return child ? child.textContent.trim() : undefined;
+};
+
+/**
+ * Collect the text of an element's leaf children as properties
+ * @param {Element} element - GPX waypoint, route or track
+ * @param {Array<string>} exclude - Children that are not properties
+ * @returns {Object} Properties
+ */
+function gpxProperties(element, exclude) {
+    const properties = {};
+    Array.from(element.children).forEach(child => {
+        if (!exclude.includes(child.localName) && child.children.length === 0 && child.textContent.trim() !== '') {
+            // desc is named like the description of points added by the other tools
+            properties[child.localName === 'desc' ? 'description' : child.localName] = child.textContent.trim();
+        }
+    });
+    return properties;
+}
+
+/**
+ * Position of a GPX point, with its elevation as altitude
+ * @param {Element} point - wpt, rtept or trkpt element
+ * @returns {Array<number>|null} Position, null if invalid
+ */
+function gpxPosition(point) {
+    const longitude = Number(point.getAttribute('lon'));
+    const latitude = Number(point.getAttribute('lat'));
+    if (!point.hasAttribute('lon') || !point.hasAttribute('lat') || !Number.isFinite(longitude) || !Number.isFinite(latitude)) {
+        return null;
+    }
+    const elevation = Number(childText(point, 'ele'));
+    return childText(point, 'ele') !== undefined && Number.isFinite(elevation) ? [longitude, latitude, elevation] : [longitude, latitude];
+}
+
+/**
+ * Parse GPX into GeoJSON: waypoints become points, routes and tracks lines
+ * (tracks with several segments MultiLineStrings)
+ * @param {string} text - GPX
+ * @returns {{geojson: Object, skipped: number}} FeatureCollection and the number of waypoints,
+ *   routes and tracks without valid positions
+ */
+export function parseGpx(text) {
+    const doc = parseXml(text, 'GPX');
+    const features = [];
+    let skipped = 0;
+
+    descendants(doc, 'wpt').forEach(waypoint => {
+        const position = gpxPosition(waypoint);
+        if (!position) {
+            skipped++;
+            return;
+        }
+        features.push({ type: 'Feature', geometry: { type: 'Point', coordinates: position }, properties: gpxProperties(waypoint, ['ele']) });
+    });
+
+    const line = points => points.map(gpxPosition).filter(Boolean);
+
+    descendants(doc, 'rte').forEach(route => {
+        const coordinates = line(children(route, 'rtept'));
+        if (coordinates.length < 2) {
+            skipped++;
+            return;
+        }
+        features.push({ type: 'Feature', geometry: { type: 'LineString', coordinates }, properties: gpxProperties(route, ['rtept']) });
+    });
+
+    descendants(doc, 'trk').forEach(track => {
+        const segments = children(track, 'trkseg')
+            .map(segment => line(children(segment, 'trkpt')))
+            .filter(coordinates => coordinates.length >= 2);
+        if (segments.length === 0) {
+            skipped++;
+            return;
+        }
+        features.push({
+            type: 'Feature',
+            geometry: segments.length === 1
+                ? { type: 'LineString', coordinates: segments[0] }
+                : { type: 'MultiLineString', coordinates: segments },
+            properties: gpxProperties(track, ['trkseg'])
+        });
+    });
+
+    return { geojson: { type: 'FeatureCollection', features }, skipped };
+}
+
+/**
+ * Read KML coordinates ("lon,lat[,alt]" tuples separated by whitespace)
+ * @param {Element} element - Element with a coordinates child
+ * @returns {Array<Array<number>>} Positions
+ */
+function kmlCoordinates(element) {
+    return (childText(element, 'coordinates') || '')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(tuple => tuple.split(',').map(Number))
+        .filter(position => position.length >= 2 && position.every(Number.isFinite))
+        .map(position => position.slice(0, 3));
+}
+
+/**
+ * Convert a KML geometry element to GeoJSON
+ * @param {Element} element - Point, LineString, LinearRing, Polygon, MultiGeometry, Track or MultiTrack
+ * @returns {Object|null} GeoJSON geometry, null if it has no valid positions
+ */
+function kmlGeometry(element) {
+    switch (element.localName) {
+        case 'Point': {
+            const [position] = kmlCoordinates(element);
+            return position ? { type: 'Point', coordinates: position } : null;
+        }
+        case 'LineString': {
+            const coordinates = kmlCoordinates(element);
+            return coordinates.length >= 2 ? { type: 'LineString', coordinates } : null;
+        }
+        case 'LinearRing': {
+            const coordinates = kmlCoordinates(element);
+            return coordinates.length >= 4 ? { type: 'Polygon', coordinates: [coordinates] } : null;
+        }
+        case 'Polygon': {
+            const ring = boundary => children(element, boundary)
+                .flatMap(child => children(child, 'LinearRing'))
+                .map(kmlCoordinates)
+                .filter(coordinates => coordinates.length >= 4);
+            const [outer] = ring('outerBoundaryIs');
+            return outer ? { type: 'Polygon', coordinates: [outer, ...ring('innerBoundaryIs')] } : null;
+        }
+        case 'Track': {
+            // gx:coord values are separated by spaces, not commas
+            const coordinates = children(element, 'coord')
+                .map(coord => coord.textContent.trim().split(/\s+/).map(Number).slice(0, 3))
+                .filter(position => position.length >= 2 && position.every(Number.isFinite));
+            return coordinates.length >= 2 ? { type: 'LineString', coordinates } : null;
+        }
+        case 'MultiGeometry':
+        case 'MultiTrack': {
+            const geometries = Array.from(element.children).map(kmlGeometry).filter(Boolean);
+            if (geometries.length === 0) {
+                return null;
+            }
+            const [first] = geometries;
+            if (geometries.length === 1) {
+                return first;
+            }
+            // Parts of one type become a Multi* geometry
+            if (['Point', 'LineString', 'Polygon'].includes(first.type) && geometries.every(geometry => geometry.type === first.type)) {
+                return { type: `Multi${first.type}`, coordinates: geometries.map(geometry => geometry.coordinates) };
+            }
+            return { type: 'GeometryCollection', geometries };
+        }
+        default:
+            return null;
+    }
+}
+
+const KML_GEOMETRIES = ['Point', 'LineString', 'LinearRing', 'Polygon', 'MultiGeometry', 'Track', 'MultiTrack'];
+
+/**
+ * Parse KML into GeoJSON: one feature per Placemark, with its name, description and
+ * extended data as properties
+ * @param {string} text - KML
+ * @returns {{geojson: Object, skipped: number}} FeatureCollection and the number of placemarks
+ *   without a supported geometry
+ */
+export function parseKml(text) {
+    const doc = parseXml(text, 'KML');
+    const features = [];
+    let skipped = 0;
+
+    descendants(doc, 'Placemark').forEach(placemark => {
+        const geometryElement = Array.from(placemark.children).find(child => KML_GEOMETRIES.includes(child.localName));
+        const geometry = geometryElement ? kmlGeometry(geometryElement) : null;
+        if (!geometry) {
+            skipped++;
+            return;
+        }
+
+        const properties = {};
+        ['name', 'description'].forEach(name => {
+            const value = childText(placemark, name);
+            if (value !== undefined && value !== '') {
+                properties[name] = value;
+            }
+        });
+        children(placemark, 'ExtendedData').forEach(extendedData => {
+            descendants(extendedData, 'Data').forEach(data => {
+                const value = childText(data, 'value');
+                if (data.getAttribute('name') && value !== undefined) {
+                    properties[data.getAttribute('name')] = toPropertyValue(value);
+                }
+            });
+            descendants(extendedData, 'SimpleData').forEach(data => {
+                if (data.getAttribute('name')) {
+                    properties[data.getAttribute('name')] = toPropertyValue(data.textContent);
+                }
+            });
+        });
+
+        features.push({ type: 'Feature', geometry, properties });
+    });
+
+    return { geojson: { type: 'FeatureCollection', features }, skipped };
+}
@@ -0,0 +1,185 @@
+/**
+ * Geodesy
+ *
+ * Distances, bearings and circles on a spherical earth, in meters and degrees.
+ * Positions are [longitude, latitude].
+ */
+
+export const EARTH_RADIUS_METERS = 6371008.8;
+
+// Meters per distance unit accepted by the tools
+export const DISTANCE_UNITS = {
+    meters: 1,
+    kilometers: 1000,
+    miles: 1609.344
+};
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+/**
+ * Convert a distance to meters
+ * @param {number} value - Distance
+ * @param {string} unit - 'meters', 'kilometers' or 'miles'
+ * @returns {number} Distance in meters
+ */
+export function toMeters(value, unit) {
+    if (!DISTANCE_UNITS[unit]) {
+        throw new Error(`Unknown distance unit "${unit}". Use one of: ${Object.keys(DISTANCE_UNITS).join(', ')}`);
+    }
+    return value * DISTANCE_UNITS[unit];
+}
+
+/**
+ * Angular distance between two positions (haversine)
+ * @param {Array<number>} from - Position
+ * @param {Array<number>} to - Position
+ * @returns {number} Distance in radians
+ */
+function angularDistance([lon1, lat1], [lon2, lat2]) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Great-circle distance between two positions
+ * @param {Array<number>} from - Position
+ * @param {Array<number>} to - Position
+ * @returns {number} Distance in meters
+ */
+export function distance(from, to) {
+    return angularDistance(from, to) * EARTH_RADIUS_METERS;
+}
+
+/**
+ * Initial bearing of the great circle from one position to another
+ * @param {Array<number>} from - Position
+ * @param {Array<number>} to - Position
+ * @returns {number} Bearing in radians, clockwise from north
+ */
+function bearingRadians([lon1, lat1], [lon2, lat2]) {
+    const phi1 = toRadians(lat1);
+    const phi2 = toRadians(lat2);
+    const dLon = toRadians(lon2 - lon1);
+    return Math.atan2(
+        Math.sin(dLon) * Math.cos(phi2),
+        Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon)
+    );
+}
+
+/**
+ * Initial bearing from one position to another
+ * @param {Array<number>} from - Position
+ * @param {Array<number>} to - Position
+ * @returns {number} Bearing in degrees clockwise from north (0-360)
+ */
+export function bearing(from, to) {
+    return (toDegrees(bearingRadians(from, to)) + 360) % 360;
+}
+
+/**
+ * Position reached by travelling a distance along a bearing
+ * @param {Array<number>} origin - Start position
+ * @param {number} bearingDegrees - Bearing in degrees clockwise from north
+ * @param {number} distanceMeters - Distance in meters
+ * @returns {Array<number>} Position, with longitude normalized to -180..180
+ */
+export function destination([lon, lat], bearingDegrees, distanceMeters) {
+    const delta = distanceMeters / EARTH_RADIUS_METERS;
+    const theta = toRadians(bearingDegrees);
+    const phi1 = toRadians(lat);
+    const lambda1 = toRadians(lon);
+
+    const phi2 = Math.asin(
+        Math.sin(phi1) * Math.cos(delta) + Math.cos(phi1) * Math.sin(delta) * Math.cos(theta)
+    );
+    const lambda2 = lambda1 + Math.atan2(
+        Math.sin(theta) * Math.sin(delta) * Math.cos(phi1),
+        Math.cos(delta) - Math.sin(phi1) * Math.sin(phi2)
+    );
+
+    return [((toDegrees(lambda2) + 540) % 360) - 180, toDegrees(phi2)];
+}
+
+/**
+ * Shortest distance from a position to the great-circle segment between two positions
+ * @param {Array<number>} point - Position
+ * @param {Array<number>} start - Segment start
+ * @param {Array<number>} end - Segment end
+ * @returns {number} Distance in meters
+ */
+export function distanceToSegment(point, start, end) {
+    const segmentLength = angularDistance(start, end);
+    const fromStart = angularDistance(start, point);
+    if (segmentLength === 0 || fromStart === 0) {
+        return fromStart * EARTH_RADIUS_METERS;
+    }
+
+    const angle = bearingRadians(start, point) - bearingRadians(start, end);
+    // Beyond the start of the segment
+    if (Math.cos(angle) < 0) {
+        return fromStart * EARTH_RADIUS_METERS;
+    }
+
+    const crossTrack = Math.asin(Math.max(-1, Math.min(1, Math.sin(fromStart) * Math.sin(angle))));
+    const alongTrack = Math.acos(Math.max(-1, Math.min(1, Math.cos(fromStart) / Math.cos(crossTrack))));
+    if (alongTrack > segmentLength) {
+        return distance(point, end);
+    }
+
+    return Math.abs(crossTrack) * EARTH_RADIUS_METERS;
+}
+
+/**
+ * Geodesic circle around a position. A circle containing a pole is closed through the
+ * pole, spanning all longitudes.
+ * @param {Array<number>} center - Center position
+ * @param {number} radius - Radius in meters
+ * @param {number} [steps=64] - Number of vertices
+ * @returns {Object} GeoJSON Polygon, counterclockwise
+ */
+export function circle(center, radius, steps = 64) {
+    const unwrap = lon => center[0] + ((lon - center[0] + 540) % 360) - 180;
+    const poles = [90, -90].filter(lat => distance(center, [center[0], lat]) < radius);
+    if (poles.length > 1) {
+        throw new Error('The circle is too large: it would contain both poles');
+    }
+
+    if (poles.length === 0) {
+        // Counterclockwise: bearings decreasing from north. Longitudes stay continuous around
+        // the center, so circles across the antimeridian are not torn apart.
+        const ring = Array.from({ length: steps }, (_, i) => {
+            const [lon, lat] = destination(center, 360 - i * 360 / steps, radius);
+            return [unwrap(lon), lat];
+        });
+        ring.push(ring[0]);
+        return { type: 'Polygon', coordinates: [ring] };
+    }
+
+    // Around a pole the outline runs across all longitudes, from center - 180 to center + 180
+    // (where it passes the pole's far side), and the ring closes along the pole. Going east
+    // below the north pole or west above the south pole keeps the ring counterclockwise.
+    const pole = poles[0];
+    const west = center[0] - 180;
+    const east = center[0] + 180;
+    const outline = Math.abs(center[1]) === 90
+        // Bearings are undefined at the pole itself: the circle is a parallel
+        ? Array.from({ length: steps - 1 }, (_, i) => [west + (i + 1) * 360 / steps, pole - Math.sign(pole) * toDegrees(radius / EARTH_RADIUS_METERS)])
+        : Array.from({ length: steps - 1 }, (_, i) => {
+            const [lon, lat] = destination(center, (i + 1) * 360 / steps + (pole > 0 ? 0 : 180), radius);
+            return [unwrap(lon), lat];
+        }).sort((a, b) => a[0] - b[0]);
+    const seamLat = Math.abs(center[1]) === 90
+        ? outline[0][1]
+        : destination(center, pole > 0 ? 0 : 180, radius)[1];
+
+    const ring = [[west, seamLat], ...outline, [east, seamLat], [east, pole], [west, pole]];
+    if (pole < 0) {
+        ring.reverse();
+    }
+    ring.push(ring[0]);
+    return { type: 'Polygon', coordinates: [ring] };
+}
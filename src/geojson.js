@@ -0,0 +1,172 @@
+/**
+ * GeoJSON helpers
+ *
+ * Small utilities for walking the GeoJSON stored in tool-created sources, and planar
+ * ring tests in longitude/latitude as Mapbox GL draws polygons.
+ */
+
+// Values of the type member of GeoJSON objects
+export const GEOJSON_TYPES = [
+    'FeatureCollection', 'Feature', 'Point', 'MultiPoint', 'LineString', 'MultiLineString',
+    'Polygon', 'MultiPolygon', 'GeometryCollection'
+];
+
+/**
+ * Normalize any GeoJSON object to an array of features
+ * @param {Object} geojson - FeatureCollection, Feature or geometry
+ * @returns {Array<Object>} Features
+ */
+export function toFeatures(geojson) {
+    if (!geojson || typeof geojson !== 'object') {
+        return [];
+    }
+    if (geojson.type === 'FeatureCollection') {
+        return geojson.features || [];
+    }
+    if (geojson.type === 'Feature') {
+        return [geojson];
+    }
+    return [{ type: 'Feature', geometry: geojson, properties: {} }];
+}
+
+/**
+ * Call a function for every position of a geometry
+ * @param {Object} geometry - GeoJSON geometry (including GeometryCollection)
+ * @param {Function} callback - Called with each [longitude, latitude] position
+ */
+export function forEachPosition(geometry, callback) {
+    if (!geometry) {
+        return;
+    }
+
+    if (geometry.type === 'GeometryCollection') {
+        (geometry.geometries || []).forEach(child => forEachPosition(child, callback));
+        return;
+    }
+
+    const visit = (coordinates) => {
+        if (!Array.isArray(coordinates)) {
+            return;
+        }
+        if (typeof coordinates[0] === 'number') {
+            callback(coordinates);
+            return;
+        }
+        coordinates.forEach(visit);
+    };
+
+    visit(geometry.coordinates);
+}
+
+/**
+ * Compute the bounding box of any GeoJSON object
+ * @param {Object} geojson - FeatureCollection, Feature or geometry
+ * @returns {Array<number>|null} [west, south, east, north], or null if there are no positions
+ */
+export function getBoundingBox(geojson) {
+    let bbox = null;
+
+    toFeatures(geojson).forEach(feature => {
+        forEachPosition(feature.geometry, ([longitude, latitude]) => {
+            if (!bbox) {
+                bbox = [longitude, latitude, longitude, latitude];
+                return;
+            }
+            bbox[0] = Math.min(bbox[0], longitude);
+            bbox[1] = Math.min(bbox[1], latitude);
+            bbox[2] = Math.max(bbox[2], longitude);
+            bbox[3] = Math.max(bbox[3], latitude);
+        });
+    });
+
+    return bbox;
+}
+
+/**
+ * Signed area of a ring in degrees², positive for counterclockwise rings
+ * @param {Array<Array<number>>} ring - Closed ring
+ * @returns {number} Signed area
+ */
+export function signedArea(ring) {
+    let area = 0;
+    for (let i = 1; i < ring.length; i++) {
+        area += (ring[i - 1][0] * ring[i][1]) - (ring[i][0] * ring[i - 1][1]);
+    }
+    return area / 2;
+}
+
+/**
+ * Check whether a position lies inside a ring (even-odd rule, planar in degrees)
+ * @param {Array<number>} position - Position
+ * @param {Array<Array<number>>} ring - Closed ring
+ * @returns {boolean} True if inside
+ */
+export function ringContains([x, y], ring) {
+    let inside = false;
+    for (let i = 1; i < ring.length; i++) {
+        const [x1, y1] = ring[i - 1];
+        const [x2, y2] = ring[i];
+        if ((y1 > y) !== (y2 > y) && x < x1 + (y - y1) * (x2 - x1) / (y2 - y1)) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Check whether a position lies inside a polygon and outside its holes
+ * @param {Array<number>} position - Position
+ * @param {Array<Array<Array<number>>>} rings - Polygon coordinates: outer ring, then holes
+ * @returns {boolean} True if inside
+ */
+export function polygonContains(position, rings) {
+    return rings.length > 0 && ringContains(position, rings[0]) &&
+        !rings.slice(1).some(hole => ringContains(position, hole));
+}
+
+/**
+ * Collect the polygons of a geometry
+ * @param {Object} geometry - GeoJSON geometry (including GeometryCollection)
+ * @returns {Array<Array<Array<Array<number>>>>} Coordinates of each Polygon and MultiPolygon part
+ */
+export function toPolygons(geometry) {
+    if (!geometry) {
+        return [];
+    }
+    switch (geometry.type) {
+        case 'Polygon':
+            return [geometry.coordinates];
+        case 'MultiPolygon':
+            return geometry.coordinates;
+        case 'GeometryCollection':
+            return (geometry.geometries || []).flatMap(toPolygons);
+        default:
+            return [];
+    }
+}
+
+/**
+ * Build a geometry from closed rings: counterclockwise rings are outlines, clockwise
+ * rings holes of the smallest outline around them
+ * @param {Array<Array<Array<number>>>} rings - Closed rings
+ * @returns {Object|null} GeoJSON Polygon or MultiPolygon, or null without outlines
+ */
+export function assemblePolygons(rings) {
+    const outlines = rings
+        .filter(ring => signedArea(ring) > 0)
+        .sort((a, b) => signedArea(a) - signedArea(b))
+        .map(ring => [ring]);
+    rings.filter(ring => signedArea(ring) < 0).forEach(hole => {
+        const outline = outlines.find(([outer]) => ringContains(hole[0], outer));
+        if (outline) {
+            outline.push(hole);
+        }
+    });
+
+    if (outlines.length === 0) {
+        return null;
+    }
+    return outlines.length === 1
+        ? { type: 'Polygon', coordinates: outlines[0] }
+        : { type: 'MultiPolygon', coordinates: outlines };
+}
@@ -0,0 +1,75 @@
+/**
+ * Icon images
+ *
+ * Loads the images registered with MapboxMapTools.registerIcon and draws the
+ * placeholder shown for icons that are neither in the style's sprite nor registered.
+ */
+
+// Size of SVG icons without width and height attributes
+const DEFAULT_SVG_SIZE = 32;
+
+/**
+ * Check whether a string is SVG markup rather than a URL
+ * @param {string} source - URL or SVG markup
+ * @returns {boolean} True for SVG markup
+ */
+export function isSvgMarkup(source) {
+    return /^\s*(<\?xml|<svg)/i.test(source);
+}
+
+/**
+ * Load an icon image from a URL or SVG markup
+ * @param {string} source - Image URL (PNG, JPEG, WebP, SVG, data URL) or SVG markup
+ * @param {Object} [options]
+ * @param {number} [options.width] - Width to render the image at, in pixels
+ * @param {number} [options.height] - Height to render the image at, in pixels
+ * @returns {Promise<HTMLImageElement>} The loaded image
+ */
+export function loadIconImage(source, { width, height } = {}) {
+    const svg = isSvgMarkup(source);
+
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => {
+            if (width || height) {
+                image.width = width || Math.round(image.naturalWidth * height / image.naturalHeight);
+                image.height = height || Math.round(image.naturalHeight * width / image.naturalWidth);
+            } else if (!image.width || !image.height) {
+                // SVGs without width and height attributes have no intrinsic size
+                image.width = DEFAULT_SVG_SIZE;
+                image.height = DEFAULT_SVG_SIZE;
+            }
+            resolve(image);
+        };
+        image.onerror = () => {
+            reject(new Error(svg ? 'Could not load the icon from the SVG markup' : `Could not load the icon image from ${source}`));
+        };
+        image.src = svg ? `data:image/svg+xml;charset=utf-8,${encodeURIComponent(source)}` : source;
+    });
+}
+
+/**
+ * Draw the placeholder for missing icons: a grey dot with a white outline
+ * @param {number} [size=16] - Width and height in pixels
+ * @returns {{width: number, height: number, data: Uint8Array}} RGBA image accepted by map.addImage
+ */
+export function createPlaceholderIcon(size = 16) {
+    const data = new Uint8Array(size * size * 4);
+    const center = (size - 1) / 2;
+    const radius = size / 2;
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const distance = Math.hypot(x - center, y - center);
+            if (distance > radius) {
+                continue;
+            }
+            const offset = (y * size + x) * 4;
+            const value = distance > radius - 2 ? 255 : 136;
+            data.set([value, value, value, 255], offset);
+        }
+    }
+
+    return { width: size, height: size, data };
+}
@@ -0,0 +1,484 @@
+/**
+ * Map legend
+ *
+ * Derives legend entries from the paint of tool-created layers (single colors,
+ * polygon fill/stroke pairs, data-driven classes) and renders them in a
+ * Mapbox GL IControl. Entries are plain JSON so they can also be given to an LLM.
+ */
+
+import { toFeatures } from './geojson.js';
+
+// Paint properties holding the color and size of each layer type
+const LAYER_PAINT = {
+    circle: { color: 'circle-color', size: 'circle-radius', strokeColor: 'circle-stroke-color' },
+    line: { color: 'line-color', size: 'line-width' },
+    fill: { color: 'fill-color', opacity: 'fill-opacity' },
+    'fill-extrusion': { color: 'fill-extrusion-color' },
+    heatmap: { color: 'heatmap-color' }
+};
+
+/**
+ * Format a class break for a legend label
+ * @param {*} value - Break value
+ * @returns {string} Label text
+ */
+function formatValue(value) {
+    if (typeof value !== 'number') {
+        return String(value);
+    }
+    return Number.isInteger(value)
+        ? value.toLocaleString('en-US')
+        : Number(value.toPrecision(4)).toLocaleString('en-US');
+}
+
+/**
+ * Find the feature property an expression input reads, e.g. ['to-number', ['get', 'population']]
+ * @param {*} input - Expression input
+ * @returns {string|null} Property name
+ */
+function findProperty(input) {
+    if (!Array.isArray(input)) {
+        return null;
+    }
+    if (input[0] === 'get' && typeof input[1] === 'string') {
+        return input[1];
+    }
+    for (const argument of input.slice(1)) {
+        const property = findProperty(argument);
+        if (property) {
+            return property;
+        }
+    }
+    return null;
+}
+
+/**
+ * Describe a paint value as legend classes
+ * @param {*} value - Paint property value (literal or expression)
+ * @returns {Object|null} { constant } for literals, { property, classes: [{ label, value, values }], fallback }
+ *   for step, match and interpolate expressions (values lists the matched values of match classes),
+ *   { property, perFeature: true, fallback } for ['get', property] and ['coalesce', ['get', property], fallback],
+ *   or null if the value cannot be described
+ */
+function describePaintValue(value) {
+    if (value === undefined) {
+        return null;
+    }
+    if (!Array.isArray(value)) {
+        return { constant: value };
+    }
+
+    const [operator, ...args] = value;
+
+    switch (operator) {
+        case 'get':
+            return { property: args[0], perFeature: true };
+
+        case 'coalesce': {
+            // ['coalesce', ['get', property], fallback]: per-feature values with a layer default
+            const [first, fallback] = args;
+            if (args.length === 2 && Array.isArray(first) && first[0] === 'get' && !Array.isArray(fallback)) {
+                return { property: first[1], perFeature: true, fallback };
+            }
+            return null;
+        }
+
+        case 'case': {
+            // ['case', ['has', property], expression, fallback] as compiled by data-driven styling
+            if (args.length === 3 && Array.isArray(args[0]) && args[0][0] === 'has') {
+                const fallback = { label: 'No data', missing: true, value: args[2] };
+                const inner = describePaintValue(args[1]);
+                if (inner && inner.classes) {
+                    return { ...inner, fallback };
+                }
+                // A single class: every feature with a value gets the same output
+                if (inner && inner.constant !== undefined) {
+                    return { property: args[0][1], classes: [{ label: 'All', value: inner.constant }], fallback };
+                }
+            }
+            return null;
+        }
+
+        case 'step': {
+            const [input, first, ...stops] = args;
+            const breaks = stops.filter((_, i) => i % 2 === 0);
+            const outputs = [first, ...stops.filter((_, i) => i % 2 === 1)];
+            return {
+                property: findProperty(input),
+                classes: outputs.map((output, i) => {
+                    let label;
+                    if (i === 0) {
+                        label = `< ${formatValue(breaks[0])}`;
+                    } else if (i === breaks.length) {
+                        label = `≥ ${formatValue(breaks[i - 1])}`;
+                    } else {
+                        label = `${formatValue(breaks[i - 1])} – ${formatValue(breaks[i])}`;
+                    }
+                    return { label, value: output };
+                })
+            };
+        }
+
+        case 'match': {
+            const [input, ...rest] = args;
+            const fallback = rest[rest.length - 1];
+            const pairs = rest.slice(0, -1);
+            const classes = [];
+            for (let i = 0; i < pairs.length; i += 2) {
+                const labels = Array.isArray(pairs[i]) ? pairs[i] : [pairs[i]];
+                classes.push({ label: labels.map(formatValue).join(', '), values: labels.map(String), value: pairs[i + 1] });
+            }
+            return {
+                property: findProperty(input),
+                classes,
+                fallback: { label: 'Other', missing: false, value: fallback }
+            };
+        }
+
+        case 'interpolate':
+        case 'interpolate-hcl':
+        case 'interpolate-lab': {
+            const [, input, ...stops] = args;
+            const classes = [];
+            for (let i = 0; i < stops.length; i += 2) {
+                classes.push({ label: formatValue(stops[i]), value: stops[i + 1] });
+            }
+            return { property: findProperty(input), classes };
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Get the value a per-feature paint value has for a feature
+ * @param {Object} description - Per-feature result of describePaintValue
+ * @param {Object} feature - GeoJSON feature
+ * @returns {*} Property value, or the fallback if the feature has none
+ */
+function featureValue(description, feature) {
+    const value = feature.properties ? feature.properties[description.property] : undefined;
+    return value === undefined || value === null ? description.fallback : value;
+}
+
+/**
+ * Check whether a feature falls into the fallback of a data-driven paint value
+ * @param {Object} feature - GeoJSON feature
+ * @param {Object} description - Result of describePaintValue
+ * @returns {boolean} True if no class matches the feature
+ */
+function usesFallback(feature, description) {
+    const value = feature.properties ? feature.properties[description.property] : undefined;
+    if (description.fallback.missing) {
+        return value === undefined || value === null;
+    }
+    return !description.classes.some(cls => cls.values && cls.values.includes(String(value)));
+}
+
+/**
+ * Build the legend items of a layer from its color and size paint properties
+ * @param {Object} layerSpec - Mapbox GL layer specification
+ * @param {Array<Object>|null} features - The layer's GeoJSON features, if known
+ * @returns {{property: (string|null), items: Array<Object>}|null} Legend items, or null for
+ *   layer types without a legend
+ */
+function buildLayerItems(layerSpec, features) {
+    const paintProperties = LAYER_PAINT[layerSpec.type];
+    if (!paintProperties) {
+        return null;
+    }
+
+    const paint = layerSpec.paint || {};
+    const color = describePaintValue(paint[paintProperties.color]);
+    const size = paintProperties.size ? describePaintValue(paint[paintProperties.size]) : null;
+    const constants = {};
+    if (paintProperties.opacity && typeof paint[paintProperties.opacity] === 'number') {
+        constants.opacity = paint[paintProperties.opacity];
+    }
+    if (paintProperties.strokeColor && typeof paint[paintProperties.strokeColor] === 'string') {
+        constants.strokeColor = paint[paintProperties.strokeColor];
+    }
+
+    // Colors taken from each feature (e.g. per-point colors): one item per distinct color,
+    // unless the size is data-driven
+    if (color && color.perFeature && !(size && size.classes)) {
+        if (!features) {
+            return { property: null, items: color.fallback !== undefined ? [{ label: null, color: color.fallback, ...constants }] : [] };
+        }
+        const groups = new Map();
+        features.forEach(feature => {
+            const featureColor = featureValue(color, feature);
+            if (!groups.has(featureColor)) {
+                groups.set(featureColor, []);
+            }
+            groups.get(featureColor).push(feature);
+        });
+        const items = Array.from(groups.entries()).map(([groupColor, groupFeatures]) => {
+            const titles = groupFeatures
+                .map(feature => feature.properties && (feature.properties.title || feature.properties.name))
+                .filter(Boolean);
+            let label = null;
+            if (groups.size > 1) {
+                label = titles.length === groupFeatures.length && titles.length <= 3
+                    ? titles.join(', ')
+                    : `${groupFeatures.length} features`;
+            }
+            const item = { label, color: groupColor };
+            if (size && size.constant !== undefined) {
+                item.size = size.constant;
+            } else if (size && size.perFeature) {
+                item.size = featureValue(size, groupFeatures[0]);
+            }
+            return { ...item, ...constants };
+        });
+        return { property: null, items };
+    }
+
+    // Heatmaps: the color ramp from low to high density, without the transparent zero stop
+    if (layerSpec.type === 'heatmap') {
+        const stops = color && color.classes ? color.classes.filter(cls => Number(cls.label) > 0) : [];
+        return {
+            property: null,
+            items: stops.map((cls, i) => ({
+                label: i === 0 ? 'Low' : (i === stops.length - 1 ? 'High' : null),
+                color: cls.value
+            }))
+        };
+    }
+
+    // The data-driven channel determines the items; a second one on the same classes is zipped in
+    const primary = color && color.classes ? color : (size && size.classes ? size : null);
+    if (!primary) {
+        const item = { label: null };
+        if (color && color.constant !== undefined) {
+            item.color = color.constant;
+        }
+        if (size && size.constant !== undefined) {
+            item.size = size.constant;
+        }
+        return { property: null, items: [{ ...item, ...constants }] };
+    }
+
+    let secondary = primary === color ? size : color;
+    if (secondary && secondary.perFeature) {
+        // Per-feature colors of size classes are shown when all features share one color
+        const featureColors = new Set((features || []).map(feature => featureValue(secondary, feature)));
+        secondary = featureColors.size === 1 ? { constant: Array.from(featureColors)[0] } : null;
+    }
+    const secondaryKey = primary === color ? 'size' : 'color';
+    const sameClasses = secondary && secondary.classes && secondary.property === primary.property &&
+        secondary.classes.length === primary.classes.length;
+
+    const classes = [...primary.classes];
+    const secondaryClasses = sameClasses ? [...secondary.classes] : null;
+    if (primary.fallback && features && features.some(feature => usesFallback(feature, primary))) {
+        classes.push(primary.fallback);
+        if (secondaryClasses) {
+            secondaryClasses.push(secondary.fallback || secondary.classes[0]);
+        }
+    }
+
+    const items = classes.map((cls, i) => {
+        const item = { label: cls.label, [primary === color ? 'color' : 'size']: cls.value };
+        if (secondaryClasses) {
+            item[secondaryKey] = secondaryClasses[i].value;
+        } else if (secondary && secondary.constant !== undefined) {
+            item[secondaryKey] = secondary.constant;
+        }
+        return { ...item, ...constants };
+    });
+
+    return { property: primary.property, items };
+}
+
+/**
+ * Build the legend entry of one registry entry (one tool call)
+ * @param {Object} entry - Registry entry of MapboxMapTools
+ * @returns {Object|null} Legend entry, or null if its layers have nothing to show
+ */
+export function buildLegendEntry(entry) {
+    const geojsonSource = entry.sources.find(source => source.spec && source.spec.type === 'geojson');
+    const features = geojsonSource ? toFeatures(geojsonSource.spec.data) : null;
+    const visible = entry.layers.some(layerSpec => !layerSpec.layout || layerSpec.layout.visibility !== 'none');
+
+    // Polygons: the fill layer provides the items, the outline layer their stroke
+    const fillLayer = entry.layers.find(layerSpec => layerSpec.type === 'fill');
+    const strokeLayer = fillLayer && entry.layers.find(layerSpec => layerSpec.type === 'line' && layerSpec.source === fillLayer.source);
+    // Otherwise the layer named like the entry, e.g. the points of a clustered points layer
+    const mainLayer = fillLayer || entry.layers.find(layerSpec => layerSpec.id === entry.id) || entry.layers[0];
+    if (!mainLayer) {
+        return null;
+    }
+
+    const layerItems = buildLayerItems(mainLayer, features);
+    if (!layerItems) {
+        return null;
+    }
+
+    let items = layerItems.items;
+    if (strokeLayer) {
+        const strokePaint = strokeLayer.paint || {};
+        items = items.map(item => ({
+            ...item,
+            ...(typeof strokePaint['line-color'] === 'string' ? { strokeColor: strokePaint['line-color'] } : {}),
+            ...(typeof strokePaint['line-width'] === 'number' ? { strokeWidth: strokePaint['line-width'] } : {})
+        }));
+    }
+
+    return {
+        layerId: entry.id,
+        layerName: entry.layerName,
+        toolName: entry.toolName,
+        symbol: mainLayer.type,
+        property: layerItems.property,
+        visible,
+        items
+    };
+}
+
+export class LegendControl {
+    /**
+     * Mapbox GL control showing the legend of all visible tool-created layers.
+     * Updates itself after every tool call of the MapboxMapTools instance.
+     * @param {MapboxMapTools} mapTools - Map tools instance
+     * @param {Object} [options]
+     * @param {string} [options.title='Legend'] - Heading of the legend, empty for none
+     */
+    constructor(mapTools, options = {}) {
+        if (!mapTools) {
+            throw new Error('MapboxMapTools instance is required');
+        }
+
+        this.mapTools = mapTools;
+        this.options = {
+            title: 'Legend',
+            ...options
+        };
+        this.container = null;
+    }
+
+    /**
+     * @param {mapboxgl.Map} map - Map the control is added to
+     * @returns {HTMLElement} Control container
+     */
+    onAdd(map) {
+        this.map = map;
+        this.container = document.createElement('div');
+        this.container.className = 'mapboxgl-ctrl mapboxgl-ctrl-group mapbox-map-tools-legend';
+        Object.assign(this.container.style, {
+            padding: '6px 8px',
+            font: '12px/1.4 sans-serif',
+            maxHeight: '50vh',
+            overflowY: 'auto'
+        });
+
+        this.mapTools.legendControls.add(this);
+        this.update();
+        return this.container;
+    }
+
+    onRemove() {
+        this.mapTools.legendControls.delete(this);
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+        this.container = null;
+        this.map = null;
+    }
+
+    getDefaultPosition() {
+        return 'bottom-left';
+    }
+
+    /**
+     * Re-render the legend from the current layers. Labels are inserted as text.
+     */
+    update() {
+        if (!this.container) {
+            return;
+        }
+
+        const entries = this.mapTools.getLegend().filter(entry => entry.visible && entry.items.length > 0);
+        this.container.textContent = '';
+        this.container.style.display = entries.length > 0 ? '' : 'none';
+
+        if (this.options.title) {
+            const heading = document.createElement('div');
+            heading.style.fontWeight = 'bold';
+            heading.textContent = this.options.title;
+            this.container.appendChild(heading);
+        }
+
+        entries.forEach(entry => {
+            const section = document.createElement('div');
+            section.style.marginTop = '4px';
+
+            const title = document.createElement('div');
+            title.textContent = entry.property ? `${entry.layerName} (${entry.property})` : entry.layerName;
+            section.appendChild(title);
+
+            entry.items.forEach(item => {
+                const row = document.createElement('div');
+                row.style.display = 'flex';
+                row.style.alignItems = 'center';
+
+                row.appendChild(this.createSwatch(entry.symbol, item));
+
+                if (item.label) {
+                    const label = document.createElement('span');
+                    label.style.marginLeft = '6px';
+                    label.textContent = item.label;
+                    row.appendChild(label);
+                }
+
+                section.appendChild(row);
+            });
+
+            this.container.appendChild(section);
+        });
+    }
+
+    /**
+     * Create the colored symbol of a legend item
+     * @param {string} symbol - Layer type (circle, line, fill, ...)
+     * @param {Object} item - Legend item
+     * @returns {HTMLElement} Swatch element
+     */
+    createSwatch(symbol, item) {
+        const swatch = document.createElement('span');
+        const color = typeof item.color === 'string' ? item.color : '#888888';
+        Object.assign(swatch.style, {
+            display: 'inline-block',
+            flex: 'none',
+            boxSizing: 'border-box'
+        });
+
+        if (symbol === 'circle') {
+            const diameter = Math.min(Math.max((typeof item.size === 'number' ? item.size : 6) * 2, 6), 32);
+            Object.assign(swatch.style, {
+                width: `${diameter}px`,
+                height: `${diameter}px`,
+                borderRadius: '50%',
+                background: color,
+                border: item.strokeColor ? `1px solid ${item.strokeColor}` : 'none'
+            });
+        } else if (symbol === 'line') {
+            Object.assign(swatch.style, {
+                width: '20px',
+                height: `${Math.min(Math.max(typeof item.size === 'number' ? item.size : 2, 1), 10)}px`,
+                background: color
+            });
+        } else {
+            Object.assign(swatch.style, {
+                width: '16px',
+                height: '12px',
+                background: color,
+                opacity: item.opacity === undefined ? 1 : Math.max(item.opacity, 0.3),
+                border: item.strokeColor ? `${Math.min(item.strokeWidth || 1, 3)}px solid ${item.strokeColor}` : 'none'
+            });
+        }
+
+        return swatch;
+    }
+}
@@ -0,0 +1,312 @@
+/**
+ * LLM provider formats
+ *
+ * Converts the tool definitions of MapboxMapTools (Anthropic-style name /
+ * description / input_schema) into the tool formats of other LLM providers,
+ * and converts each provider's tool-call objects into executeTool arguments
+ * and tool results back into that provider's tool-result message.
+ *
+ * Supported formats:
+ * - anthropic: { name, description, input_schema }, tool_use blocks, tool_result blocks
+ * - openai:    Chat Completions { type: 'function', function: { name, description, parameters } },
+ *              tool_calls with JSON-encoded arguments, { role: 'tool' } messages
+ * - gemini:    [{ functionDeclarations: [...] }] with the OpenAPI schema subset Gemini accepts,
+ *              functionCall parts, functionResponse parts
+ * - mcp:       { name, description, inputSchema }, tools/call params, CallToolResult
+ */
+
+export const LLM_FORMATS = ['anthropic', 'openai', 'gemini', 'mcp'];
+
+// Schema keywords Gemini's function declarations accept; everything else is stripped
+const GEMINI_SCHEMA_KEYWORDS = [
+    'type', 'format', 'description', 'nullable', 'enum',
+    'properties', 'required', 'items', 'minItems', 'maxItems', 'minimum', 'maximum'
+];
+
+/**
+ * Throw for formats that are not supported
+ * @param {string} format - Format name
+ */
+function assertFormat(format) {
+    if (!LLM_FORMATS.includes(format)) {
+        throw new Error(`Unknown LLM format "${format}". Supported formats: ${LLM_FORMATS.join(', ')}`);
+    }
+}
+
+/**
+ * Append a sentence to an optional description
+ * @param {string} [description] - Existing description
+ * @param {string} sentence - Sentence to append
+ * @returns {string} Combined description
+ */
+function appendSentence(description, sentence) {
+    if (!description) {
+        return sentence;
+    }
+    return /[.!?]$/.test(description) ? `${description} ${sentence}` : `${description}. ${sentence}`;
+}
+
+/**
+ * Check whether a schema describes free-form JSON that Gemini cannot express:
+ * an object without declared properties or an array with untyped items
+ * (e.g. paint properties and filter expressions)
+ * @param {Object} schema - JSON Schema
+ * @returns {boolean} True if the schema is free-form
+ */
+function isFreeFormSchema(schema) {
+    if (schema.type === 'object') {
+        return !schema.properties || Object.keys(schema.properties).length === 0;
+    }
+    if (schema.type === 'array') {
+        return !schema.items || !schema.items.type;
+    }
+    return false;
+}
+
+/**
+ * Convert a JSON Schema to the schema subset Gemini accepts. Free-form values are
+ * declared as JSON-encoded strings and decoded again by parseToolCall.
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} Gemini schema
+ */
+export function toGeminiSchema(schema) {
+    if (isFreeFormSchema(schema)) {
+        return {
+            type: 'STRING',
+            description: appendSentence(schema.description, 'Pass this value as a JSON-encoded string.')
+        };
+    }
+
+    const result = {};
+    let types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (types.includes('null')) {
+        result.nullable = true;
+        types = types.filter(type => type !== 'null');
+    }
+
+    GEMINI_SCHEMA_KEYWORDS.forEach(keyword => {
+        if (schema[keyword] === undefined) {
+            return;
+        }
+        switch (keyword) {
+            case 'type':
+                if (types[0]) {
+                    result.type = types[0].toUpperCase();
+                }
+                break;
+            case 'properties':
+                result.properties = {};
+                Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+                    result.properties[key] = toGeminiSchema(propertySchema);
+                });
+                break;
+            case 'items':
+                result.items = toGeminiSchema(schema.items);
+                break;
+            default:
+                result[keyword] = schema[keyword];
+        }
+    });
+
+    // Gemini has no default keyword; keep the information for the model
+    if (schema.default !== undefined) {
+        result.description = appendSentence(result.description, `Default: ${JSON.stringify(schema.default)}.`);
+    }
+
+    return result;
+}
+
+/**
+ * Decode arguments that were sent as JSON-encoded strings because their schema is free-form
+ * @param {Object} schema - Original JSON Schema
+ * @param {*} value - Argument value
+ * @returns {*} Decoded value
+ */
+function decodeFreeFormArgs(schema, value) {
+    if (!schema || value === undefined || value === null) {
+        return value;
+    }
+
+    if (isFreeFormSchema(schema)) {
+        if (typeof value !== 'string') {
+            return value;
+        }
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            // Leave it to argument validation to report the wrong type
+            return value;
+        }
+    }
+
+    if (schema.type === 'object' && typeof value === 'object' && !Array.isArray(value)) {
+        const result = { ...value };
+        Object.entries(schema.properties)
+            .filter(([key]) => key in result)
+            .forEach(([key, propertySchema]) => {
+                result[key] = decodeFreeFormArgs(propertySchema, result[key]);
+            });
+        return result;
+    }
+
+    if (schema.type === 'array' && Array.isArray(value)) {
+        return value.map(item => decodeFreeFormArgs(schema.items, item));
+    }
+
+    return value;
+}
+
+/**
+ * Convert tool definitions to a provider format
+ * @param {Array<Object>} tools - Tool definitions (name, description, input_schema)
+ * @param {string} format - Target format
+ * @returns {Array<Object>} Tools in the provider's format, ready to pass as its `tools` parameter
+ */
+export function convertTools(tools, format) {
+    assertFormat(format);
+
+    switch (format) {
+        case 'openai':
+            return tools.map(tool => ({
+                type: 'function',
+                function: {
+                    name: tool.name,
+                    description: tool.description,
+                    parameters: JSON.parse(JSON.stringify(tool.input_schema))
+                }
+            }));
+        case 'gemini':
+            return [{
+                functionDeclarations: tools.map(tool => ({
+                    name: tool.name,
+                    description: tool.description,
+                    parameters: toGeminiSchema(tool.input_schema)
+                }))
+            }];
+        case 'mcp':
+            return tools.map(tool => ({
+                name: tool.name,
+                description: tool.description,
+                inputSchema: tool.input_schema
+            }));
+        default:
+            return tools;
+    }
+}
+
+/**
+ * Extract tool name and arguments from a provider's tool-call object
+ * @param {Object} toolCall - Anthropic tool_use block, OpenAI tool call,
+ *   Gemini functionCall (or the part containing it) or MCP tools/call params
+ * @param {string} format - Provider format
+ * @param {Array<Object>} tools - Tool definitions, used to decode Gemini arguments
+ * @returns {{id: (string|undefined), name: string, args: Object, error: (string|undefined)}}
+ *   Parsed call. `error` is set when the call is not an object or its arguments could not be decoded.
+ */
+export function parseToolCall(toolCall, format, tools) {
+    assertFormat(format);
+
+    // Reported like undecodable arguments, so the caller gets an error result to send back
+    if (!toolCall || typeof toolCall !== 'object') {
+        return { id: undefined, name: undefined, args: {}, error: 'Tool call must be an object' };
+    }
+
+    switch (format) {
+        case 'openai': {
+            const { id, function: fn = {} } = toolCall;
+            if (typeof fn.arguments !== 'string') {
+                return { id, name: fn.name, args: fn.arguments || {} };
+            }
+            try {
+                return { id, name: fn.name, args: fn.arguments ? JSON.parse(fn.arguments) : {} };
+            } catch (error) {
+                return { id, name: fn.name, args: {}, error: `Tool arguments are not valid JSON: ${error.message}` };
+            }
+        }
+        case 'gemini': {
+            const { id, name, args = {} } = toolCall.functionCall || toolCall;
+            const tool = tools.find(t => t.name === name);
+            return { id, name, args: tool ? decodeFreeFormArgs(tool.input_schema, args) : args };
+        }
+        case 'mcp':
+            return { name: toolCall.name, args: toolCall.arguments || {} };
+        default:
+            return { id: toolCall.id, name: toolCall.name, args: toolCall.input || {} };
+    }
+}
+
+/**
+ * Split a tool result into its content, error flag and additional fields
+ * (layer ids, query data, ...)
+ * @param {Object} result - Tool result from executeTool
+ * @returns {{content: Array<Object>, isError: boolean, extra: Object}} Result parts
+ */
+function splitResult(result) {
+    const { content = [], isError, ...extra } = result;
+    return { content, isError: Boolean(isError), extra };
+}
+
+/**
+ * Join the text parts of a tool result's content
+ * @param {Array<Object>} content - Result content
+ * @returns {string} Result text
+ */
+function contentToText(content) {
+    return content
+        .filter(part => part.type === 'text')
+        .map(part => part.text)
+        .join('\n');
+}
+
+/**
+ * Convert a tool result into the provider's tool-result message
+ * @param {{id: (string|undefined), name: string}} call - Parsed tool call
+ * @param {Object} result - Tool result from executeTool
+ * @param {string} format - Provider format
+ * @returns {Object} Anthropic tool_result block, OpenAI tool message,
+ *   Gemini functionResponse part or MCP CallToolResult
+ */
+export function formatToolResult(call, result, format) {
+    assertFormat(format);
+
+    const { content, isError, extra } = splitResult(result);
+    const hasExtra = Object.keys(extra).length > 0;
+    const text = contentToText(content);
+    // Providers without structured results get the additional fields of successful calls
+    // appended as JSON; error texts already describe everything the model needs
+    const textWithExtra = hasExtra && !isError ? `${text}\n${JSON.stringify(extra)}` : text;
+
+    switch (format) {
+        case 'openai':
+            return {
+                role: 'tool',
+                tool_call_id: call.id,
+                content: textWithExtra
+            };
+        case 'gemini': {
+            const functionResponse = {
+                name: call.name,
+                response: isError ? { error: text } : { output: text, ...extra }
+            };
+            if (call.id) {
+                functionResponse.id = call.id;
+            }
+            return { functionResponse };
+        }
+        case 'mcp': {
+            const callToolResult = { content, isError };
+            // Round-trip through JSON so rendered features (class instances) survive structured cloning
+            if (hasExtra) {
+                callToolResult.structuredContent = JSON.parse(JSON.stringify(extra));
+            }
+            return callToolResult;
+        }
+        default:
+            return {
+                type: 'tool_result',
+                tool_use_id: call.id,
+                content: [{ type: 'text', text: textWithExtra }],
+                is_error: isError
+            };
+    }
+}
@@ -0,0 +1,5244 @@
+/**
+ * Mapbox Map Tools Library
+ * A JavaScript library providing MCP-compatible tools for Mapbox GL JS map visualization
+ *
+ * This library provides a set of tools that can be used with Language Learning Models (LLMs)
+ * to visualize geospatial data on Mapbox maps through function calling / tool use.
+ *
+ * This is the single implementation of the library. The UMD/CommonJS entry
+ * (mapbox-map-tools.js) and the ES module entry (mapbox-map-tools.esm.js) are
+ * both built from it.
+ *
+ * @version 1.0.0
+ * @author Moritz Forster
+ * @license MIT
+ */
+
+import { convertTools, parseToolCall, formatToolResult } from './llm-formats.js';
+import { escapeHtml, sanitizeHtml } from './sanitize.js';
+import { STATE_VERSION, migrateState } from './state.js';
+import { GEOJSON_TYPES, toFeatures, getBoundingBox, forEachPosition, toPolygons } from './geojson.js';
+import { CLASSIFICATION_METHODS, PALETTES, compileDataDrivenStyle } from './styling.js';
+import { buildLegendEntry } from './legend.js';
+import { RouteAnimation } from './animation.js';
+import { isSvgMarkup, loadIconImage, createPlaceholderIcon } from './icons.js';
+import { DISTANCE_UNITS, toMeters } from './geodesy.js';
+import { bufferGeometry } from './buffer.js';
+import { overlayPolygons } from './overlay.js';
+import { IMPORT_FORMATS, detectFormat, formatName, parseData } from './formats.js';
+import {
+    centroid,
+    convertArea,
+    convertLength,
+    convexHull,
+    distanceToGeometry,
+    formatArea,
+    formatDistance,
+    geometryContains,
+    measureGeometry,
+    toPoints
+} from './analysis.js';
+
+// Geometry types update_layer_data accepts for the layers of each tool
+const UPDATABLE_GEOMETRY_TYPES = {
+    add_points_to_map: ['Point'],
+    add_route_to_map: ['LineString', 'MultiLineString'],
+    add_polygon_to_map: ['Polygon', 'MultiPolygon'],
+    add_heatmap_to_map: ['Point'],
+    add_labels_to_map: ['Point'],
+    add_geojson_to_map: ['Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon']
+};
+
+// Layers of add_geojson_to_map, by the geometry type they draw, including its Multi* type
+const GEOJSON_GEOMETRY_GROUPS = {
+    points: 'Point',
+    lines: 'LineString',
+    polygons: 'Polygon'
+};
+
+// line-dasharray of the dash styles of add_route_to_map, in line widths. line-dasharray
+// cannot be data-driven, so each dash style used by a route gets its own layer.
+const ROUTE_DASH_ARRAYS = {
+    dashed: [2, 2],
+    dotted: [0, 2]
+};
+
+// Mapbox GL's default heatmap-color ramp, from low to high density
+const DEFAULT_HEATMAP_COLORS = [
+    'rgb(103,169,207)', 'rgb(209,229,240)', 'rgb(253,219,199)', 'rgb(239,138,98)', 'rgb(178,24,43)'
+];
+
+export class MapboxMapTools {
+    constructor(mapInstance, options = {}) {
+        if (!mapInstance) {
+            throw new Error('Mapbox GL JS map instance is required');
+        }
+
+        this.map = mapInstance;
+        this.options = {
+            defaultPointColor: '#FF0000',
+            defaultRouteColor: '#0074D9',
+            defaultRouteWidth: 4,
+            defaultPolygonFillColor: '#FF0000',
+            defaultPolygonFillOpacity: 0.3,
+            defaultPolygonStrokeColor: '#FF0000',
+            defaultPolygonStrokeWidth: 2,
+            enablePopups: true,
+            enableHoverEffects: true,
+            // Popup text is escaped unless allowPopupHtml is set, which keeps a sanitized
+            // subset of markup (links, bold, italic, lists) in descriptions
+            allowPopupHtml: false,
+            // Optional (properties, feature) => string | Node | null for custom popup templates
+            popupRenderer: null,
+            validateArguments: true,
+            // Maximum number of actions kept for undo_last_action
+            historyLimit: 50,
+            // Migrations for older exportState() snapshots, keyed by the version they upgrade from
+            stateMigrations: {},
+            ...options
+        };
+
+        this.layerCounter = 0;
+
+        // Inverse operations of mutating tool calls, see recordHistory
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Name of the current Mapbox style (e.g. 'streets-v12') once known
+        this.styleName = null;
+
+        // Sources, layers and interaction handlers created by the tools, keyed by the
+        // layer id returned to the caller. Used to restore them after a style change.
+        this.registry = new Map();
+
+        // LegendControls added to a map, refreshed after every change, see updateLegendControls
+        this.legendControls = new Set();
+
+        // RouteAnimations of routes being played back, keyed by registry entry id
+        this.animations = new Map();
+
+        // Images registered with registerIcon, keyed by icon name. Re-added to the map
+        // whenever a style is missing them, see handleStyleImageMissing.
+        this.icons = new Map();
+        // Icons of points that are neither in the style nor registered, shown as a placeholder
+        this.missingIcons = new Set();
+        // Icons of an imported snapshot that are still loading
+        this.pendingIcons = new Set();
+
+        this.tools = this.initializeTools();
+
+        this.handleStyleLoad = this.handleStyleLoad.bind(this);
+        this.map.on('style.load', this.handleStyleLoad);
+
+        this.handleStyleImageMissing = this.handleStyleImageMissing.bind(this);
+        this.map.on('styleimagemissing', this.handleStyleImageMissing);
+    }
+
+    /**
+     * Define available map tools for LLM function calling
+     */
+    initializeTools() {
+        // Shared by add_points_to_map and update_layer_data
+        const pointSchema = {
+            type: 'object',
+            properties: {
+                longitude: {
+                    type: 'number',
+                    minimum: -180,
+                    maximum: 180,
+                    description: 'Longitude coordinate (-180 to 180)'
+                },
+                latitude: {
+                    type: 'number',
+                    minimum: -90,
+                    maximum: 90,
+                    description: 'Latitude coordinate (-90 to 90)'
+                },
+                id: {
+                    type: 'string',
+                    description: 'Feature ID used to update or remove the point later. Generated if omitted.'
+                },
+                title: {
+                    type: 'string',
+                    description: 'Title text for the point marker popup'
+                },
+                description: {
+                    type: 'string',
+                    description: this.options.allowPopupHtml
+                        ? 'Description for the point marker popup. Supports basic HTML: <b>, <i>, <a href="https://...">, <ul>/<ol>/<li>, <p> and <br>'
+                        : 'Description text for the point marker popup (plain text, HTML is not rendered)'
+                },
+                color: {
+                    type: 'string',
+                    default: this.options.defaultPointColor,
+                    description: 'Color of the point marker (hex format, e.g., #FF0000)'
+                },
+                icon: {
+                    type: 'string',
+                    description: 'Show an icon instead of a circle: a Maki icon of the map style (e.g. "restaurant", "lodging", "airport") or an icon registered with register_map_icon'
+                },
+                rotation: {
+                    type: 'number',
+                    description: 'Rotation of the icon in degrees clockwise from north, e.g. the heading of a vehicle'
+                },
+                iconSize: {
+                    type: 'number',
+                    minimum: 0,
+                    description: 'Scale factor of the icon (1 = original size)'
+                },
+                properties: {
+                    type: 'object',
+                    description: 'Additional data attributes of the point (e.g. {"population": 8336817, "type": "city"}), used for data-driven styling',
+                    additionalProperties: true
+                }
+            },
+            required: ['longitude', 'latitude']
+        };
+
+        // Coordinates of a route or route segment in add_route_to_map
+        const lineCoordinatesSchema = {
+            type: 'array',
+            description: 'Array of [longitude, latitude] coordinate pairs representing the route path in sequential order',
+            items: {
+                type: 'array',
+                items: { type: 'number' },
+                minItems: 2,
+                maxItems: 2
+            },
+            minItems: 2
+        };
+
+        // Coordinates of a single polygon in add_polygon_to_map
+        const polygonRingsSchema = {
+            type: 'array',
+            description: 'Array of coordinate rings. First ring is exterior boundary, additional rings are holes. Each ring is an array of [longitude, latitude] pairs.',
+            items: {
+                type: 'array',
+                items: {
+                    type: 'array',
+                    items: { type: 'number' },
+                    minItems: 2,
+                    maxItems: 2
+                }
+            }
+        };
+
+        // Style spec compiled by compileDataDrivenStyle; target describes what is styled
+        const dataStyleSchema = (target, extraProperties = {}) => ({
+            type: 'object',
+            description: `Data-driven styling: ${target} by the value of a feature property, e.g. {"property": "population", "method": "quantile", "classes": 5, "palette": "ylorrd"}. The computed class breaks are returned in the result.`,
+            properties: {
+                property: {
+                    type: 'string',
+                    description: 'Name of the feature property to style by'
+                },
+                method: {
+                    type: 'string',
+                    enum: CLASSIFICATION_METHODS,
+                    description: 'quantile: classes with equal feature counts; equal-interval: classes of equal value range; categorical: one color per distinct value. Defaults to quantile for numeric and categorical for text values.'
+                },
+                classes: {
+                    type: 'integer',
+                    minimum: 2,
+                    maximum: 7,
+                    default: 5,
+                    description: 'Number of classes for quantile and equal-interval'
+                },
+                palette: {
+                    type: 'string',
+                    enum: Object.keys(PALETTES),
+                    description: 'Color palette from low to high values; "category" for categorical data'
+                },
+                colors: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Explicit class colors (hex format), used instead of a palette'
+                },
+                ...extraProperties
+            },
+            required: ['property']
+        });
+
+        // Text settings of add_labels_to_map and of the labels of the other add tools
+        const labelStyleSchema = {
+            type: 'object',
+            description: 'Text settings of the labels',
+            properties: {
+                font: {
+                    type: 'string',
+                    description: 'Font name, e.g. "Open Sans Bold" or "DIN Pro Medium". Must be a font of the map style.'
+                },
+                size: {
+                    type: 'number',
+                    minimum: 1,
+                    description: 'Text size in pixels'
+                },
+                color: {
+                    type: 'string',
+                    description: 'Text color (hex format)'
+                },
+                haloColor: {
+                    type: 'string',
+                    description: 'Color of the outline around the text that keeps it readable on any background'
+                },
+                haloWidth: {
+                    type: 'number',
+                    minimum: 0,
+                    description: 'Width of the halo in pixels'
+                },
+                anchor: {
+                    type: 'string',
+                    enum: ['center', 'top', 'bottom', 'left', 'right', 'top-left', 'top-right', 'bottom-left', 'bottom-right'],
+                    description: 'Part of the text placed at the location, e.g. "top" puts the text below it'
+                },
+                offset: {
+                    type: 'array',
+                    items: { type: 'number' },
+                    minItems: 2,
+                    maxItems: 2,
+                    description: 'Offset [x, y] of the text from the location in ems (multiples of the text size)'
+                },
+                allowOverlap: {
+                    type: 'boolean',
+                    description: 'Show every label even where it collides with other labels. By default colliding labels are hidden.'
+                }
+            }
+        };
+
+        // labelProperty and labelStyle of the add tools that can label their features
+        const labelOptionsSchema = defaultProperty => ({
+            labelProperty: {
+                type: 'string',
+                default: defaultProperty,
+                description: `Feature property shown as the label text (default "${defaultProperty}")`
+            },
+            labelStyle: labelStyleSchema
+        });
+
+        return [
+            {
+                name: 'add_points_to_map',
+                description: 'Add point markers to the map with optional popup information. Use this tool when users want to show specific locations, places of interest, or mark important spots on the map.',
+                input_schema: {
+                    type: 'object',
+                    properties: {
+                        points: {
+                            type: 'array',
+                            description: 'Array of point objects to add to the map',
+                            items: pointSchema
+                        },
+                        style: dataStyleSchema('color and/or size points', {
+                            sizeRange: {
+                                type: 'array',
+                                items: { type: 'number' },
+                                minItems: 2,
+                                maxItems: 2,
+                                description: 'Circle radius range [min, max] in pixels for graduated circles ("size by population"). Without palette or colors only the size is styled.'
+                            }
+                        }),
+                        cluster: {
+                            type: 'boolean',
+                            default: false,
+                            description: 'Group nearby points into circles showing the number of points. Use this for large numbers of points (hundreds or more). Clicking a cluster zooms in until it splits.'
+                        },
+                        clusterRadius: {
+                            type: 'number',
+                            minimum: 1,
+                            default: 50,
+                            description: 'Radius of each cluster in pixels'
+                        },
+                        clusterMaxZoom: {
+                            type: 'number',
+                            minimum: 0,
+                            maximum: 24,
+                            default: 14,
+                            description: 'Maximum zoom level at which points are clustered'
+                        },
+                        clusterAggregates: {
+                            type: 'array',
+                            description: 'Values to aggregate per cluster from a numeric point property, e.g. [{"name": "totalPopulation", "operation": "sum", "property": "population"}]. Requires points with properties.',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    name: {
+                                        type: 'string',
+                                        description: 'Name of the aggregated cluster property'
+                                    },
+                                    operation: {
+                                        type: 'string',
+                                        enum: ['sum', 'max', 'min'],
+                                        description: 'How to combine the values of the clustered points'
+                                    },
+                                    property: {
+                                        type: 'string',
+                                        description: 'Point property to aggregate'
+                                    }
+                                },
+                                required: ['name', 'operation', 'property']
+                            }
+                        },
+                        icon: {
+                            type: 'string',
+                            description: 'Icon for all points that do not name their own icon (Maki icon of the map style or registered icon)'
+                        },
+                        showLabels: {
+                            type: 'boolean',
+                            default: false,
+                            description: 'Show each point\'s title as a text label below the marker, in addition to the popup'
+                        },
+                        ...labelOptionsSchema('title'),
+                        layerName: {
+                            type: 'string',
+                            default: 'points-layer',
+                            description: 'Name for the points layer (useful for organizing multiple layers)'
+                        }
+                    },
+                    required: ['points']
+                }
+            },
+            {
+                name: 'add_route_to_map',
+                description: 'Draw a route, path, itinerary, or travel line connecting multiple locations on the map. Use this tool when users ask to: visualize routes between places, show travel itineraries, connect multiple destinations, display paths or journeys, create walking/driving/travel routes, show connections between locations, or draw any line that represents movement or travel between points. The coordinates should be in [longitude, latitude] format and represent the sequential points along the route.',
+                input_schema: {
+                    type: 'object',
+                    properties: {
+                        coordinates: lineCoordinatesSchema,
+                        segments: {
+                            type: 'array',
+                            description: 'Several named segments drawn in one layer instead of coordinates, e.g. the days of a multi-day itinerary or alternative routes. Each segment can have its own color, width, dash style and label.',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    coordinates: lineCoordinatesSchema,
+                                    name: {
+                                        type: 'string',
+                                        description: 'Label shown along the segment (e.g. "Day 1: Rome to Florence")'
+                                    },
+                                    color: {
+                                        type: 'string',
+                                        description: 'Segment color (hex format). Defaults to the route color.'
+                                    },
+                                    width: {
+                                        type: 'number',
+                                        description: 'Segment thickness in pixels. Defaults to the route width.'
+                                    },
+                                    dash: {
+                                        type: 'string',
+                                        enum: ['solid', 'dashed', 'dotted'],
+                                        description: 'Line style of the segment. Defaults to the route dash style.'
+                                    }
+                                },
+                                required: ['coordinates']
+                            }
+                        },
+                        color: {
+                            type: 'string',
+                            default: this.options.defaultRouteColor,
+                            description: 'Route line color (hex format, e.g. #FF0000 for red, #00FF00 for green)'
+                        },
+                        width: {
+                            type: 'number',
+                            default: this.options.defaultRouteWidth,
+                            description: 'Route line thickness in pixels'
+                        },
+                        dash: {
+                            type: 'string',
+                            enum: ['solid', 'dashed', 'dotted'],
+                            default: 'solid',
+                            description: 'Line style of the route'
+                        },
+                        gradientColors: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            minItems: 2,
+                            description: 'Color the route by progress along each line, from the first color at the start to the last at the end (e.g. ["#00FF00", "#FF0000"]). Overrides the colors of solid segments.'
+                        },
+                        showDirectionArrows: {
+                            type: 'boolean',
+                            default: false,
+                            description: 'Show arrows along the route pointing in the direction of travel'
+                        },
+                        name: {
+                            type: 'string',
+                            description: 'Name of a route given as coordinates, shown as label along the line'
+                        },
+                        showLabels: {
+                            type: 'boolean',
+                            description: 'Show the names of the route and its segments as labels along the line. Defaults to true when a name is given.'
+                        },
+                        ...labelOptionsSchema('name'),
+                        layerName: {
+                            type: 'string',
+                            default: 'route-layer',
+                            description: 'Name for the route layer (useful for organizing multiple routes)'
+                        }
+                    }
+                }
+            },
+            {
+                name: 'pan_map_to_location',
+                description: 'Pan the map to center on a specific location. Use this when users want to focus on a particular geographic area.',
+                input_schema: {
+                    type: 'object',
+                    properties: {
+                        longitude: {
+                            type: 'number',
+                            minimum: -180,
+                            maximum: 180,
+                            description: 'Longitude coordinate to center the map on'
+                        },
+                        latitude: {
+                            type: 'number',
+                            minimum: -90,
+                            maximum: 90,
+                            description: 'Latitude coordinate to center the map on'
+                        },
+                        zoom: {
+                            type: 'number',
+                            minimum: 0,
+                            maximum: 22,
+                            default: 12,
+                            description: 'Zoom level (0 = world view, 22 = maximum zoom)'
+                        },
+                        animate: {
+                            type: 'boolean',
+                            default: true,
+                            description: 'Whether to animate the map movement (true) or jump instantly (false)'
+                        }
+                    },
+                    required: ['longitude', 'latitude']
+                }
+            },
+            {
+                name: 'fit_map_to_bounds',
+                description: 'Adjust map view to fit all provided coordinates within the viewport. Use this when displaying multiple locations to ensure they are all visible.',
+                input_schema: {
+                    type: 'object',
+                    properties: {
+                        coordinates: {
+                            type: 'array',
+                            description: 'Array of [longitude, latitude] coordinate pairs to fit within the map view',
+                            items: {
+                                type: 'array',
+                                items: { type: 'number' },
+                                minItems: 2,
+                                maxItems: 2
+                            }
+                        },
+                        padding: {
+                            type: 'number',
+                            default: 50,
+                            description: 'Padding around the bounds in pixels'
+                        }
+                    },
+                    required: ['coordinates']
+                }
+            },
+            {
+                name: 'add_polygon_to_map',
+                description: 'Add a polygon area to the map. Use this for showing regions, boundaries, areas of interest, or any geographic zones. To color several areas by a data value (choropleth, e.g. "color counties by median income"), pass them as polygons with properties and a style.',
+                input_schema: {
+                    type: 'object',
+                    properties: {
+                        coordinates: polygonRingsSchema,
+                        polygons: {
+                            type: 'array',
+                            description: 'Several polygons in one layer, instead of coordinates. Each has its coordinate rings and optional data properties.',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    coordinates: polygonRingsSchema,
+                                    properties: {
+                                        type: 'object',
+                                        description: 'Data attributes of the polygon (e.g. {"name": "Kings County", "medianIncome": 74692}), used for data-driven styling',
+                                        additionalProperties: true
+                                    }
+                                },
+                                required: ['coordinates']
+                            }
+                        },
+                        style: dataStyleSchema('fill polygons'),
+                        name: {
+                            type: 'string',
+                            description: 'Name of a polygon given as coordinates, shown as label with showLabels'
+                        },
+                        showLabels: {
+                            type: 'boolean',
+                            default: false,
+                            description: 'Show a text label at the visual center of each polygon, e.g. its name'
+                        },
+                        ...labelOptionsSchema('name'),
+                        fillColor: {
+                            type: 'string',
+                            default: this.options.defaultPolygonFillColor,
+                            description: 'Fill color of the polygon (hex format)'
+                        },
+                        fillOpacity: {
+                            type: 'number',
+                            minimum: 0,
+                            maximum: 1,
+                            default: this.options.defaultPolygonFillOpacity,
+                            description: 'Fill opacity (0.0 = transparent, 1.0 = opaque)'
+                        },
+                        strokeColor: {
+                            type: 'string',
+                            default: this.options.defaultPolygonStrokeColor,
+                            description: 'Stroke/border color of the polygon (hex format)'
+                        },
+                        strokeWidth: {
+                            type: 'number',
+                            default: this.options.defaultPolygonStrokeWidth,
+                            description: 'Stroke/border width in pixels'
+                        },
+                        layerName: {
+                            type: 'string',
+                            default: 'polygon-layer',
+                            description: 'Name for the polygon layer'
+                        }
+                    }
+                }
+            },
+            {
+                name: 'clear_map_layers',
+                description: 'Remove all or specific layers from the map. Use this to clean up the map or remove outdated visualizations.',
+                input_schema: {
+                    type: 'object',
+                    properties: {
+                        layerNames: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Specific layers to remove, given as layer IDs returned by the add tools (e.g. "points-layer-1") or as the layerName used when creating them (removes every layer created with that name). If empty or omitted, removes all layers added by this library. Layers of the base map style are never removed.'
+                        }
+                    }
+                }
+            },
+            {
+                name: 'set_map_style',
+                description: 'Change the map style/theme. Use this when users want to switch between different visual styles of the map.',
+                input_schema: {
+                    type: 'object',
+                    properties: {
+                        style: {
+                            type: 'string',
+                            enum: ['streets-v12', 'outdoors-v12', 'light-v11', 'dark-v11', 'satellite-v9', 'satellite-streets-v12'],
+                            default: 'streets-v12',
+                            description: 'Mapbox style to apply to the map'
+                        }
+                    },
+                    required: ['style']
+                }
+            },
+            {
+                name: 'undo_last_action',
+                description: 'Undo the most recent map change made with these tools: adding, restyling, updating or clearing layers, changing the map style or moving the map view. Route playback (animate_route) and icon registration (register_map_icon) are not recorded and cannot be undone. Use this when the user rejects what was just done, e.g. "no, remove that last route" or "go back to the previous view". Returns a description of what was reverted.',
+                input_schema: {
+                    type: 'object',
+                    properties: {
+                        steps: {
+                            type: 'integer',
+                            minimum: 1,
+                            maximum: 20,
+                            default: 1,
+                            description: 'Number of actions to undo, most recent first'
+                        }
+                    }
+                }
+            },
+            {
+                name: 'redo_action',
+                description: 'Re-apply map changes that were reverted with undo_last_action. Only available until a new map change is made. Returns a description of what was re-applied.',
+                input_schema: {
+                    type: 'object',
+                    properties: {
+                        steps: {
+                            type: 'integer',
+                            minimum: 1,
+                            maximum: 20,
+                            default: 1,
+                            description: 'Number of undone actions to re-apply'
+                        }
+                    }
+                }
+            },
+            {
+                name: 'add_vector_tileset_layer',
+                description: 'Add a vector tileset layer to the map (e.g., Mapbox Traffic, custom vector tiles). Vector tilesets are pre-rendered tile sources that can display large datasets efficiently. Use this tool when users want to visualize traffic conditions, show pre-existing datasets from vector tile sources, or add any Mapbox-hosted or custom vector tileset to the map. Common examples include traffic data, terrain, boundaries, or custom vector tile sources.',
+                input_schema: {
+                    type: 'object',
+                    properties: {
+                        tilesetUrl: {
+                            type: 'string',
+                            description: 'Vector tileset URL (e.g., "mapbox://mapbox.mapbox-traffic-v1" for Mapbox Traffic or custom URL template for tile servers)'
+                        },
+                        sourceLayer: {
+                            type: 'string',
+                            description: 'Source layer name from the vector tileset (e.g., "traffic" for Traffic v1). Check tileset documentation for available layers.'
+                        },
+                        layerType: {
+                            type: 'string',
+                            enum: ['line', 'fill', 'circle', 'fill-extrusion', 'symbol'],
+                            description: 'Type of layer to render: line (roads/paths), fill (areas/polygons), circle (points), fill-extrusion (3D buildings), symbol (icons/text)'
+                        },
+                        layerName: {
+                            type: 'string',
+                            default: 'vector-tileset-layer',
+                            description: 'Name for the layer (useful for organizing multiple layers)'
+                        },
+                        paint: {
+                            type: 'object',
+                            description: 'Mapbox GL paint properties for styling the layer. Supports Mapbox expressions. Examples: {"line-color": "#FF0000", "line-width": 3} for lines, {"fill-color": "#00FF00", "fill-opacity": 0.5} for polygons. For data-driven styling use expressions like ["match", ["get", "property"], value1, color1, value2, color2, defaultColor]',
+                            additionalProperties: true
+                        },
+                        layout: {
+                            type: 'object',
+                            description: 'Mapbox GL layout properties. Examples: {"line-cap": "round", "line-join": "round"} for lines, {"visibility": "visible"}',
+                            additionalProperties: true
+                        },
+                        filter: {
+                            type: 'array',
+                            description: 'Mapbox GL filter expression to filter features. Examples: ["==", ["get", "congestion"], "heavy"] for heavy traffic only, [">", ["get", "population"], 100000] for cities with population > 100k',
+                            items: {}
+                        },
+                        minzoom: {
+                            type: 'number',
+                            minimum: 0,
+                            maximum: 24,
+                            description: 'Minimum zoom level at which the layer is visible (0-24)'
+                        },
+                        maxzoom: {
+                            type: 'number',
+                            minimum: 0,
+                            maximum: 24,
+                            description: 'Maximum zoom level at which the layer is visible (0-24)'
+                        }
+                    },
+                    required: ['tilesetUrl', 'sourceLayer', 'layerType']
+                }
+            },
+            {
+                name: 'query_rendered_features',
+                description: 'Query features that are currently visible in the map viewport. This returns features that are rendered on screen, respecting the current zoom level, style, and filters. Use this tool when users want to: find what\'s visible on the map, identify features at a location, get information about rendered points/lines/polygons, or inspect what\'s currently shown in the viewport. Only returns features from layers that are currently rendered. Useful for identifying what the user is looking at or analyzing visible data.',
+                input_schema: {
+                    type: 'object',
+                    properties: {
+                        point: {
+                            type: 'object',
+                            description: 'Query features at a specific screen point (x, y in pixels from top-left corner)',
+                            properties: {
+                                x: { type: 'number', description: 'X coordinate in pixels from left edge' },
+                                y: { type: 'number', description: 'Y coordinate in pixels from top edge' }
+                            },
+                            required: ['x', 'y']
+                        },
+                        bbox: {
+                            type: 'array',
+                            description: 'Query features within a bounding box [x1, y1, x2, y2] in screen pixels. Alternative to point query. Useful for selecting features in a rectangular area.',
+                            items: { type: 'number' },
+                            minItems: 4,
+                            maxItems: 4
+                        },
+                        layers: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Filter results to specific layer IDs. If omitted, queries all layers. Use layer IDs returned from add_points_to_map, add_route_to_map, etc.'
+                        },
+                        filter: {
+                            type: 'array',
+                            description: 'Mapbox GL filter expression to filter results by properties. Example: ["==", ["get", "type"], "restaurant"] to find only restaurants',
+                            items: {}
+                        },
+                        limit: {
+                            type: 'number',
+                            default: 100,
+                            minimum: 1,
+                            maximum: 1000,
+                            description: 'Maximum number of features to return (default: 100, max: 1000)'
+                        },
+                        includeGeometry: {
+                            type: 'boolean',
+                            default: true,
+                            description: 'Include feature geometry in results. Set to false for smaller response with properties only.'
+                        }
+                    }
+                }
+            },
+            {
+                name: 'query_source_features',
+                description: 'Query all features from a data source regardless of visibility or current viewport. This returns features directly from the source data, not respecting style filters or zoom levels. Use this tool when users want to: get all data from a source, query features outside the current view, access raw data regardless of rendering, or analyze complete datasets. Works with both GeoJSON sources (from add_points_to_map, add_route_to_map, etc.) and vector tile sources (from add_vector_tileset_layer). Useful for comprehensive data analysis.',
+                input_schema: {
+                    type: 'object',
+                    properties: {
+                        sourceId: {
+                            type: 'string',
+                            description: 'ID of the source to query. For layers created by this library, use the layer name (e.g., "points-layer-1"). For vector tilesets, use the source ID returned from add_vector_tileset_layer.'
+                        },
+                        sourceLayer: {
+                            type: 'string',
+                            description: 'For vector tile sources only, specify the source layer name (e.g., "traffic" for Traffic v1). Required for vector sources, ignored for GeoJSON sources.'
+                        },
+                        filter: {
+                            type: 'array',
+                            description: 'Mapbox GL filter expression to filter results by properties. Example: ["==", ["get", "congestion"], "severe"] for severe traffic only',
+                            items: {}
+                        },
+                        limit: {
+                            type: 'number',
+                            default: 1000,
+                            minimum: 1,
+                            maximum: 10000,
+                            description: 'Maximum number of features to return (default: 1000, max: 10000)'
+                        },
+                        includeGeometry: {
+                            type: 'boolean',
+                            default: true,
+                            description: 'Include feature geometry in results. Set to false for smaller response with properties only.'
+                        }
+                    },
+                    required: ['sourceId']
+                }
+            },
+            {
+                name: 'list_map_layers',
+                description: 'List the layers previously added to the map with these tools, together with the current map view and style. Returns for each layer its ID, original layerName, the tool that created it, type, source, feature count, bounding box, visibility and paint summary. Use this tool to find out what is already on the map before modifying, querying or removing layers, or when the user refers to something drawn earlier ("the route from before", "the red points").',
+                input_schema: {
+                    type: 'object',
+                    properties: {
+                        layerIds: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Only list these layers, given as layer IDs returned by the add tools or layerName values. If omitted, lists all tool-created layers.'
+                        }
+                    }
+                }
+            },
+            {
+                name: 'update_layer_style',
+                description: 'Change the styling of a layer previously added with these tools, in place, keeping its layer ID and stacking position. Use this instead of clearing and re-adding a layer when users want to recolor, resize, fade, show/hide or restrict a layer to certain zoom levels ("make the route green", "hide the traffic layer"). Polygons are addressed as one unit: pass the polygon layer ID and use fill-* properties for the fill and line-* properties for the outline.',
+                input_schema: {
+                    type: 'object',
+                    properties: {
+                        layerId: {
+                            type: 'string',
+                            description: 'Layer ID returned by an add tool (e.g. "route-layer-2", "polygon-layer-3") or its layerName. A specific map layer such as "polygon-layer-3-fill" restyles only that part. The cluster circles of clustered points are only restyled when named, e.g. "points-layer-1-clusters".'
+                        },
+                        paint: {
+                            type: 'object',
+                            description: 'Mapbox GL paint properties to set, e.g. {"line-color": "#00FF00", "line-width": 6} for routes, {"circle-color": "#0000FF", "circle-radius": 10} for points, {"fill-color": "#FFFF00", "fill-opacity": 0.5, "line-color": "#000000"} for polygons. Supports Mapbox expressions. Use null to reset a property to its default.',
+                            additionalProperties: true
+                        },
+                        layout: {
+                            type: 'object',
+                            description: 'Mapbox GL layout properties to set, e.g. {"line-cap": "round"}. Use null to reset a property to its default.',
+                            additionalProperties: true
+                        },
+                        visible: {
+                            type: 'boolean',
+                            description: 'Show (true) or hide (false) the layer'
+                        },
+                        minzoom: {
+                            type: 'number',
+                            minimum: 0,
+                            maximum: 24,
+                            description: 'Minimum zoom level at which the layer is visible (0-24)'
+                        },
+                        maxzoom: {
+                            type: 'number',
+                            minimum: 0,
+                            maximum: 24,
+                            description: 'Maximum zoom level at which the layer is visible (0-24)'
+                        }
+                    },
+                    required: ['layerId']
+                }
+            },
+            {
+                name: 'update_layer_data',
+                description: 'Add, change or remove features of a points, route, polygon, heatmap, labels or GeoJSON layer previously added with these tools, keeping the layer and its styling. Use this instead of adding a new layer when users want to extend or edit what is already shown ("add two more stops", "remove the second marker", "move the hotel"). Every feature has a stable ID, returned by the add tools and by this tool.',
+                input_schema: {
+                    type: 'object',
+                    properties: {
+                        layerId: {
+                            type: 'string',
+                            description: 'Layer ID returned by add_points_to_map, add_route_to_map, add_polygon_to_map, add_heatmap_to_map, add_labels_to_map or add_geojson_to_map, or its layerName'
+                        },
+                        operation: {
+                            type: 'string',
+                            enum: ['append', 'remove', 'replace'],
+                            description: 'append: add features, replacing features that have the same ID; remove: remove the features listed in featureIds; replace: replace all features of the layer'
+                        },
+                        points: {
+                            type: 'array',
+                            description: 'Points to append or replace with, for layers created by add_points_to_map',
+                            items: pointSchema
+                        },
+                        features: {
+                            type: 'array',
+                            description: 'GeoJSON Features to append or replace with. Use Point geometries for point, heatmap and labels layers (with the label in properties.text), LineString for routes, Polygon for polygons and any geometry but GeometryCollection for GeoJSON layers. Set properties.id to address an existing feature.',
+                            items: {
+                                type: 'object'
+                            }
+                        },
+                        featureIds: {
+                            type: 'array',
+                            description: 'IDs of the features to remove',
+                            items: { type: 'string' }
+                        }
+                    },
+                    required: ['layerId', 'operation']
+                }
+            },
+            {
+                name: 'add_heatmap_to_map',
+                description: 'Show the density of many points as a heatmap. Use this when users ask where things concentrate ("show where incidents concentrate", "hotspots of ...") rather than for individual locations. Takes points, optionally weighted, or the layer ID of points already added with add_points_to_map.',
+                input_schema: {
+                    type: 'object',
+                    properties: {
+                        points: {
+                            type: 'array',
+                            description: 'Points to show as a heatmap',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    longitude: {
+                                        type: 'number',
+                                        minimum: -180,
+                                        maximum: 180,
+                                        description: 'Longitude coordinate (-180 to 180)'
+                                    },
+                                    latitude: {
+                                        type: 'number',
+                                        minimum: -90,
+                                        maximum: 90,
+                                        description: 'Latitude coordinate (-90 to 90)'
+                                    },
+                                    weight: {
+                                        type: 'number',
+                                        minimum: 0,
+                                        description: 'Relative weight of the point (e.g. number of incidents at this location)'
+                                    }
+                                },
+                                required: ['longitude', 'latitude']
+                            }
+                        },
+                        sourceId: {
+                            type: 'string',
+                            description: 'Instead of points: layer ID of a layer created with add_points_to_map (or another source created by these tools) whose points to show as a heatmap. The heatmap follows changes to that layer\'s data and is removed with it.'
+                        },
+                        weightProperty: {
+                            type: 'string',
+                            description: 'Numeric feature property to weight points by. Defaults to "weight" when points have weights.'
+                        },
+                        radius: {
+                            type: 'number',
+                            minimum: 1,
+                            default: 20,
+                            description: 'Radius of influence of each point in pixels'
+                        },
+                        intensity: {
+                            type: 'number',
+                            minimum: 0,
+                            default: 1,
+                            description: 'Multiplier for the heatmap density; higher values make sparse areas more visible'
+                        },
+                        opacity: {
+                            type: 'number',
+                            minimum: 0,
+                            maximum: 1,
+                            default: 0.8,
+                            description: 'Heatmap opacity (0.0 = transparent, 1.0 = opaque)'
+                        },
+                        colorRamp: {
+                            type: 'string',
+                            enum: ['default', ...Object.keys(PALETTES).filter(name => name !== 'category')],
+                            default: 'default',
+                            description: 'Color ramp from low to high density; "default" runs from blue to red'
+                        },
+                        colors: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Explicit colors from low to high density, used instead of colorRamp'
+                        },
+                        pointsMinZoom: {
+                            type: 'number',
+                            minimum: 1,
+                            maximum: 24,
+                            description: 'Zoom level from which the heatmap fades into individual circles. If omitted, the heatmap is shown at all zoom levels.'
+                        },
+                        layerName: {
+                            type: 'string',
+                            default: 'heatmap-layer',
+                            description: 'Name for the heatmap layer'
+                        }
+                    }
+                }
+            },
+            {
+                name: 'animate_route',
+                description: 'Play back a route added with add_route_to_map: the line draws itself from start to end while a marker travels along it. Use this for demos and trip reviews ("show how we drove", "animate the route"). Also pauses, resumes, seeks or stops a running animation.',
+                input_schema: {
+                    type: 'object',
+                    properties: {
+                        layerId: {
+                            type: 'string',
+                            description: 'Layer ID returned by add_route_to_map, or its layerName'
+                        },
+                        action: {
+                            type: 'string',
+                            enum: ['play', 'pause', 'resume', 'seek', 'stop'],
+                            default: 'play',
+                            description: 'play: start the animation (from the start or from progress); pause / resume: hold and continue it; seek: jump to progress; stop: end it and show the whole route again'
+                        },
+                        progress: {
+                            type: 'number',
+                            minimum: 0,
+                            maximum: 1,
+                            description: 'Position along the route from 0 (start) to 1 (end), for seek or to start play from'
+                        },
+                        duration: {
+                            type: 'number',
+                            minimum: 0.5,
+                            default: 10,
+                            description: 'Duration of the whole animation in seconds'
+                        },
+                        followCamera: {
+                            type: 'boolean',
+                            default: false,
+                            description: 'Keep the map centered on the moving marker'
+                        },
+                        showMarker: {
+                            type: 'boolean',
+                            default: true,
+                            description: 'Show a marker travelling along the route'
+                        },
+                        markerColor: {
+                            type: 'string',
+                            default: '#FF851B',
+                            description: 'Color of the marker (hex code or color name)'
+                        },
+                        loop: {
+                            type: 'boolean',
+                            default: false,
+                            description: 'Start over when the end of the route is reached'
+                        }
+                    },
+                    required: ['layerId']
+                }
+            },
+            {
+                name: 'add_labels_to_map',
+                description: 'Place text labels on the map, without markers. Use this to annotate the map with names or notes ("label the three neighborhoods", "write \'Meeting point\' next to the station"). To label points, routes or polygons added with the other tools, use their showLabels option instead.',
+                input_schema: {
+                    type: 'object',
+                    properties: {
+                        labels: {
+                            type: 'array',
+                            description: 'Labels to place',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    longitude: {
+                                        type: 'number',
+                                        minimum: -180,
+                                        maximum: 180,
+                                        description: 'Longitude coordinate (-180 to 180)'
+                                    },
+                                    latitude: {
+                                        type: 'number',
+                                        minimum: -90,
+                                        maximum: 90,
+                                        description: 'Latitude coordinate (-90 to 90)'
+                                    },
+                                    text: {
+                                        type: 'string',
+                                        description: 'Label text. Use \\n for line breaks.'
+                                    },
+                                    id: {
+                                        type: 'string',
+                                        description: 'Feature ID used to update or remove the label later. Generated if omitted.'
+                                    }
+                                },
+                                required: ['longitude', 'latitude', 'text']
+                            }
+                        },
+                        labelStyle: labelStyleSchema,
+                        layerName: {
+                            type: 'string',
+                            default: 'labels-layer',
+                            description: 'Name for the labels layer'
+                        }
+                    },
+                    required: ['labels']
+                }
+            },
+            {
+                name: 'register_map_icon',
+                description: 'Make an image available as point icon, from an image URL or SVG markup. Use this when users want custom markers (a logo, a drawn symbol) that are not Maki icons of the map style. Afterwards, name the icon in the icon option of add_points_to_map.',
+                input_schema: {
+                    type: 'object',
+                    properties: {
+                        name: {
+                            type: 'string',
+                            description: 'Icon name to use in add_points_to_map'
+                        },
+                        url: {
+                            type: 'string',
+                            description: 'URL of a PNG, JPEG, WebP or SVG image'
+                        },
+                        svg: {
+                            type: 'string',
+                            description: 'SVG markup of the icon, instead of url, e.g. <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24">...</svg>'
+                        },
+                        width: {
+                            type: 'number',
+                            minimum: 1,
+                            description: 'Width of the icon in pixels. Defaults to the image\'s own size.'
+                        },
+                        height: {
+                            type: 'number',
+                            minimum: 1,
+                            description: 'Height of the icon in pixels. Defaults to the image\'s own size.'
+                        },
+                        pixelRatio: {
+                            type: 'number',
+                            minimum: 1,
+                            default: 1,
+                            description: 'Image pixels per screen pixel, e.g. 2 for high-resolution images'
+                        },
+                        sdf: {
+                            type: 'boolean',
+                            default: false,
+                            description: 'Color the icon with each point\'s color. Only for single-color icons.'
+                        }
+                    },
+                    required: ['name']
+                }
+            },
+            {
+                name: 'add_buffer_to_map',
+                description: 'Draw the area within a real-world distance of a location or geometry: a circle around a center ("everything within 5 km of the station") or a buffer around a route, polygon or points already on the map ("500 m corridor along the route"). The shape is computed geodesically, so it is accurate at any latitude.',
+                input_schema: {
+                    type: 'object',
+                    properties: {
+                        center: {
+                            type: 'object',
+                            description: 'Center of a circle',
+                            properties: {
+                                longitude: {
+                                    type: 'number',
+                                    minimum: -180,
+                                    maximum: 180,
+                                    description: 'Longitude coordinate (-180 to 180)'
+                                },
+                                latitude: {
+                                    type: 'number',
+                                    minimum: -90,
+                                    maximum: 90,
+                                    description: 'Latitude coordinate (-90 to 90)'
+                                }
+                            },
+                            required: ['longitude', 'latitude']
+                        },
+                        layerId: {
+                            type: 'string',
+                            description: 'Instead of center: layer ID (or layerName) of points, a route or polygons added with these tools, to buffer its features'
+                        },
+                        featureIds: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'With layerId: only buffer these features'
+                        },
+                        geometry: {
+                            type: 'object',
+                            description: 'Instead of center or layerId: a GeoJSON geometry (Point, LineString, Polygon, their Multi variants or GeometryCollection) to buffer',
+                            additionalProperties: true
+                        },
+                        distance: {
+                            type: 'number',
+                            minimum: 0,
+                            description: 'Radius of the circle or width of the buffer around the geometry'
+                        },
+                        units: {
+                            type: 'string',
+                            enum: Object.keys(DISTANCE_UNITS),
+                            default: 'meters',
+                            description: 'Unit of distance'
+                        },
+                        fillColor: {
+                            type: 'string',
+                            default: this.options.defaultPolygonFillColor,
+                            description: 'Fill color of the area (hex format)'
+                        },
+                        fillOpacity: {
+                            type: 'number',
+                            minimum: 0,
+                            maximum: 1,
+                            default: this.options.defaultPolygonFillOpacity,
+                            description: 'Fill opacity (0.0 = transparent, 1.0 = opaque)'
+                        },
+                        strokeColor: {
+                            type: 'string',
+                            default: this.options.defaultPolygonStrokeColor,
+                            description: 'Outline color of the area (hex format)'
+                        },
+                        strokeWidth: {
+                            type: 'number',
+                            default: this.options.defaultPolygonStrokeWidth,
+                            description: 'Outline width in pixels'
+                        },
+                        layerName: {
+                            type: 'string',
+                            default: 'buffer-layer',
+                            description: 'Name for the buffer layer'
+                        }
+                    },
+                    required: ['distance']
+                }
+            },
+            {
+                name: 'analyze_features',
+                description: 'Compute spatial facts about map data instead of estimating them: count points in polygons, find the features nearest to a location, measure lengths and areas, or get the bounding box, centroid or convex hull, and intersect or merge two polygon layers. Works on layers created with these tools or on GeoJSON, e.g. from query_source_features. Returns numbers (meters, square meters) and can add the resulting shape to the map.',
+                input_schema: {
+                    type: 'object',
+                    properties: {
+                        operation: {
+                            type: 'string',
+                            enum: ['count_points_in_polygons', 'nearest', 'measure', 'bbox', 'centroid', 'convex_hull', 'intersection', 'union'],
+                            description: 'count_points_in_polygons: points of the second input inside each polygon of the input; nearest: features of the input closest to point; measure: length of lines, area and perimeter of polygons; bbox, centroid, convex_hull: of all features of the input; intersection / union: of the polygons of the input and the second input'
+                        },
+                        layerId: {
+                            type: 'string',
+                            description: 'Layer ID (or layerName) of a layer created with these tools whose features to analyze. For vector tileset layers, the features of the currently loaded tiles are used.'
+                        },
+                        geojson: {
+                            type: 'object',
+                            description: 'Instead of layerId: GeoJSON to analyze (geometry, Feature or FeatureCollection)',
+                            additionalProperties: true
+                        },
+                        featureIds: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'With layerId: only analyze these features'
+                        },
+                        otherLayerId: {
+                            type: 'string',
+                            description: 'Second input, as layer ID: the points for count_points_in_polygons, the other polygons for intersection and union'
+                        },
+                        otherGeojson: {
+                            type: 'object',
+                            description: 'Second input, as GeoJSON, instead of otherLayerId',
+                            additionalProperties: true
+                        },
+                        point: {
+                            type: 'object',
+                            description: 'Location to search from, for nearest',
+                            properties: {
+                                longitude: {
+                                    type: 'number',
+                                    minimum: -180,
+                                    maximum: 180,
+                                    description: 'Longitude coordinate (-180 to 180)'
+                                },
+                                latitude: {
+                                    type: 'number',
+                                    minimum: -90,
+                                    maximum: 90,
+                                    description: 'Latitude coordinate (-90 to 90)'
+                                }
+                            },
+                            required: ['longitude', 'latitude']
+                        },
+                        limit: {
+                            type: 'integer',
+                            minimum: 1,
+                            maximum: 100,
+                            default: 5,
+                            description: 'Number of features to return, for nearest'
+                        },
+                        addToMap: {
+                            type: 'boolean',
+                            default: false,
+                            description: 'Add the resulting shape of bbox, centroid, convex_hull, intersection or union to the map as a new layer'
+                        },
+                        layerName: {
+                            type: 'string',
+                            default: 'analysis-layer',
+                            description: 'Name for the layer added with addToMap'
+                        }
+                    },
+                    required: ['operation']
+                }
+            },
+            {
+                name: 'measure_geometry',
+                description: 'Measure a layer created with these tools: geodesic length of routes and lines (per feature, e.g. per route segment), area and perimeter of polygons, in metric and imperial units. Use this for questions like "how long is the route?" or "how big is this area?".',
+                input_schema: {
+                    type: 'object',
+                    properties: {
+                        layerId: {
+                            type: 'string',
+                            description: 'Layer ID returned by the tool that created the layer, or its layerName'
+                        },
+                        featureIds: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Only measure these features'
+                        }
+                    },
+                    required: ['layerId']
+                }
+            },
+            {
+                name: 'add_geojson_to_map',
+                description: 'Add any GeoJSON to the map, inline or from a URL: a FeatureCollection, Feature or geometry with points, lines and polygons (including Multi* geometries and GeometryCollections). Each geometry type is drawn with its own layer (circles, lines, filled polygons) and clicking a feature shows its properties. Use this for existing GeoJSON files or data, e.g. "show this GeoJSON of bike lanes".',
+                input_schema: {
+                    type: 'object',
+                    properties: {
+                        geojson: {
+                            type: 'object',
+                            description: 'GeoJSON to add (FeatureCollection, Feature or geometry)',
+                            additionalProperties: true
+                        },
+                        url: {
+                            type: 'string',
+                            description: 'Instead of geojson: URL of a GeoJSON file to load'
+                        },
+                        filter: {
+                            type: 'array',
+                            description: 'Mapbox GL filter expression on feature properties, applied to all layers. Example: ["==", ["get", "type"], "cycleway"]',
+                            items: {}
+                        },
+                        pointColor: {
+                            type: 'string',
+                            default: this.options.defaultPointColor,
+                            description: 'Color of points (hex format)'
+                        },
+                        pointRadius: {
+                            type: 'number',
+                            default: 6,
+                            description: 'Radius of points in pixels'
+                        },
+                        lineColor: {
+                            type: 'string',
+                            default: this.options.defaultRouteColor,
+                            description: 'Color of lines (hex format)'
+                        },
+                        lineWidth: {
+                            type: 'number',
+                            default: this.options.defaultRouteWidth,
+                            description: 'Width of lines in pixels'
+                        },
+                        fillColor: {
+                            type: 'string',
+                            default: this.options.defaultPolygonFillColor,
+                            description: 'Fill color of polygons (hex format)'
+                        },
+                        fillOpacity: {
+                            type: 'number',
+                            minimum: 0,
+                            maximum: 1,
+                            default: this.options.defaultPolygonFillOpacity,
+                            description: 'Fill opacity of polygons (0.0 = transparent, 1.0 = opaque)'
+                        },
+                        strokeColor: {
+                            type: 'string',
+                            default: this.options.defaultPolygonStrokeColor,
+                            description: 'Outline color of polygons (hex format)'
+                        },
+                        strokeWidth: {
+                            type: 'number',
+                            default: this.options.defaultPolygonStrokeWidth,
+                            description: 'Outline width of polygons in pixels'
+                        },
+                        layerName: {
+                            type: 'string',
+                            default: 'geojson-layer',
+                            description: 'Name for the GeoJSON layer'
+                        }
+                    }
+                }
+            },
+            {
+                name: 'import_data_to_map',
+                description: 'Import GPX tracks, KML (e.g. from Google Earth), CSV tables with coordinate or WKT columns, WKT or GeoJSON and add them to the map. The data is converted locally and added with the matching tool: points with add_points_to_map, lines with add_route_to_map, polygons with add_polygon_to_map, mixed geometries with add_geojson_to_map. Use this when users share data files or spreadsheets.',
+                input_schema: {
+                    type: 'object',
+                    properties: {
+                        data: {
+                            type: 'string',
+                            description: 'Content of the file to import'
+                        },
+                        url: {
+                            type: 'string',
+                            description: 'Instead of data: URL of the file to import'
+                        },
+                        fileName: {
+                            type: 'string',
+                            description: 'Name of the imported file (e.g. "tracks.gpx"), used to detect the format of data'
+                        },
+                        format: {
+                            type: 'string',
+                            enum: ['auto', ...IMPORT_FORMATS],
+                            default: 'auto',
+                            description: 'Format of the data; "auto" detects it from the file extension of fileName or url, or from the content'
+                        },
+                        latitudeColumn: {
+                            type: 'string',
+                            description: 'CSV column with latitudes. Detected by name (e.g. "lat", "latitude", "y") if omitted.'
+                        },
+                        longitudeColumn: {
+                            type: 'string',
+                            description: 'CSV column with longitudes. Detected by name (e.g. "lon", "lng", "longitude", "x") if omitted.'
+                        },
+                        wktColumn: {
+                            type: 'string',
+                            description: 'CSV column with WKT geometries (e.g. "POLYGON ((...))"), instead of latitude and longitude columns. Detected if there are no coordinate columns.'
+                        },
+                        delimiter: {
+                            type: 'string',
+                            description: 'CSV delimiter. Detected from the header row if omitted.'
+                        },
+                        layerType: {
+                            type: 'string',
+                            enum: ['auto', 'points', 'route', 'polygon', 'heatmap', 'geojson'],
+                            default: 'auto',
+                            description: 'How to show the data: "auto" picks points, route or polygon by the geometries and geojson for mixed geometries; "heatmap" shows points as a heatmap'
+                        },
+                        layerOptions: {
+                            type: 'object',
+                            description: 'More arguments for the tool that adds the data, e.g. {"cluster": true} for many points, {"color": "#FF4136"} for routes, {"style": {...}} for data-driven styling or {"weightProperty": "count"} for heatmaps',
+                            additionalProperties: true
+                        },
+                        layerName: {
+                            type: 'string',
+                            description: 'Name for the layer'
+                        }
+                    }
+                }
+            }
+        ];
+    }
+
+    /**
+     * Execute a map tool by name
+     */
+    async executeTool(toolName, args = {}) {
+        console.log(`Executing map tool: ${toolName}`, args);
+
+        try {
+            if (this.options.validateArguments) {
+                const validation = this.validateToolArgs(toolName, args);
+                if (!validation.valid) {
+                    return this.createValidationErrorResult(toolName, validation.errors);
+                }
+                args = validation.value;
+            }
+
+            switch (toolName) {
+                case 'add_points_to_map':
+                    return this.addPointsToMap(args);
+                case 'add_route_to_map':
+                    return this.addRouteToMap(args);
+                case 'pan_map_to_location':
+                    return this.panMapToLocation(args);
+                case 'fit_map_to_bounds':
+                    return this.fitMapToBounds(args);
+                case 'add_polygon_to_map':
+                    return this.addPolygonToMap(args);
+                case 'clear_map_layers':
+                    return this.clearMapLayers(args);
+                case 'set_map_style':
+                    return this.setMapStyle(args);
+                case 'undo_last_action':
+                    return this.undo(args.steps);
+                case 'redo_action':
+                    return this.redo(args.steps);
+                case 'add_vector_tileset_layer':
+                    return this.addVectorTilesetLayer(args);
+                case 'query_rendered_features':
+                    return this.queryRenderedFeatures(args);
+                case 'query_source_features':
+                    return this.querySourceFeatures(args);
+                case 'list_map_layers':
+                    return this.listMapLayers(args);
+                case 'update_layer_style':
+                    return this.updateLayerStyle(args);
+                case 'update_layer_data':
+                    return this.updateLayerData(args);
+                case 'add_heatmap_to_map':
+                    return this.addHeatmapToMap(args);
+                case 'animate_route':
+                    return this.animateRoute(args);
+                case 'add_labels_to_map':
+                    return this.addLabelsToMap(args);
+                case 'register_map_icon':
+                    return await this.registerMapIcon(args);
+                case 'add_buffer_to_map':
+                    return this.addBufferToMap(args);
+                case 'analyze_features':
+                    return this.analyzeFeatures(args);
+                case 'measure_geometry':
+                    return this.measureLayer(args);
+                case 'add_geojson_to_map':
+                    return await this.addGeoJsonToMap(args);
+                case 'import_data_to_map':
+                    return await this.importDataToMap(args);
+                default:
+                    throw new Error(`Unknown tool: ${toolName}`);
+            }
+        } catch (error) {
+            console.error(`Error executing ${toolName}:`, error);
+            return {
+                content: [{
+                    type: 'text',
+                    text: `Error: ${error.message}`
+                }],
+                isError: true
+            };
+        } finally {
+            this.updateLegendControls();
+        }
+    }
+
+    /**
+     * Validate tool arguments against the tool's input_schema
+     * @param {string} toolName - Name of the tool
+     * @param {Object} args - Tool arguments
+     * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, value: Object}}
+     *   Validation result. `value` is a copy of args with declared defaults applied.
+     */
+    validateToolArgs(toolName, args) {
+        const tool = this.tools.find(t => t.name === toolName);
+        if (!tool) {
+            // Unknown tools are reported by executeTool itself
+            return { valid: true, errors: [], value: args };
+        }
+
+        const errors = [];
+        const value = this.validateAgainstSchema(tool.input_schema, args, '', errors);
+
+        return { valid: errors.length === 0, errors, value };
+    }
+
+    /**
+     * Check a value against a JSON Schema (subset used by the tool definitions:
+     * type, enum, minimum, maximum, minLength, maxLength, minItems, maxItems,
+     * items, properties, required, additionalProperties and default)
+     * @param {Object} schema - JSON Schema to validate against
+     * @param {*} value - Value to validate
+     * @param {string} path - Path of the value within the arguments, e.g. "points[0].latitude"
+     * @param {Array<{path: string, message: string}>} errors - Collected violations
+     * @returns {*} The value with declared defaults applied
+     */
+    validateAgainstSchema(schema, value, path, errors) {
+        if (!schema || typeof schema !== 'object') {
+            return value;
+        }
+
+        const label = path || '(arguments)';
+        const actualType = this.getSchemaType(value);
+
+        if (schema.type) {
+            const allowedTypes = Array.isArray(schema.type) ? schema.type : [schema.type];
+            const typeMatches = allowedTypes.some(type =>
+                type === actualType ||
+                (type === 'integer' && actualType === 'number' && Number.isInteger(value))
+            );
+
+            if (!typeMatches) {
+                errors.push({ path: label, message: `expected ${allowedTypes.join(' or ')}, got ${actualType}` });
+                return value;
+            }
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({
+                path: label,
+                message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`
+            });
+        }
+
+        if (actualType === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push({ path: label, message: `must be >= ${schema.minimum}, got ${value}` });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push({ path: label, message: `must be <= ${schema.maximum}, got ${value}` });
+            }
+        }
+
+        if (actualType === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push({ path: label, message: `must be at least ${schema.minLength} characters long` });
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push({ path: label, message: `must be at most ${schema.maxLength} characters long` });
+            }
+        }
+
+        if (actualType === 'array') {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push({ path: label, message: `must contain at least ${schema.minItems} items, got ${value.length}` });
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push({ path: label, message: `must contain at most ${schema.maxItems} items, got ${value.length}` });
+            }
+            if (schema.items && typeof schema.items === 'object') {
+                return value.map((item, index) =>
+                    this.validateAgainstSchema(schema.items, item, `${path}[${index}]`, errors)
+                );
+            }
+            return value;
+        }
+
+        if (actualType === 'object') {
+            const result = { ...value };
+            const properties = schema.properties || {};
+            const childPath = key => (path ? `${path}.${key}` : key);
+
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    errors.push({ path: childPath(key), message: 'is required' });
+                }
+            });
+
+            Object.entries(properties).forEach(([key, propertySchema]) => {
+                if (result[key] === undefined) {
+                    if (propertySchema.default !== undefined) {
+                        result[key] = JSON.parse(JSON.stringify(propertySchema.default));
+                    }
+                    return;
+                }
+                result[key] = this.validateAgainstSchema(propertySchema, result[key], childPath(key), errors);
+            });
+
+            if (schema.additionalProperties === false) {
+                Object.keys(value)
+                    .filter(key => !(key in properties))
+                    .forEach(key => errors.push({ path: childPath(key), message: 'is not an allowed property' }));
+            }
+
+            return result;
+        }
+
+        return value;
+    }
+
+    /**
+     * Get the JSON Schema type name of a value
+     * @param {*} value - Value to inspect
+     * @returns {string} One of null, array, number, string, boolean, object, undefined or NaN/Infinity
+     */
+    getSchemaType(value) {
+        if (value === null) {
+            return 'null';
+        }
+        if (Array.isArray(value)) {
+            return 'array';
+        }
+        if (typeof value === 'number' && !Number.isFinite(value)) {
+            return String(value);
+        }
+        return typeof value;
+    }
+
+    /**
+     * Build the tool result returned for invalid arguments, listing every
+     * violation so the model can correct the call on its next turn
+     * @param {string} toolName - Name of the tool
+     * @param {Array<{path: string, message: string}>} errors - Validation errors
+     * @returns {Object} Error result
+     */
+    createValidationErrorResult(toolName, errors) {
+        const details = errors.map(error => `- ${error.path}: ${error.message}`).join('\n');
+
+        return {
+            content: [{
+                type: 'text',
+                text: `Error: Invalid arguments for ${toolName}:\n${details}\nFix these arguments and call ${toolName} again.`
+            }],
+            isError: true,
+            validationErrors: errors
+        };
+    }
+
+    /**
+     * Add points to the map
+     */
+    addPointsToMap(args) {
+        const {
+            points,
+            style,
+            cluster = false,
+            clusterRadius = 50,
+            clusterMaxZoom = 14,
+            clusterAggregates = [],
+            icon,
+            showLabels = false,
+            labelProperty = 'title',
+            labelStyle,
+            layerName = 'points-layer'
+        } = args;
+        const uniqueLayerName = `${layerName}-${++this.layerCounter}`;
+
+        // Create GeoJSON feature collection
+        const geojson = {
+            type: 'FeatureCollection',
+            features: this.assignFeatureIds(
+                uniqueLayerName,
+                points.map((point, index) => this.createPointFeature(icon && !point.icon ? { ...point, icon } : point, index)),
+                []
+            )
+        };
+        const iconNames = [...new Set(geojson.features.map(feature => feature.properties.icon).filter(Boolean))];
+
+        const dataStyle = style ? compileDataDrivenStyle(geojson.features, style) : null;
+
+        if (clusterAggregates.length > 0 && !cluster) {
+            throw new Error('clusterAggregates requires cluster: true');
+        }
+        const aggregates = cluster ? this.computeClusterAggregates(geojson.features, clusterAggregates) : [];
+
+        const entry = this.createRegistryEntry(uniqueLayerName, 'add_points_to_map', layerName);
+
+        // Add source and layer
+        const sourceSpec = {
+            type: 'geojson',
+            data: geojson,
+            promoteId: 'id'
+        };
+        if (cluster) {
+            Object.assign(sourceSpec, {
+                cluster: true,
+                clusterRadius,
+                clusterMaxZoom,
+                clusterProperties: Object.fromEntries(clusterAggregates.map(({ name, operation, property }) => [
+                    name,
+                    [{ sum: '+', max: 'max', min: 'min' }[operation], ['to-number', ['get', property]]]
+                ]))
+            });
+        }
+        this.addRegisteredSource(entry, uniqueLayerName, sourceSpec);
+
+        if (cluster) {
+            this.addClusterLayers(entry, uniqueLayerName);
+        }
+
+        // Points with an icon are drawn by the -icons layer instead of as circles
+        const circleFilters = [
+            ...(cluster ? [['!', ['has', 'point_count']]] : []),
+            ...(iconNames.length > 0 ? [['!', ['has', 'icon']]] : [])
+        ];
+        this.addRegisteredLayer(entry, {
+            id: uniqueLayerName,
+            type: 'circle',
+            source: uniqueLayerName,
+            ...(circleFilters.length > 0 ? { filter: circleFilters.length === 1 ? circleFilters[0] : ['all', ...circleFilters] } : {}),
+            paint: {
+                'circle-radius': dataStyle && dataStyle.size ? dataStyle.size : 8,
+                'circle-color': dataStyle && dataStyle.color ? dataStyle.color : ['get', 'color'],
+                'circle-stroke-width': 2,
+                'circle-stroke-color': '#ffffff'
+            }
+        });
+
+        if (iconNames.length > 0) {
+            this.addRegisteredLayer(entry, {
+                id: `${uniqueLayerName}-icons`,
+                type: 'symbol',
+                source: uniqueLayerName,
+                filter: cluster ? ['all', ['!', ['has', 'point_count']], ['has', 'icon']] : ['has', 'icon'],
+                layout: {
+                    'icon-image': ['get', 'icon'],
+                    'icon-size': ['coalesce', ['get', 'iconSize'], 1],
+                    'icon-rotate': ['coalesce', ['get', 'rotation'], 0],
+                    // Rotation is relative to north, like a heading
+                    'icon-rotation-alignment': 'map',
+                    'icon-allow-overlap': true
+                },
+                paint: {
+                    // Only applies to SDF icons, see registerIcon
+                    'icon-color': dataStyle && dataStyle.color ? dataStyle.color : ['get', 'color']
+                }
+            });
+        }
+
+        if (showLabels) {
+            const labelLayer = this.buildLabelLayer(`${uniqueLayerName}-labels`, uniqueLayerName, ['get', labelProperty], labelStyle, {
+                anchor: 'top',
+                offset: [0, 0.8]
+            });
+            if (cluster) {
+                labelLayer.filter = ['!', ['has', 'point_count']];
+            }
+            this.addRegisteredLayer(entry, labelLayer);
+        }
+
+        // Add interactive features if enabled
+        const interactiveLayerIds = iconNames.length > 0 ? [uniqueLayerName, `${uniqueLayerName}-icons`] : [uniqueLayerName];
+        interactiveLayerIds.forEach(layerId => {
+            if (this.options.enablePopups) {
+                this.addRegisteredInteraction(entry, { type: 'popup', layerId });
+            }
+            if (this.options.enableHoverEffects) {
+                this.addRegisteredInteraction(entry, { type: 'hover', layerId });
+            }
+        });
+
+        this.recordLayerCreation(entry);
+
+        let text = `Added ${points.length} points to map layer "${uniqueLayerName}"`;
+        if (cluster) {
+            text += `, clustered within ${clusterRadius}px up to zoom ${clusterMaxZoom}`;
+            if (aggregates.length > 0) {
+                text += ` with cluster aggregates ${aggregates.map(({ name, operation, property, value }) =>
+                    `${name} (${operation} of ${property}, ${value} over all points)`).join(', ')}`;
+            }
+        }
+        if (dataStyle) {
+            text += `, ${this.describeClassification(dataStyle.classification)}`;
+        }
+        const unknownIcons = this.map.isStyleLoaded()
+            ? iconNames.filter(name => !this.icons.has(name) && (this.missingIcons.has(name) || !this.map.hasImage(name)))
+            : [];
+        if (unknownIcons.length > 0) {
+            text += `. Icons not found in the map style or registered icons: ${unknownIcons.join(', ')}; ` +
+                'these points show a placeholder until the icons are registered with register_map_icon';
+        }
+
+        return {
+            content: [{
+                type: 'text',
+                text
+            }],
+            isError: false,
+            layerId: uniqueLayerName,
+            featureIds: geojson.features.map(feature => feature.properties.id),
+            ...(dataStyle ? { classification: dataStyle.classification } : {}),
+            ...(cluster ? {
+                cluster: {
+                    radius: clusterRadius,
+                    maxZoom: clusterMaxZoom,
+                    layerIds: [`${uniqueLayerName}-clusters`, `${uniqueLayerName}-cluster-count`],
+                    aggregates
+                }
+            } : {})
+        };
+    }
+
+    /**
+     * Add the cluster circle and point count layers of a clustered points layer.
+     * Clicking a cluster zooms to the level where it breaks apart.
+     * @param {Object} entry - Registry entry of the points layer
+     * @param {string} sourceId - Clustered GeoJSON source
+     */
+    addClusterLayers(entry, sourceId) {
+        const clusterLayerId = `${entry.id}-clusters`;
+
+        this.addRegisteredLayer(entry, {
+            id: clusterLayerId,
+            type: 'circle',
+            source: sourceId,
+            filter: ['has', 'point_count'],
+            paint: {
+                'circle-color': ['step', ['get', 'point_count'], '#51bbd6', 100, '#f1f075', 750, '#f28cb1'],
+                'circle-radius': ['step', ['get', 'point_count'], 20, 100, 30, 750, 40],
+                'circle-stroke-width': 2,
+                'circle-stroke-color': '#ffffff'
+            }
+        });
+
+        this.addRegisteredLayer(entry, {
+            id: `${entry.id}-cluster-count`,
+            type: 'symbol',
+            source: sourceId,
+            filter: ['has', 'point_count'],
+            layout: {
+                'text-field': ['get', 'point_count_abbreviated'],
+                'text-font': ['DIN Offc Pro Medium', 'Arial Unicode MS Bold'],
+                'text-size': 12
+            }
+        });
+
+        this.addRegisteredInteraction(entry, { type: 'cluster-zoom', layerId: clusterLayerId, sourceId });
+
+        if (this.options.enableHoverEffects) {
+            this.addRegisteredInteraction(entry, { type: 'hover', layerId: clusterLayerId });
+        }
+    }
+
+    /**
+     * Validate cluster aggregates and compute their value over all points
+     * @param {Array<Object>} features - Point features
+     * @param {Array<{name: string, operation: string, property: string}>} clusterAggregates - Aggregates
+     * @returns {Array<Object>} The aggregates with their overall value
+     */
+    computeClusterAggregates(features, clusterAggregates) {
+        const reserved = ['cluster', 'cluster_id', 'point_count', 'point_count_abbreviated'];
+        const names = new Set();
+
+        return clusterAggregates.map(({ name, operation, property }) => {
+            if (reserved.includes(name) || names.has(name)) {
+                throw new Error(`Invalid cluster aggregate name "${name}": names must be unique and not one of ${reserved.join(', ')}`);
+            }
+            names.add(name);
+
+            const values = features
+                .map(feature => Number(feature.properties[property]))
+                .filter(Number.isFinite);
+            if (values.length === 0) {
+                throw new Error(`No point has a numeric value for the property "${property}" of cluster aggregate "${name}"`);
+            }
+
+            const value = {
+                sum: () => values.reduce((total, current) => total + current, 0),
+                max: () => Math.max(...values),
+                min: () => Math.min(...values)
+            }[operation]();
+
+            return { name, operation, property, value };
+        });
+    }
+
+    /**
+     * Summarize the classes of a data-driven style for a tool result text
+     * @param {Object} classification - Classification from compileDataDrivenStyle
+     * @returns {string} Summary
+     */
+    describeClassification(classification) {
+        const { property, method, classes } = classification;
+        const describeClass = (cls) => {
+            const label = method === 'categorical'
+                ? (cls.value === null ? 'other' : `"${cls.value}"`)
+                : `${cls.min}-${cls.max}`;
+            const outputs = [cls.color, cls.size !== undefined ? `${cls.size}px` : undefined].filter(Boolean);
+            return `${label}: ${outputs.join(' ')}`;
+        };
+
+        return `styled by "${property}" (${method}, ${classes.length} class${classes.length !== 1 ? 'es' : ''}: ${classes.map(describeClass).join('; ')})`;
+    }
+
+    /**
+     * Create the GeoJSON feature for a point of add_points_to_map or update_layer_data
+     * @param {Object} point - Point arguments
+     * @param {number} index - Position of the point in its layer, used for the default title
+     * @returns {Object} GeoJSON Feature
+     */
+    createPointFeature(point, index) {
+        const properties = {
+            ...(point.properties || {}),
+            title: point.title || `Point ${index + 1}`,
+            description: point.description || '',
+            color: point.color || this.options.defaultPointColor
+        };
+        if (point.id !== undefined) {
+            properties.id = point.id;
+        }
+        ['icon', 'rotation', 'iconSize'].forEach(key => {
+            if (point[key] !== undefined) {
+                properties[key] = point[key];
+            }
+        });
+
+        return {
+            type: 'Feature',
+            geometry: {
+                type: 'Point',
+                coordinates: [point.longitude, point.latitude]
+            },
+            properties
+        };
+    }
+
+    /**
+     * Open a popup for a clicked feature.
+     * Uses the popupRenderer option when set; otherwise the title is rendered as text and
+     * the description as text or, with allowPopupHtml, as sanitized HTML. Features without
+     * a title, such as those of add_geojson_to_map, show a table of their properties.
+     * @param {Object} feature - Clicked GeoJSON feature
+     * @param {mapboxgl.LngLat} [lngLat] - Clicked location, where popups of lines and polygons open
+     */
+    showFeaturePopup(feature, lngLat) {
+        const coordinates = feature.geometry.type === 'Point' ? feature.geometry.coordinates.slice() : lngLat;
+        const popup = new mapboxgl.Popup().setLngLat(coordinates);
+
+        if (this.options.popupRenderer) {
+            const rendered = this.options.popupRenderer(feature.properties, feature);
+            if (rendered === null || rendered === undefined) {
+                return;
+            }
+            // Strings from a custom renderer are trusted HTML; DOM nodes are inserted as-is
+            if (typeof rendered === 'string') {
+                popup.setHTML(rendered);
+            } else {
+                popup.setDOMContent(rendered);
+            }
+        } else if (feature.properties.title !== undefined) {
+            const { title, description } = feature.properties;
+            const formatDescription = this.options.allowPopupHtml ? sanitizeHtml : escapeHtml;
+            popup.setHTML(`<h3>${escapeHtml(title)}</h3><p>${formatDescription(description)}</p>`);
+        } else {
+            const rows = Object.entries(feature.properties).filter(([key]) => key !== 'id');
+            if (rows.length === 0) {
+                return;
+            }
+            popup.setHTML(`<table>${rows.map(([key, value]) =>
+                `<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value)}</td></tr>`
+            ).join('')}</table>`);
+        }
+
+        popup.addTo(this.map);
+    }
+
+    /**
+     * Add a route to the map
+     */
+    addRouteToMap(args) {
+        const {
+            coordinates,
+            segments = [],
+            color = this.options.defaultRouteColor,
+            width = this.options.defaultRouteWidth,
+            dash = 'solid',
+            gradientColors,
+            showDirectionArrows = false,
+            name,
+            showLabels,
+            labelProperty = 'name',
+            labelStyle,
+            layerName = 'route-layer'
+        } = args;
+
+        if (!coordinates && segments.length === 0) {
+            throw new Error('Provide the route coordinates, or several segments in segments');
+        }
+
+        const lines = segments.length > 0 ? segments : [{ coordinates, name }];
+        // Named routes are labeled unless showLabels is false
+        const labelLines = showLabels !== undefined ? showLabels : lines.some(line => line.name);
+        const uniqueLayerName = `${layerName}-${++this.layerCounter}`;
+
+        // Segment styles are stored on the features; the layers fall back to the route's style
+        const geojson = {
+            type: 'FeatureCollection',
+            features: this.assignFeatureIds(uniqueLayerName, lines.map(line => {
+                const properties = {};
+                ['name', 'color', 'width', 'dash'].forEach(key => {
+                    if (line[key] !== undefined) {
+                        properties[key] = line[key];
+                    }
+                });
+                return {
+                    type: 'Feature',
+                    geometry: {
+                        type: 'LineString',
+                        coordinates: line.coordinates
+                    },
+                    properties
+                };
+            }), [])
+        };
+
+        // The route's own dash style always gets the layer named like the route
+        const dashStyles = [dash, ...new Set(lines.map(line => line.dash || dash).filter(style => style !== dash))];
+
+        if (gradientColors && !dashStyles.includes('solid')) {
+            throw new Error('gradientColors only applies to solid lines');
+        }
+
+        const entry = this.createRegistryEntry(uniqueLayerName, 'add_route_to_map', layerName);
+
+        this.addRegisteredSource(entry, uniqueLayerName, {
+            type: 'geojson',
+            data: geojson,
+            promoteId: 'id',
+            // line-progress, needed by line-gradient
+            ...(gradientColors ? { lineMetrics: true } : {})
+        });
+
+        const featureColor = ['coalesce', ['get', 'color'], color];
+
+        dashStyles.forEach(style => {
+            const layerSpec = {
+                id: style === dash ? uniqueLayerName : `${uniqueLayerName}-${style}`,
+                type: 'line',
+                source: uniqueLayerName,
+                paint: {
+                    'line-color': featureColor,
+                    'line-width': ['coalesce', ['get', 'width'], width],
+                    'line-opacity': 0.8
+                }
+            };
+            if (dashStyles.length > 1) {
+                layerSpec.filter = ['==', ['coalesce', ['get', 'dash'], dash], style];
+            }
+            if (style !== 'solid') {
+                layerSpec.paint['line-dasharray'] = ROUTE_DASH_ARRAYS[style];
+                layerSpec.layout = { 'line-cap': 'round' };
+            } else if (gradientColors) {
+                layerSpec.paint['line-gradient'] = [
+                    'interpolate', ['linear'], ['line-progress'],
+                    ...gradientColors.flatMap((gradientColor, i) => [i / (gradientColors.length - 1), gradientColor])
+                ];
+            }
+            this.addRegisteredLayer(entry, layerSpec);
+        });
+
+        if (showDirectionArrows) {
+            this.addRegisteredLayer(entry, {
+                id: `${uniqueLayerName}-arrows`,
+                type: 'symbol',
+                source: uniqueLayerName,
+                layout: {
+                    'symbol-placement': 'line',
+                    'symbol-spacing': 80,
+                    'text-field': '▶',
+                    'text-font': ['Open Sans Regular', 'Arial Unicode MS Regular'],
+                    'text-size': 12,
+                    // Keep arrows pointing along the line instead of flipping them to stay upright
+                    'text-keep-upright': false,
+                    'text-allow-overlap': true
+                },
+                paint: {
+                    'text-color': featureColor,
+                    'text-halo-color': '#ffffff',
+                    'text-halo-width': 1
+                }
+            });
+        }
+
+        if (labelLines) {
+            this.addRegisteredLayer(entry, this.buildLabelLayer(`${uniqueLayerName}-labels`, uniqueLayerName, ['get', labelProperty], labelStyle, {
+                placement: 'line',
+                color: featureColor
+            }));
+        }
+
+        this.recordLayerCreation(entry);
+
+        const { length, features: measuredLines } = this.measureFeatures(geojson.features);
+        const text = segments.length > 0
+            ? `Added route with ${segments.length} segments to map layer "${uniqueLayerName}", ${formatDistance(length.meters)} long: ` +
+                measuredLines.map((line, i) => `${line.name || `segment ${i + 1}`}: ${formatDistance(line.length ? line.length.meters : 0)}`).join('; ')
+            : `Added route with ${coordinates.length} points to map layer "${uniqueLayerName}", ${formatDistance(length.meters)} long`;
+
+        return {
+            content: [{
+                type: 'text',
+                text
+            }],
+            isError: false,
+            layerId: uniqueLayerName,
+            featureIds: geojson.features.map(feature => feature.properties.id),
+            measurements: {
+                length,
+                segments: measuredLines.map(line => ({
+                    id: line.id,
+                    ...(line.name !== undefined ? { name: line.name } : {}),
+                    length: line.length || convertLength(0)
+                }))
+            }
+        };
+    }
+
+    /**
+     * Pan map to a location
+     */
+    panMapToLocation(args) {
+        const { longitude, latitude, zoom = 12, animate = true } = args;
+
+        this.recordCameraChange('pan_map_to_location', `view centered on ${latitude.toFixed(4)}, ${longitude.toFixed(4)}`);
+
+        if (animate) {
+            this.map.flyTo({
+                center: [longitude, latitude],
+                zoom: zoom,
+                duration: 2000
+            });
+        } else {
+            this.map.setCenter([longitude, latitude]);
+            this.map.setZoom(zoom);
+        }
+
+        return {
+            content: [{
+                type: 'text',
+                text: `Map centered on ${latitude.toFixed(4)}, ${longitude.toFixed(4)} at zoom level ${zoom}`
+            }],
+            isError: false
+        };
+    }
+
+    /**
+     * Fit map to bounds of coordinates
+     */
+    fitMapToBounds(args) {
+        const { coordinates, padding = 50 } = args;
+
+        if (coordinates.length === 0) {
+            throw new Error('No coordinates provided');
+        }
+
+        const bounds = coordinates.reduce((bounds, coord) => {
+            return bounds.extend(coord);
+        }, new mapboxgl.LngLatBounds(coordinates[0], coordinates[0]));
+
+        this.recordCameraChange('fit_map_to_bounds', `view fitted to ${coordinates.length} coordinates`);
+
+        this.map.fitBounds(bounds, { padding: padding });
+
+        return {
+            content: [{
+                type: 'text',
+                text: `Map view adjusted to fit ${coordinates.length} coordinates`
+            }],
+            isError: false
+        };
+    }
+
+    /**
+     * Add polygon to map
+     */
+    addPolygonToMap(args) {
+        const {
+            coordinates,
+            polygons = [],
+            style,
+            fillColor = this.options.defaultPolygonFillColor,
+            fillOpacity = this.options.defaultPolygonFillOpacity,
+            strokeColor = this.options.defaultPolygonStrokeColor,
+            strokeWidth = this.options.defaultPolygonStrokeWidth,
+            name,
+            showLabels = false,
+            labelProperty = 'name',
+            labelStyle,
+            layerName = 'polygon-layer'
+        } = args;
+
+        const uniqueLayerName = `${layerName}-${++this.layerCounter}`;
+
+        if (!coordinates && polygons.length === 0) {
+            throw new Error('Provide the polygon coordinates, or several polygons in polygons');
+        }
+
+        const shapes = polygons.length > 0 ? polygons : [{ coordinates, properties: name ? { name } : {} }];
+
+        const geojson = {
+            type: 'FeatureCollection',
+            features: this.assignFeatureIds(uniqueLayerName, shapes.map(shape => ({
+                type: 'Feature',
+                geometry: {
+                    type: 'Polygon',
+                    coordinates: shape.coordinates
+                },
+                properties: { ...(shape.properties || {}) }
+            })), [])
+        };
+
+        // Polygons are only colored, never sized
+        const dataStyle = style
+            ? compileDataDrivenStyle(geojson.features, { ...style, sizeRange: undefined })
+            : null;
+
+        const entry = this.createRegistryEntry(uniqueLayerName, 'add_polygon_to_map', layerName);
+
+        this.addRegisteredSource(entry, uniqueLayerName, {
+            type: 'geojson',
+            data: geojson,
+            promoteId: 'id'
+        });
+
+        this.addPolygonLayers(entry, uniqueLayerName, {
+            fillColor: dataStyle ? dataStyle.color : fillColor,
+            fillOpacity,
+            strokeColor,
+            strokeWidth
+        });
+
+        // Mapbox GL places point labels of polygons at their pole of inaccessibility,
+        // which lies inside even for concave shapes
+        if (showLabels) {
+            this.addRegisteredLayer(entry, this.buildLabelLayer(`${uniqueLayerName}-labels`, uniqueLayerName, ['get', labelProperty], labelStyle));
+        }
+
+        this.recordLayerCreation(entry);
+
+        const { area, perimeter, features: measuredPolygons } = this.measureFeatures(geojson.features);
+
+        return {
+            content: [{
+                type: 'text',
+                text: `Added ${shapes.length === 1 ? 'polygon' : `${shapes.length} polygons`} to map layer "${uniqueLayerName}"` +
+                    `: ${shapes.length === 1 ? '' : 'total '}area ${formatArea(area.squareMeters)}, perimeter ${formatDistance(perimeter.meters)}` +
+                    (dataStyle ? `, ${this.describeClassification(dataStyle.classification)}` : '')
+            }],
+            isError: false,
+            layerId: uniqueLayerName,
+            featureIds: geojson.features.map(feature => feature.properties.id),
+            measurements: {
+                area,
+                perimeter,
+                polygons: measuredPolygons.map(({ id, name, area: polygonArea, perimeter: polygonPerimeter }) => ({
+                    id,
+                    ...(name !== undefined ? { name } : {}),
+                    area: polygonArea || convertArea(0),
+                    perimeter: polygonPerimeter || convertLength(0)
+                }))
+            },
+            ...(dataStyle ? { classification: dataStyle.classification } : {})
+        };
+    }
+
+    /**
+     * Add the fill and stroke layers of polygons to a registry entry
+     * @param {Object} entry - Registry entry
+     * @param {string} sourceId - Source with the polygons; also the prefix of the layer IDs
+     * @param {Object} paint
+     * @param {string|Array} paint.fillColor - Fill color or color expression
+     * @param {number} paint.fillOpacity - Fill opacity
+     * @param {string} paint.strokeColor - Outline color
+     * @param {number} paint.strokeWidth - Outline width in pixels
+     * @param {Array} [filter] - Filter of both layers, for sources with other geometries
+     */
+    addPolygonLayers(entry, sourceId, { fillColor, fillOpacity, strokeColor, strokeWidth }, filter) {
+        this.addRegisteredLayer(entry, {
+            id: `${sourceId}-fill`,
+            type: 'fill',
+            source: sourceId,
+            ...(filter ? { filter } : {}),
+            paint: {
+                'fill-color': fillColor,
+                'fill-opacity': fillOpacity
+            }
+        });
+
+        this.addRegisteredLayer(entry, {
+            id: `${sourceId}-stroke`,
+            type: 'line',
+            source: sourceId,
+            ...(filter ? { filter } : {}),
+            paint: {
+                'line-color': strokeColor,
+                'line-width': strokeWidth
+            }
+        });
+    }
+
+    /**
+     * Add arbitrary GeoJSON, inline or loaded from a URL. Points, lines and polygons are drawn
+     * by their own layers on one source, so that update_layer_data can add any geometry type.
+     * @param {Object} args - Tool arguments
+     * @param {Object} [args.geojson] - FeatureCollection, Feature or geometry
+     * @param {string} [args.url] - URL of a GeoJSON file, instead of geojson
+     * @param {Array} [args.filter] - Filter expression applied to all layers
+     * @param {string} [args.layerName='geojson-layer'] - Layer name
+     * @returns {Promise<Object>} Result object with the layer IDs and feature counts per geometry type
+     */
+    async addGeoJsonToMap(args) {
+        const {
+            geojson,
+            url,
+            filter,
+            pointColor = this.options.defaultPointColor,
+            pointRadius = 6,
+            lineColor = this.options.defaultRouteColor,
+            lineWidth = this.options.defaultRouteWidth,
+            fillColor = this.options.defaultPolygonFillColor,
+            fillOpacity = this.options.defaultPolygonFillOpacity,
+            strokeColor = this.options.defaultPolygonStrokeColor,
+            strokeWidth = this.options.defaultPolygonStrokeWidth,
+            layerName = 'geojson-layer'
+        } = args;
+
+        if ((geojson && url) || (!geojson && !url)) {
+            throw new Error('Provide either geojson or url');
+        }
+
+        const data = geojson || await this.loadGeoJson(url);
+        if (!data || !GEOJSON_TYPES.includes(data.type)) {
+            throw new Error(`${url ? `${url} is` : 'geojson is'} not GeoJSON: expected a type of ${GEOJSON_TYPES.join(', ')}`);
+        }
+
+        const uniqueLayerName = `${layerName}-${++this.layerCounter}`;
+        const entry = this.createRegistryEntry(uniqueLayerName, 'add_geojson_to_map', layerName);
+
+        // Layers cannot draw GeometryCollections; their parts become features of their own
+        // with the properties of the collection, and its ID numbered by part
+        const flatten = geometry => geometry && geometry.type === 'GeometryCollection'
+            ? (geometry.geometries || []).flatMap(flatten)
+            : [geometry];
+        let withoutGeometry = 0;
+        const features = toFeatures(data).flatMap(feature => {
+            const parts = flatten(feature.geometry).filter(Boolean);
+            if (parts.length === 0) {
+                withoutGeometry++;
+                return [];
+            }
+            const normalized = this.normalizeFeature(entry, feature, 0);
+            const id = this.getFeatureId(normalized);
+            return parts.map((geometry, index) => ({
+                ...normalized,
+                geometry,
+                properties: parts.length > 1 && id !== undefined
+                    ? { ...normalized.properties, id: `${id}-${index + 1}` }
+                    : normalized.properties
+            }));
+        });
+
+        const collection = {
+            type: 'FeatureCollection',
+            features: this.assignFeatureIds(uniqueLayerName, features, [])
+        };
+
+        this.addRegisteredSource(entry, uniqueLayerName, {
+            type: 'geojson',
+            data: collection,
+            promoteId: 'id'
+        });
+
+        const filterFor = geometryType => {
+            const typeFilter = ['match', ['geometry-type'], [geometryType, `Multi${geometryType}`], true, false];
+            return filter ? ['all', typeFilter, filter] : typeFilter;
+        };
+
+        // Polygons below lines below points
+        this.addPolygonLayers(entry, uniqueLayerName, { fillColor, fillOpacity, strokeColor, strokeWidth }, filterFor('Polygon'));
+        this.addRegisteredLayer(entry, {
+            id: `${uniqueLayerName}-lines`,
+            type: 'line',
+            source: uniqueLayerName,
+            filter: filterFor('LineString'),
+            layout: {
+                'line-join': 'round',
+                'line-cap': 'round'
+            },
+            paint: {
+                'line-color': lineColor,
+                'line-width': lineWidth
+            }
+        });
+        this.addRegisteredLayer(entry, {
+            id: `${uniqueLayerName}-points`,
+            type: 'circle',
+            source: uniqueLayerName,
+            filter: filterFor('Point'),
+            paint: {
+                'circle-radius': pointRadius,
+                'circle-color': pointColor,
+                'circle-stroke-width': 2,
+                'circle-stroke-color': '#ffffff'
+            }
+        });
+
+        const layerIds = {
+            points: [`${uniqueLayerName}-points`],
+            lines: [`${uniqueLayerName}-lines`],
+            polygons: [`${uniqueLayerName}-fill`, `${uniqueLayerName}-stroke`]
+        };
+
+        [...layerIds.points, ...layerIds.lines, `${uniqueLayerName}-fill`].forEach(layerId => {
+            if (this.options.enablePopups) {
+                this.addRegisteredInteraction(entry, { type: 'popup', layerId });
+            }
+            if (this.options.enableHoverEffects) {
+                this.addRegisteredInteraction(entry, { type: 'hover', layerId });
+            }
+        });
+
+        this.recordLayerCreation(entry);
+
+        const featureCounts = Object.fromEntries(Object.entries(GEOJSON_GEOMETRY_GROUPS).map(([group, geometryType]) => [
+            group,
+            collection.features.filter(feature => feature.geometry.type.replace(/^Multi/, '') === geometryType).length
+        ]));
+        const counted = Object.entries(featureCounts)
+            .filter(([, count]) => count > 0)
+            .map(([group, count]) => `${count} ${count === 1 ? group.replace(/s$/, '') : group} (layer "${layerIds[group][0]}")`);
+
+        return {
+            content: [{
+                type: 'text',
+                text: `Added GeoJSON${url ? ` from ${url}` : ''} with ${collection.features.length} feature${collection.features.length !== 1 ? 's' : ''} ` +
+                    `to map layer "${uniqueLayerName}"${counted.length > 0 ? `: ${counted.join(', ')}` : ''}` +
+                    (withoutGeometry > 0 ? `. Skipped ${withoutGeometry} feature${withoutGeometry !== 1 ? 's' : ''} without geometry` : '')
+            }],
+            isError: false,
+            layerId: uniqueLayerName,
+            layerIds,
+            featureCounts,
+            featureIds: collection.features.map(feature => feature.properties.id),
+            bbox: getBoundingBox(collection)
+        };
+    }
+
+    /**
+     * Load a GeoJSON file
+     * @param {string} url - URL of the file
+     * @returns {Promise<Object>} Parsed GeoJSON
+     * @throws {Error} If the request fails or the response is not JSON
+     */
+    async loadGeoJson(url) {
+        const text = await this.loadText(url);
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Could not load GeoJSON from ${url}: the response is not JSON`);
+        }
+    }
+
+    /**
+     * Load a text file
+     * @param {string} url - URL of the file
+     * @returns {Promise<string>} File content
+     * @throws {Error} If the request fails
+     */
+    async loadText(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load ${url}: HTTP ${response.status}`);
+        }
+        return response.text();
+    }
+
+    /**
+     * Import a file from the data or url argument, see importData
+     * @param {Object} args - Tool arguments
+     * @returns {Promise<Object>} Result object
+     */
+    async importDataToMap(args) {
+        const { data, url, fileName, format = 'auto', ...options } = args;
+
+        if ((data !== undefined && url) || (data === undefined && !url)) {
+            throw new Error('Provide either data or url');
+        }
+
+        const text = url ? await this.loadText(url) : data;
+        return this.importParsedData(text, format === 'auto' ? detectFormat(text, fileName || url) : format, options);
+    }
+
+    /**
+     * Import GPX, KML, CSV, WKT or GeoJSON data and add it to the map with the matching tool:
+     * points with add_points_to_map, lines with add_route_to_map, polygons with
+     * add_polygon_to_map and mixed geometries with add_geojson_to_map. Files are parsed locally.
+     * @param {string|Blob} input - Data, or a Blob such as a File from a file input
+     * @param {Object} [options] - Arguments of import_data_to_map, except data and url
+     * @param {string} [options.format='auto'] - 'auto', 'geojson', 'gpx', 'kml', 'csv' or 'wkt'
+     * @param {string} [options.fileName] - File name for detecting the format; defaults to the name of a File
+     * @returns {Promise<Object>} Tool result, as from executeTool
+     */
+    async importData(input, options = {}) {
+        const text = typeof input === 'string' ? input : await input.text();
+        const fileName = options.fileName || (typeof input === 'string' ? undefined : input.name);
+        return this.executeTool('import_data_to_map', {
+            ...options,
+            data: text,
+            ...(fileName ? { fileName } : {})
+        });
+    }
+
+    /**
+     * Add parsed import data with the add tool for its geometries
+     * @param {string} text - Data
+     * @param {string} format - One of IMPORT_FORMATS
+     * @param {Object} options - import_data_to_map arguments
+     * @returns {Promise<Object>} Result of the add tool, with an imported summary
+     */
+    async importParsedData(text, format, options) {
+        const {
+            latitudeColumn,
+            longitudeColumn,
+            wktColumn,
+            delimiter,
+            layerType = 'auto',
+            layerOptions = {},
+            layerName
+        } = options;
+
+        const { geojson, skipped, columns } = parseData(text, format, { latitudeColumn, longitudeColumn, wktColumn, delimiter });
+        const features = toFeatures(geojson).filter(feature => feature.geometry);
+        if (features.length === 0) {
+            throw new Error(`No features with geometry found in the ${formatName(format)} data`);
+        }
+
+        // The layer type that shows all geometries, from their types without the Multi prefix
+        const geometryTypes = [...new Set(features.map(feature => feature.geometry.type.replace(/^Multi/, '')))];
+        const layerTypes = { Point: 'points', LineString: 'route', Polygon: 'polygon' };
+        const fittingType = geometryTypes.length === 1 && layerTypes[geometryTypes[0]] ? layerTypes[geometryTypes[0]] : 'geojson';
+        const type = layerType === 'auto' ? fittingType : layerType;
+        const accepted = { points: 'points', heatmap: 'points', route: 'route', polygon: 'polygon' }[type];
+        if (accepted && accepted !== fittingType) {
+            throw new Error(
+                `layerType "${type}" cannot show the ${geometryTypes.join(', ')} geometries of the data; ` +
+                `use "${fittingType}" or "auto"`
+            );
+        }
+
+        const { toolName, args } = this.buildImportToolArgs(type, features, layerOptions);
+        let toolArgs = { ...args, ...(layerName ? { layerName } : {}) };
+        if (this.options.validateArguments) {
+            const validation = this.validateToolArgs(toolName, toolArgs);
+            if (!validation.valid) {
+                throw new Error(
+                    `The imported data cannot be added with ${toolName}: ` +
+                    validation.errors.map(error => `${error.path}: ${error.message}`).join('; ')
+                );
+            }
+            toolArgs = validation.value;
+        }
+
+        const addTool = {
+            add_points_to_map: this.addPointsToMap,
+            add_heatmap_to_map: this.addHeatmapToMap,
+            add_route_to_map: this.addRouteToMap,
+            add_polygon_to_map: this.addPolygonToMap,
+            add_geojson_to_map: this.addGeoJsonToMap
+        }[toolName];
+        const result = await addTool.call(this, toolArgs);
+
+        let summary = `Imported ${features.length} feature${features.length !== 1 ? 's' : ''} from ${formatName(format)}`;
+        if (columns) {
+            summary += columns.wkt
+                ? ` (WKT column "${columns.wkt}")`
+                : ` (columns "${columns.latitude}" and "${columns.longitude}")`;
+        }
+        if (skipped > 0) {
+            summary += `, skipped ${skipped} ${format === 'csv' ? 'row' : 'record'}${skipped !== 1 ? 's' : ''} without valid coordinates`;
+        }
+
+        return {
+            ...result,
+            content: [{
+                type: 'text',
+                text: `${summary}. ${result.content[0].text}`
+            }],
+            imported: {
+                format,
+                featureCount: features.length,
+                skipped,
+                toolName,
+                ...(columns ? { columns } : {})
+            }
+        };
+    }
+
+    /**
+     * Convert imported features into the arguments of an add tool
+     * @param {string} type - 'points', 'heatmap', 'route', 'polygon' or 'geojson'
+     * @param {Array<Object>} features - Features with geometry
+     * @param {Object} layerOptions - Further arguments of the tool
+     * @returns {{toolName: string, args: Object}} Tool and arguments
+     */
+    buildImportToolArgs(type, features, layerOptions) {
+        // The tools take [longitude, latitude] pairs, without altitude
+        const flat = position => position.slice(0, 2);
+        const parts = feature => feature.geometry.type.startsWith('Multi')
+            ? feature.geometry.coordinates
+            : [feature.geometry.coordinates];
+        const text = value => value === undefined || value === null ? undefined : String(value);
+
+        switch (type) {
+            case 'points':
+                return {
+                    toolName: 'add_points_to_map',
+                    args: {
+                        ...layerOptions,
+                        points: features.flatMap(feature => {
+                            // Names, e.g. of GPX waypoints and KML placemarks, become popup titles
+                            const { id = feature.id, title = (feature.properties || {}).name, description, ...properties } = feature.properties || {};
+                            const positions = parts(feature);
+                            return positions.map(([longitude, latitude], index) => ({
+                                longitude,
+                                latitude,
+                                ...(id !== undefined ? { id: positions.length > 1 ? `${id}-${index + 1}` : text(id) } : {}),
+                                ...(title !== undefined ? { title: text(title) } : {}),
+                                ...(description !== undefined ? { description: text(description) } : {}),
+                                properties
+                            }));
+                        })
+                    }
+                };
+            case 'heatmap': {
+                const { weightProperty, ...options } = layerOptions;
+                return {
+                    toolName: 'add_heatmap_to_map',
+                    args: {
+                        ...options,
+                        points: features.flatMap(feature => {
+                            const weight = weightProperty ? Number((feature.properties || {})[weightProperty]) : NaN;
+                            return parts(feature).map(([longitude, latitude]) => ({
+                                longitude,
+                                latitude,
+                                ...(Number.isFinite(weight) ? { weight } : {})
+                            }));
+                        })
+                    }
+                };
+            }
+            case 'route':
+                return {
+                    toolName: 'add_route_to_map',
+                    args: {
+                        ...layerOptions,
+                        segments: features.flatMap(feature => {
+                            const name = text((feature.properties || {}).name);
+                            return parts(feature).map(coordinates => ({
+                                coordinates: coordinates.map(flat),
+                                ...(name !== undefined ? { name } : {})
+                            }));
+                        })
+                    }
+                };
+            case 'polygon':
+                return {
+                    toolName: 'add_polygon_to_map',
+                    args: {
+                        ...layerOptions,
+                        polygons: features.flatMap(feature => parts(feature).map(rings => ({
+                            coordinates: rings.map(ring => ring.map(flat)),
+                            properties: { ...(feature.properties || {}) }
+                        })))
+                    }
+                };
+            default:
+                return {
+                    toolName: 'add_geojson_to_map',
+                    args: {
+                        ...layerOptions,
+                        geojson: { type: 'FeatureCollection', features }
+                    }
+                };
+        }
+    }
+
+    /**
+     * Add a circle around a center, or a buffer around a geometry or the features of a
+     * tool-created layer, at a real-world distance
+     * @param {Object} args - Tool arguments
+     * @param {{longitude: number, latitude: number}} [args.center] - Circle center
+     * @param {string} [args.layerId] - Tool-created layer whose features to buffer
+     * @param {Array<string>} [args.featureIds] - Only buffer these features of the layer
+     * @param {Object} [args.geometry] - GeoJSON geometry to buffer
+     * @param {number} args.distance - Radius or buffer distance
+     * @param {string} [args.units='meters'] - 'meters', 'kilometers' or 'miles'
+     * @param {string} [args.layerName='buffer-layer'] - Layer name
+     * @returns {Object} Result object
+     */
+    addBufferToMap(args) {
+        const {
+            center,
+            layerId,
+            featureIds,
+            geometry,
+            distance,
+            units = 'meters',
+            fillColor = this.options.defaultPolygonFillColor,
+            fillOpacity = this.options.defaultPolygonFillOpacity,
+            strokeColor = this.options.defaultPolygonStrokeColor,
+            strokeWidth = this.options.defaultPolygonStrokeWidth,
+            layerName = 'buffer-layer'
+        } = args;
+
+        if ([center, layerId, geometry].filter(value => value !== undefined).length !== 1) {
+            throw new Error('Provide exactly one of center, layerId or geometry');
+        }
+
+        let target;
+        let description;
+        if (center) {
+            target = { type: 'Point', coordinates: [center.longitude, center.latitude] };
+            description = `${center.latitude.toFixed(4)}, ${center.longitude.toFixed(4)}`;
+        } else {
+            const input = this.resolveFeatureInput({ layerId, geojson: geometry, featureIds });
+            target = input.features.length === 1
+                ? input.features[0].geometry
+                : { type: 'GeometryCollection', geometries: input.features.map(feature => feature.geometry) };
+            description = input.description;
+        }
+
+        const buffer = bufferGeometry(target, toMeters(distance, units));
+        const uniqueLayerName = `${layerName}-${++this.layerCounter}`;
+
+        const geojson = {
+            type: 'FeatureCollection',
+            features: this.assignFeatureIds(uniqueLayerName, [{
+                type: 'Feature',
+                geometry: buffer,
+                properties: { distance, units }
+            }], [])
+        };
+
+        const entry = this.createRegistryEntry(uniqueLayerName, 'add_buffer_to_map', layerName);
+
+        this.addRegisteredSource(entry, uniqueLayerName, {
+            type: 'geojson',
+            data: geojson,
+            promoteId: 'id'
+        });
+
+        this.addPolygonLayers(entry, uniqueLayerName, { fillColor, fillOpacity, strokeColor, strokeWidth });
+
+        this.recordLayerCreation(entry);
+
+        return {
+            content: [{
+                type: 'text',
+                text: `Added ${center ? 'circle' : 'buffer'} of ${distance} ${units} around ${description} to map layer "${uniqueLayerName}"`
+            }],
+            isError: false,
+            layerId: uniqueLayerName,
+            featureIds: geojson.features.map(feature => feature.properties.id),
+            bbox: getBoundingBox(geojson)
+        };
+    }
+
+    /**
+     * Collect the features of a tool-created layer or of inline GeoJSON, for tools that
+     * compute with geometries
+     * @param {Object} input
+     * @param {string} [input.layerId] - Layer ID, map layer ID or layer name
+     * @param {Object} [input.geojson] - Geometry, Feature or FeatureCollection, instead of layerId
+     * @param {Array<string>} [input.featureIds] - Only these features of the layer
+     * @returns {{features: Array<Object>, description: string}} Features with a geometry, and
+     *   how to refer to them in results
+     * @throws {Error} If neither or both are given, or no features are found
+     */
+    resolveFeatureInput({ layerId, geojson, featureIds }) {
+        if ((layerId && geojson) || (!layerId && !geojson)) {
+            throw new Error('Provide either a layer ID or GeoJSON');
+        }
+
+        if (geojson) {
+            const features = toFeatures(geojson).filter(feature => feature.geometry);
+            if (features.length === 0) {
+                throw new Error('The GeoJSON has no geometries');
+            }
+            return { features, description: `the given ${geojson.type}` };
+        }
+
+        const entry = this.resolveRegistryEntry(layerId);
+        const geojsonSources = this.getGeoJsonSources(entry);
+        let features;
+        let loadedTilesOnly = false;
+        if (geojsonSources.length > 0) {
+            features = geojsonSources.flatMap(source => toFeatures(source.spec.data));
+        } else {
+            // Vector tiles: only the features of the tiles loaded for the current view
+            loadedTilesOnly = true;
+            features = entry.layers
+                .filter(layerSpec => layerSpec['source-layer'])
+                .flatMap(layerSpec => this.map.querySourceFeatures(layerSpec.source, { sourceLayer: layerSpec['source-layer'] }))
+                .map(feature => ({ type: 'Feature', geometry: feature.geometry, properties: feature.properties || {} }));
+        }
+
+        if (featureIds) {
+            features = features.filter(feature => featureIds.includes(this.getFeatureId(feature)));
+        }
+        features = features.filter(feature => feature.geometry);
+        if (features.length === 0) {
+            throw new Error(`Layer "${entry.id}" has no ${featureIds ? 'features with these IDs' : 'features'}${loadedTilesOnly ? ' in the loaded tiles' : ''}`);
+        }
+
+        return {
+            features,
+            description: `${features.length === 1 ? '1 feature' : `${features.length} features`} of layer "${entry.id}"` +
+                (loadedTilesOnly ? ' (loaded tiles only)' : '')
+        };
+    }
+
+    /**
+     * Run a spatial analysis operation on the features of a layer or on GeoJSON
+     * @param {Object} args - Tool arguments
+     * @param {string} args.operation - count_points_in_polygons, nearest, measure, bbox,
+     *   centroid, convex_hull, intersection or union
+     * @param {string} [args.layerId] - Tool-created layer with the input features
+     * @param {Object} [args.geojson] - Input GeoJSON, instead of layerId
+     * @param {Array<string>} [args.featureIds] - Only these features of the layer
+     * @param {string} [args.otherLayerId] - Second input layer
+     * @param {Object} [args.otherGeojson] - Second input GeoJSON
+     * @param {{longitude: number, latitude: number}} [args.point] - Location for nearest
+     * @param {number} [args.limit=5] - Number of nearest features
+     * @param {boolean} [args.addToMap=false] - Add the resulting shape as a layer
+     * @param {string} [args.layerName='analysis-layer'] - Name of that layer
+     * @returns {Object} Result with the numbers in data
+     */
+    analyzeFeatures(args) {
+        const {
+            operation,
+            point,
+            limit = 5,
+            addToMap = false,
+            layerName = 'analysis-layer'
+        } = args;
+
+        const input = this.resolveFeatureInput({ layerId: args.layerId, geojson: args.geojson, featureIds: args.featureIds });
+        const resolveOther = () => {
+            if (!args.otherLayerId && !args.otherGeojson) {
+                throw new Error(`${operation} needs a second input: otherLayerId or otherGeojson`);
+            }
+            return this.resolveFeatureInput({ layerId: args.otherLayerId, geojson: args.otherGeojson });
+        };
+        const label = (feature, index) => {
+            const properties = feature.properties || {};
+            return properties.title || properties.name || this.getFeatureId(feature) || `feature ${index + 1}`;
+        };
+
+        let text;
+        let data;
+        let geometry = null;
+
+        switch (operation) {
+            case 'count_points_in_polygons': {
+                const positions = resolveOther().features.flatMap(feature => toPoints(feature.geometry));
+                const polygons = input.features.filter(feature => toPolygons(feature.geometry).length > 0);
+                if (polygons.length === 0) {
+                    throw new Error(`There are no polygons to count points in among ${input.description}`);
+                }
+                const counts = polygons.map((feature, index) => ({
+                    id: this.getFeatureId(feature),
+                    label: label(feature, index),
+                    count: positions.filter(position => geometryContains(feature.geometry, position)).length
+                }));
+                const inside = positions.filter(position => polygons.some(feature => geometryContains(feature.geometry, position))).length;
+                data = { counts, inside, points: positions.length };
+                // The full list is in data; keep the text short for large layers
+                text = `${inside} of ${positions.length} points lie in the polygons of ${input.description}: ` +
+                    counts.slice(0, 20).map(({ label: name, count }) => `${name}: ${count}`).join(', ') +
+                    (counts.length > 20 ? ` and ${counts.length - 20} more` : '');
+                break;
+            }
+            case 'nearest': {
+                if (!point) {
+                    throw new Error('nearest needs a point to search from');
+                }
+                const origin = [point.longitude, point.latitude];
+                const nearest = input.features
+                    .map((feature, index) => ({ feature, index, distance: distanceToGeometry(origin, feature.geometry) }))
+                    .sort((a, b) => a.distance - b.distance)
+                    .slice(0, limit);
+                data = {
+                    nearest: nearest.map(({ feature, distance }) => ({
+                        id: this.getFeatureId(feature),
+                        distance,
+                        properties: feature.properties || {},
+                        geometry: feature.geometry
+                    }))
+                };
+                text = `Nearest of ${input.description} to ${point.latitude.toFixed(4)}, ${point.longitude.toFixed(4)}: ` +
+                    nearest.map(({ feature, index, distance }) => `${label(feature, index)}: ${formatDistance(distance)}`).join('; ');
+                break;
+            }
+            case 'measure': {
+                data = this.measureFeatures(input.features);
+                text = `Measured ${input.description}: ${this.describeMeasurements(data) || 'no lines or polygons to measure'}`;
+                break;
+            }
+            case 'bbox': {
+                const bbox = getBoundingBox({ type: 'FeatureCollection', features: input.features });
+                if (!bbox) {
+                    throw new Error(`There are no coordinates in ${input.description}`);
+                }
+                const [west, south, east, north] = bbox;
+                geometry = { type: 'Polygon', coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]] };
+                data = { bbox };
+                text = `Bounding box of ${input.description}: [${bbox.map(value => value.toFixed(5)).join(', ')}] (west, south, east, north)`;
+                break;
+            }
+            case 'centroid': {
+                const position = centroid(input.features.map(feature => feature.geometry));
+                if (!position) {
+                    throw new Error(`There are no coordinates in ${input.description}`);
+                }
+                geometry = { type: 'Point', coordinates: position };
+                data = { centroid: position };
+                text = `Centroid of ${input.description}: ${position[1].toFixed(5)}, ${position[0].toFixed(5)} (latitude, longitude)`;
+                break;
+            }
+            case 'convex_hull': {
+                const positions = [];
+                input.features.forEach(feature => forEachPosition(feature.geometry, position => positions.push(position)));
+                geometry = convexHull(positions);
+                if (!geometry) {
+                    throw new Error(`The positions of ${input.description} lie on one line and have no convex hull`);
+                }
+                const { area } = measureGeometry(geometry);
+                data = { geometry, area: convertArea(area) };
+                text = `Convex hull of ${input.description} covers ${formatArea(area)}`;
+                break;
+            }
+            case 'intersection':
+            case 'union': {
+                const other = resolveOther();
+                const polygonsA = input.features.flatMap(feature => toPolygons(feature.geometry));
+                const polygonsB = other.features.flatMap(feature => toPolygons(feature.geometry));
+                [[input, polygonsA], [other, polygonsB]].forEach(([source, polygons]) => {
+                    if (polygons.length === 0) {
+                        throw new Error(`There are no polygons in ${source.description}`);
+                    }
+                });
+                geometry = overlayPolygons(polygonsA, polygonsB, operation);
+                const area = geometry ? measureGeometry(geometry).area : 0;
+                data = { geometry, area: convertArea(area) };
+                text = geometry
+                    ? `The ${operation} of ${input.description} and ${other.description} covers ${formatArea(area)}`
+                    : `There is no overlap between ${input.description} and ${other.description}`;
+                break;
+            }
+            default:
+                throw new Error(`Unknown operation "${operation}"`);
+        }
+
+        let layerId;
+        if (addToMap && geometry) {
+            layerId = this.addAnalysisLayer(geometry, operation, layerName);
+            text += `. Added to map layer "${layerId}"`;
+        }
+
+        return {
+            content: [{ type: 'text', text }],
+            isError: false,
+            data,
+            ...(layerId ? { layerId } : {})
+        };
+    }
+
+    /**
+     * Measure the features of a layer
+     * @param {Object} args - Tool arguments
+     * @param {string} args.layerId - Layer ID, map layer ID or layer name
+     * @param {Array<string>} [args.featureIds] - Only measure these features
+     * @returns {Object} Result with the measurements
+     */
+    measureLayer(args) {
+        const { layerId, featureIds } = args;
+        const input = this.resolveFeatureInput({ layerId, featureIds });
+        const measurements = this.measureFeatures(input.features);
+
+        const summary = this.describeMeasurements(measurements);
+        const featureLines = measurements.features.length > 1
+            ? measurements.features.slice(0, 20).map((feature, index) =>
+                `\n- ${feature.name || feature.id || `feature ${index + 1}`}: ${this.describeMeasurements(feature) || 'no length or area'}`
+            ).join('') + (measurements.features.length > 20 ? `\n(and ${measurements.features.length - 20} more)` : '')
+            : '';
+
+        return {
+            content: [{
+                type: 'text',
+                text: `Measured ${input.description}: ${summary || 'no lines or polygons to measure'}${featureLines}`
+            }],
+            isError: false,
+            measurements
+        };
+    }
+
+    /**
+     * Measure features geodesically, in metric and imperial units
+     * @param {Array<Object>} features - GeoJSON features
+     * @returns {Object} Total length of lines, area and perimeter of polygons, and the
+     *   measurements of each feature that has a length or area
+     */
+    measureFeatures(features) {
+        const measured = features.map(feature => ({ feature, ...measureGeometry(feature.geometry) }));
+        const total = key => measured.reduce((sum, measures) => sum + measures[key], 0);
+
+        return {
+            length: convertLength(total('length')),
+            area: convertArea(total('area')),
+            perimeter: convertLength(total('perimeter')),
+            features: measured.map(({ feature, length, area, perimeter }) => {
+                const properties = feature.properties || {};
+                return {
+                    id: this.getFeatureId(feature),
+                    ...(properties.name !== undefined ? { name: properties.name } : {}),
+                    ...(length > 0 ? { length: convertLength(length) } : {}),
+                    ...(area > 0 ? { area: convertArea(area), perimeter: convertLength(perimeter) } : {})
+                };
+            })
+        };
+    }
+
+    /**
+     * Describe measurements for result text
+     * @param {Object} measurements - Measurements from measureFeatures, or of one feature
+     * @returns {string} E.g. "length 12.4 km (7.71 mi)", empty without length or area
+     */
+    describeMeasurements({ length, area, perimeter }) {
+        return [
+            length && length.meters > 0 ? `length ${formatDistance(length.meters)}` : null,
+            area && area.squareMeters > 0 ? `area ${formatArea(area.squareMeters)}` : null,
+            area && area.squareMeters > 0 ? `perimeter ${formatDistance(perimeter.meters)}` : null
+        ].filter(Boolean).join(', ');
+    }
+
+    /**
+     * Add the shape resulting from analyze_features as a layer
+     * @param {Object} geometry - Point, Polygon or MultiPolygon
+     * @param {string} operation - Operation that produced it, kept as feature property
+     * @param {string} layerName - Layer name
+     * @returns {string} Layer ID
+     */
+    addAnalysisLayer(geometry, operation, layerName) {
+        const uniqueLayerName = `${layerName}-${++this.layerCounter}`;
+        const entry = this.createRegistryEntry(uniqueLayerName, 'analyze_features', layerName);
+
+        this.addRegisteredSource(entry, uniqueLayerName, {
+            type: 'geojson',
+            data: {
+                type: 'FeatureCollection',
+                features: this.assignFeatureIds(uniqueLayerName, [{
+                    type: 'Feature',
+                    geometry,
+                    properties: { operation }
+                }], [])
+            },
+            promoteId: 'id'
+        });
+
+        if (geometry.type === 'Point') {
+            this.addRegisteredLayer(entry, {
+                id: uniqueLayerName,
+                type: 'circle',
+                source: uniqueLayerName,
+                paint: {
+                    'circle-radius': 8,
+                    'circle-color': this.options.defaultPointColor,
+                    'circle-stroke-width': 2,
+                    'circle-stroke-color': '#ffffff'
+                }
+            });
+        } else {
+            this.addPolygonLayers(entry, uniqueLayerName, {
+                fillColor: this.options.defaultPolygonFillColor,
+                fillOpacity: this.options.defaultPolygonFillOpacity,
+                strokeColor: this.options.defaultPolygonStrokeColor,
+                strokeWidth: this.options.defaultPolygonStrokeWidth
+            });
+        }
+
+        this.recordLayerCreation(entry);
+        return uniqueLayerName;
+    }
+
+    /**
+     * Add a heatmap layer for points, or for the points of an existing tool-created source
+     * @param {Object} args - Tool arguments
+     * @param {Array<Object>} [args.points] - Points with optional weight
+     * @param {string} [args.sourceId] - Source of a tool-created layer, instead of points
+     * @param {string} [args.weightProperty] - Property to weight points by
+     * @param {number} [args.radius=20] - Heatmap radius in pixels
+     * @param {number} [args.intensity=1] - Heatmap intensity
+     * @param {number} [args.opacity=0.8] - Heatmap opacity
+     * @param {string} [args.colorRamp='default'] - Color ramp name
+     * @param {Array<string>} [args.colors] - Explicit ramp colors
+     * @param {number} [args.pointsMinZoom] - Zoom from which circles replace the heatmap
+     * @param {string} [args.layerName='heatmap-layer'] - Layer name
+     * @returns {Object} Result object
+     */
+    addHeatmapToMap(args) {
+        const {
+            points,
+            sourceId,
+            radius = 20,
+            intensity = 1,
+            opacity = 0.8,
+            colorRamp = 'default',
+            colors,
+            pointsMinZoom,
+            layerName = 'heatmap-layer'
+        } = args;
+
+        if ((points && sourceId) || (!points && !sourceId)) {
+            throw new Error('Provide either points or sourceId');
+        }
+
+        let source;
+        if (sourceId) {
+            source = this.findRegisteredSource(sourceId);
+            if (!source || source.spec.type !== 'geojson') {
+                const geojsonSourceIds = Array.from(this.registry.values())
+                    .flatMap(entry => entry.sources)
+                    .filter(registered => registered.spec && registered.spec.type === 'geojson')
+                    .map(registered => registered.id);
+                throw new Error(
+                    `No GeoJSON source "${sourceId}" created by this library. Available sources: ${[...new Set(geojsonSourceIds)].join(', ') || 'none'}`
+                );
+            }
+            if (source.spec.cluster) {
+                throw new Error(`Source "${sourceId}" is clustered; add the points without cluster to show them as a heatmap`);
+            }
+        }
+
+        const uniqueLayerName = `${layerName}-${++this.layerCounter}`;
+
+        if (!source) {
+            source = {
+                id: uniqueLayerName,
+                spec: {
+                    type: 'geojson',
+                    data: {
+                        type: 'FeatureCollection',
+                        features: this.assignFeatureIds(uniqueLayerName, points.map(point => ({
+                            type: 'Feature',
+                            geometry: {
+                                type: 'Point',
+                                coordinates: [point.longitude, point.latitude]
+                            },
+                            properties: point.weight !== undefined ? { weight: point.weight } : {}
+                        })), [])
+                    },
+                    promoteId: 'id'
+                }
+            };
+        }
+
+        const features = toFeatures(source.spec.data);
+        const weightProperty = args.weightProperty ||
+            (points && points.some(point => point.weight !== undefined) ? 'weight' : null);
+        const weight = weightProperty ? this.createHeatmapWeight(features, weightProperty) : 1;
+
+        const ramp = colors && colors.length > 0 ? colors : (PALETTES[colorRamp] || DEFAULT_HEATMAP_COLORS);
+
+        // Transparent at zero density, then the ramp spread evenly up to full density
+        const heatmapColor = [
+            'interpolate', ['linear'], ['heatmap-density'],
+            0, 'rgba(0,0,0,0)',
+            ...ramp.flatMap((color, i) => [(i + 1) / ramp.length, color])
+        ];
+
+        const entry = this.createRegistryEntry(uniqueLayerName, 'add_heatmap_to_map', layerName);
+        if (sourceId) {
+            // The points layer owns the source; the heatmap only refers to it
+            this.addSourceReference(entry, sourceId);
+        } else {
+            this.addRegisteredSource(entry, source.id, source.spec);
+        }
+
+        this.addRegisteredLayer(entry, {
+            id: uniqueLayerName,
+            type: 'heatmap',
+            source: source.id,
+            ...(pointsMinZoom !== undefined ? { maxzoom: Math.min(pointsMinZoom + 1, 24) } : {}),
+            // Lets updateHeatmapWeights rescale the weights when the data changes
+            ...(weightProperty ? { metadata: { weightProperty } } : {}),
+            paint: {
+                'heatmap-weight': weight,
+                'heatmap-intensity': intensity,
+                'heatmap-radius': radius,
+                'heatmap-color': heatmapColor,
+                'heatmap-opacity': pointsMinZoom !== undefined
+                    ? ['interpolate', ['linear'], ['zoom'], pointsMinZoom, opacity, pointsMinZoom + 1, 0]
+                    : opacity
+            }
+        });
+
+        // Individual circles fading in while the heatmap fades out
+        if (pointsMinZoom !== undefined) {
+            this.addRegisteredLayer(entry, {
+                id: `${uniqueLayerName}-points`,
+                type: 'circle',
+                source: source.id,
+                minzoom: pointsMinZoom,
+                paint: {
+                    'circle-radius': 5,
+                    'circle-color': ramp[ramp.length - 1],
+                    'circle-stroke-color': '#ffffff',
+                    'circle-stroke-width': 1,
+                    'circle-opacity': ['interpolate', ['linear'], ['zoom'], pointsMinZoom, 0, pointsMinZoom + 1, 1],
+                    'circle-stroke-opacity': ['interpolate', ['linear'], ['zoom'], pointsMinZoom, 0, pointsMinZoom + 1, 1]
+                }
+            });
+        }
+
+        this.recordLayerCreation(entry);
+
+        return {
+            content: [{
+                type: 'text',
+                text: `Added heatmap of ${features.length} points to map layer "${uniqueLayerName}"` +
+                    (sourceId ? ` from source "${sourceId}"` : '') +
+                    (weightProperty ? `, weighted by "${weightProperty}"` : '') +
+                    (pointsMinZoom !== undefined ? `, showing individual points from zoom ${pointsMinZoom}` : '')
+            }],
+            isError: false,
+            layerId: uniqueLayerName,
+            sourceId: source.id
+        };
+    }
+
+    /**
+     * Build a heatmap-weight expression scaling a property's values to 0-1
+     * @param {Array<Object>} features - Features of the heatmap source
+     * @param {string} property - Weight property
+     * @returns {Array|number} Weight expression
+     */
+    createHeatmapWeight(features, property) {
+        const values = features
+            .map(feature => Number(feature.properties && feature.properties[property]))
+            .filter(Number.isFinite);
+        if (values.length === 0) {
+            throw new Error(`No point has a numeric value for the weight property "${property}"`);
+        }
+
+        const max = Math.max(...values);
+        if (max <= 0) {
+            return 1;
+        }
+        return ['interpolate', ['linear'], ['to-number', ['get', property], 0], 0, 0, max, 1];
+    }
+
+    /**
+     * Rescale the weights of the weighted heatmaps showing a source to its current data.
+     * Heatmaps whose data has no numeric weight left keep their previous weights.
+     * @param {string} sourceId - Source whose data changed
+     * @param {Object} data - New GeoJSON data of the source
+     */
+    updateHeatmapWeights(sourceId, data) {
+        const features = toFeatures(data);
+
+        this.registry.forEach(entry => {
+            if (entry.toolName !== 'add_heatmap_to_map') {
+                return;
+            }
+            entry.layers
+                .filter(layerSpec => layerSpec.type === 'heatmap' && layerSpec.source === sourceId &&
+                    layerSpec.metadata && layerSpec.metadata.weightProperty)
+                .forEach(layerSpec => {
+                    const { weightProperty } = layerSpec.metadata;
+                    const hasWeights = features.some(feature =>
+                        Number.isFinite(Number(feature.properties && feature.properties[weightProperty])));
+                    if (hasWeights) {
+                        this.applyLayerChange(layerSpec, { paint: { 'heatmap-weight': this.createHeatmapWeight(features, weightProperty) } });
+                    }
+                });
+        });
+    }
+
+    /**
+     * Add free-standing text labels
+     * @param {Object} args - Tool arguments
+     * @param {Array<Object>} args.labels - Labels with longitude, latitude, text and optional id
+     * @param {Object} [args.labelStyle] - Text settings, see buildLabelLayer
+     * @param {string} [args.layerName='labels-layer'] - Layer name
+     * @returns {Object} Result object
+     */
+    addLabelsToMap(args) {
+        const { labels, labelStyle, layerName = 'labels-layer' } = args;
+        const uniqueLayerName = `${layerName}-${++this.layerCounter}`;
+
+        const geojson = {
+            type: 'FeatureCollection',
+            features: this.assignFeatureIds(uniqueLayerName, labels.map(label => ({
+                type: 'Feature',
+                geometry: {
+                    type: 'Point',
+                    coordinates: [label.longitude, label.latitude]
+                },
+                properties: {
+                    text: label.text,
+                    ...(label.id !== undefined ? { id: label.id } : {})
+                }
+            })), [])
+        };
+
+        const entry = this.createRegistryEntry(uniqueLayerName, 'add_labels_to_map', layerName);
+
+        this.addRegisteredSource(entry, uniqueLayerName, {
+            type: 'geojson',
+            data: geojson,
+            promoteId: 'id'
+        });
+
+        this.addRegisteredLayer(entry, this.buildLabelLayer(uniqueLayerName, uniqueLayerName, ['get', 'text'], labelStyle, {
+            size: 14
+        }));
+
+        this.recordLayerCreation(entry);
+
+        return {
+            content: [{
+                type: 'text',
+                text: `Added ${labels.length} label${labels.length !== 1 ? 's' : ''} to map layer "${uniqueLayerName}"`
+            }],
+            isError: false,
+            layerId: uniqueLayerName,
+            featureIds: geojson.features.map(feature => feature.properties.id)
+        };
+    }
+
+    /**
+     * Build a symbol layer showing text from a GeoJSON source
+     * @param {string} id - Layer ID
+     * @param {string} source - Source ID
+     * @param {Array|string} textField - text-field value, e.g. ['get', 'title']
+     * @param {Object} [labelStyle={}] - Text settings from the tool call: font, size, color,
+     *   haloColor, haloWidth, anchor, offset, allowOverlap
+     * @param {Object} [defaults={}] - Defaults of the calling tool for the same settings, plus
+     *   placement ('point' or 'line') and color as an expression
+     * @returns {Object} Layer specification
+     */
+    buildLabelLayer(id, source, textField, labelStyle = {}, defaults = {}) {
+        const settings = {
+            placement: 'point',
+            size: 12,
+            color: '#333333',
+            haloColor: '#ffffff',
+            haloWidth: 2,
+            allowOverlap: false,
+            ...defaults,
+            ...labelStyle
+        };
+
+        const layout = {
+            'text-field': textField,
+            'text-font': settings.font
+                ? [settings.font, 'Arial Unicode MS Regular']
+                : ['Open Sans Semibold', 'Arial Unicode MS Bold'],
+            'text-size': settings.size,
+            // Overlapping labels are hidden unless allowOverlap is set
+            'text-allow-overlap': settings.allowOverlap,
+            'text-ignore-placement': settings.allowOverlap
+        };
+        if (settings.placement === 'line') {
+            layout['symbol-placement'] = 'line';
+        }
+        if (settings.anchor) {
+            layout['text-anchor'] = settings.anchor;
+        }
+        if (settings.offset) {
+            layout['text-offset'] = settings.offset;
+        }
+
+        return {
+            id,
+            type: 'symbol',
+            source,
+            layout,
+            paint: {
+                'text-color': settings.color,
+                'text-halo-color': settings.haloColor,
+                'text-halo-width': settings.haloWidth
+            }
+        };
+    }
+
+    /**
+     * Register a point icon from a URL or SVG markup
+     * @param {Object} args - Tool arguments
+     * @param {string} args.name - Icon name
+     * @param {string} [args.url] - Image URL
+     * @param {string} [args.svg] - SVG markup, instead of url
+     * @param {number} [args.width] - Width in pixels
+     * @param {number} [args.height] - Height in pixels
+     * @param {number} [args.pixelRatio=1] - Image pixels per screen pixel
+     * @param {boolean} [args.sdf=false] - Color the icon with the point color
+     * @returns {Promise<Object>} Result object with the icon's name and size in icon
+     */
+    async registerMapIcon(args) {
+        const { name, url, svg, width, height, pixelRatio = 1, sdf = false } = args;
+
+        if ((url && svg) || (!url && !svg)) {
+            throw new Error('Provide either url or svg');
+        }
+        if (svg && !isSvgMarkup(svg)) {
+            throw new Error('svg must be SVG markup starting with <svg');
+        }
+
+        const icon = await this.registerIcon(name, url || svg, { width, height, pixelRatio, sdf });
+
+        return {
+            content: [{
+                type: 'text',
+                text: `Registered icon "${name}" (${icon.width}x${icon.height} px)` +
+                    (sdf ? ', colored with the color of each point' : '') +
+                    '. Use it as icon in add_points_to_map.'
+            }],
+            isError: false,
+            icon
+        };
+    }
+
+    /**
+     * Register an image as point icon, e.g. a logo or a custom marker. Registered icons are
+     * re-added after style changes, and points naming them before registration update once it is done.
+     * @param {string} name - Icon name, used as the icon of points
+     * @param {string|HTMLImageElement|ImageBitmap|ImageData|Object} image - Image URL, SVG markup,
+     *   or an image accepted by map.addImage
+     * @param {Object} [options]
+     * @param {number} [options.width] - Width to render URL and SVG images at, in pixels
+     * @param {number} [options.height] - Height to render URL and SVG images at, in pixels
+     * @param {number} [options.pixelRatio=1] - Image pixels per screen pixel
+     * @param {boolean} [options.sdf=false] - Treat the image as signed distance field, so that it
+     *   takes the color of each point
+     * @returns {Promise<{name: string, width: number, height: number}>} The registered icon.
+     *   Icons registered from a URL or SVG markup are part of exportState().
+     */
+    async registerIcon(name, image, options = {}) {
+        const { width, height, pixelRatio = 1, sdf = false } = options;
+
+        // Images of the style's sprite are not replaced
+        if (this.map.hasImage(name) && !this.icons.has(name) && !this.missingIcons.has(name)) {
+            throw new Error(`"${name}" is already an image of the map style; register the icon under another name`);
+        }
+
+        const loaded = typeof image === 'string' ? await loadIconImage(image, { width, height }) : image;
+
+        // The URL or markup is kept so that exportState can include the icon
+        const source = typeof image === 'string' ? { image, width, height } : null;
+        this.icons.set(name, { image: loaded, options: { pixelRatio, sdf }, source });
+        this.missingIcons.delete(name);
+        if (this.map.hasImage(name)) {
+            this.map.removeImage(name);
+        }
+        this.map.addImage(name, loaded, { pixelRatio, sdf });
+
+        return { name, width: loaded.width, height: loaded.height };
+    }
+
+    /**
+     * Add images the style is missing: registered icons (e.g. after a style change) and,
+     * for unknown icons of tool-created points, a placeholder so that the points stay visible
+     * @param {Object} event - styleimagemissing event
+     * @param {string} event.id - Name of the missing image
+     */
+    handleStyleImageMissing({ id }) {
+        if (this.map.hasImage(id)) {
+            return;
+        }
+
+        const icon = this.icons.get(id);
+        if (icon) {
+            this.map.addImage(id, icon.image, icon.options);
+            return;
+        }
+
+        // Images missing from the base style are left to the style
+        const usedByPoints = Array.from(this.registry.values()).some(entry =>
+            entry.toolName === 'add_points_to_map' &&
+            entry.sources.some(source => toFeatures(source.spec.data).some(feature => feature.properties && feature.properties.icon === id))
+        );
+        if (!usedByPoints) {
+            return;
+        }
+
+        if (!this.pendingIcons.has(id)) {
+            console.warn(`Icon "${id}" is not in the map style and was not registered with registerIcon; showing a placeholder`);
+        }
+        this.missingIcons.add(id);
+        this.map.addImage(id, createPlaceholderIcon());
+    }
+
+    /**
+     * Play back a route, or control its running animation
+     * @param {Object} args - Tool arguments
+     * @param {string} args.layerId - Layer ID or layer name of a route
+     * @param {string} [args.action='play'] - 'play', 'pause', 'resume', 'seek' or 'stop'
+     * @param {number} [args.progress] - Position from 0 to 1, for seek or to start play from
+     * @param {number} [args.duration=10] - Duration in seconds
+     * @param {boolean} [args.followCamera=false] - Keep the map centered on the marker
+     * @param {boolean} [args.showMarker=true] - Show the moving marker
+     * @param {string} [args.markerColor='#FF851B'] - Marker color
+     * @param {boolean} [args.loop=false] - Start over at the end
+     * @returns {Object} Result object with the playback state in animation
+     */
+    animateRoute(args) {
+        const {
+            layerId,
+            action = 'play',
+            progress,
+            duration = 10,
+            followCamera = false,
+            showMarker = true,
+            markerColor = '#FF851B',
+            loop = false
+        } = args;
+
+        const entry = this.resolveRegistryEntry(layerId);
+        if (entry.toolName !== 'add_route_to_map') {
+            throw new Error(`Layer "${entry.id}" was created by ${entry.toolName}; only routes added with add_route_to_map can be animated`);
+        }
+        if (action === 'seek' && progress === undefined) {
+            throw new Error('seek needs a progress between 0 and 1');
+        }
+
+        let animation = this.animations.get(entry.id);
+
+        if (action === 'play' || (action === 'seek' && !animation)) {
+            if (animation) {
+                animation.stop();
+            }
+            const source = entry.sources.find(({ id }) => id === entry.id);
+            animation = new RouteAnimation(this.map, source, {
+                duration: duration * 1000,
+                followCamera,
+                showMarker,
+                markerColor,
+                loop
+            });
+            this.animations.set(entry.id, animation);
+        } else if (!animation) {
+            throw new Error(`Route "${entry.id}" is not being animated; start it with action "play"`);
+        }
+
+        const percent = value => `${Math.round(value * 100)}%`;
+        let text;
+
+        switch (action) {
+            case 'play': {
+                animation.play(progress);
+                const length = (animation.getState().length / 1000).toFixed(1);
+                text = `Animating route ${entry.id} (${length} km) over ${duration}s` +
+                    (animation.progress > 0 ? ` from ${percent(animation.progress)}` : '') +
+                    (loop ? ', looping' : '') +
+                    (followCamera ? ', with the camera following the marker' : '');
+                break;
+            }
+            case 'pause':
+                animation.pause();
+                text = `Paused the animation of route ${entry.id} at ${percent(animation.progress)}`;
+                break;
+            case 'resume':
+                animation.play();
+                text = `Resumed the animation of route ${entry.id} at ${percent(animation.progress)}`;
+                break;
+            case 'seek':
+                animation.seek(progress);
+                text = `Moved the animation of route ${entry.id} to ${percent(animation.progress)}`;
+                break;
+            case 'stop':
+                this.stopRouteAnimation(entry.id);
+                text = `Stopped the animation of route ${entry.id}; the whole route is shown again`;
+                break;
+        }
+
+        return {
+            content: [{
+                type: 'text',
+                text
+            }],
+            isError: false,
+            layerId: entry.id,
+            animation: animation.getState()
+        };
+    }
+
+    /**
+     * Get the animation of a route, to control playback from code
+     * @param {string} layerId - Layer ID or layer name of a route
+     * @returns {RouteAnimation|null} The route's animation (with play, pause, seek, stop and getState),
+     *   or null if it is not animated
+     */
+    getRouteAnimation(layerId) {
+        return this.animations.get(this.resolveRegistryEntry(layerId).id) || null;
+    }
+
+    /**
+     * Stop and forget the animation of a route, if any
+     * @param {string} entryId - Registry entry ID
+     */
+    stopRouteAnimation(entryId) {
+        const animation = this.animations.get(entryId);
+        if (animation) {
+            animation.stop();
+            this.animations.delete(entryId);
+        }
+    }
+
+    /**
+     * Clear map layers created by this library.
+     * Only sources and layers recorded in the registry are touched; base-style and
+     * user-added layers are never removed. Each tool call is removed as a unit
+     * (e.g. the -fill/-stroke pair of a polygon), together with the layers that show its source.
+     */
+    clearMapLayers(args) {
+        const { layerNames = [] } = args;
+        const entries = Array.from(this.registry.values());
+
+        const matchedEntries = layerNames.length === 0
+            ? entries
+            : entries.filter(entry => layerNames.some(name => this.registryEntryMatches(entry, name)));
+        // Layers showing a source of a removed entry (heatmaps with sourceId) go with it
+        const ownedSourceIds = new Set(
+            matchedEntries.flatMap(entry => entry.sources.filter(source => source.spec).map(source => source.id))
+        );
+        const entriesToRemove = entries.filter(entry => matchedEntries.includes(entry) ||
+            entry.sources.some(source => source.reference && ownedSourceIds.has(source.id)));
+        const unmatchedNames = layerNames.filter(name =>
+            !entries.some(entry => this.registryEntryMatches(entry, name))
+        );
+
+        const removedLayerIds = [];
+        const removedSourceIds = [];
+        const positions = entriesToRemove.map(entry => this.getRegistryPosition(entry));
+
+        entriesToRemove.forEach(entry => {
+            const removed = this.removeRegistryEntry(entry);
+            removedLayerIds.push(...removed.layerIds);
+            removedSourceIds.push(...removed.sourceIds);
+        });
+
+        if (entriesToRemove.length > 0) {
+            this.recordHistory({
+                toolName: 'clear_map_layers',
+                description: `removal of ${entriesToRemove.map(entry => `"${entry.id}"`).join(', ')}`,
+                undo: () => {
+                    // Re-insert in ascending original position so every index is valid again
+                    entriesToRemove.forEach((entry, index) => this.restoreRegistryEntry(entry, positions[index]));
+                    return `restored ${entriesToRemove.map(entry => `"${entry.id}"`).join(', ')}`;
+                },
+                redo: () => {
+                    entriesToRemove.forEach(entry => this.removeRegistryEntry(entry));
+                    return `removed ${entriesToRemove.map(entry => `"${entry.id}"`).join(', ')} again`;
+                }
+            });
+        }
+
+        let text = `Removed ${removedLayerIds.length} layers from the map`;
+        if (removedLayerIds.length > 0) {
+            text += `: ${removedLayerIds.join(', ')}`;
+        }
+        if (unmatchedNames.length > 0) {
+            text += `. No layers created by this library match: ${unmatchedNames.join(', ')}`;
+        }
+
+        return {
+            content: [{
+                type: 'text',
+                text
+            }],
+            isError: false,
+            removedLayerIds,
+            removedSourceIds
+        };
+    }
+
+    /**
+     * Set map style
+     */
+    setMapStyle(args) {
+        const { style } = args;
+        const previousStyle = this.captureStyle();
+
+        this.applyStyle({ name: style });
+
+        let undoneStyle;
+        this.recordHistory({
+            toolName: 'set_map_style',
+            description: `style change to ${style}`,
+            undo: () => {
+                undoneStyle = this.captureStyle();
+                this.applyStyle(previousStyle);
+                return `restored the ${previousStyle.name || 'previous'} style`;
+            },
+            redo: () => {
+                this.applyStyle(undoneStyle);
+                return `changed the style to ${style} again`;
+            }
+        });
+
+        // Tool-created layers are re-added by handleStyleLoad once the new style has loaded
+        const restoredLayerCount = this.getRegisteredLayers().length;
+
+        return {
+            content: [{
+                type: 'text',
+                text: `Changed map style to ${style}` +
+                    (restoredLayerCount > 0 ? ` (${restoredLayerCount} tool-created layers will be restored)` : '')
+            }],
+            isError: false
+        };
+    }
+
+    /**
+     * Undo the most recent mutating tool calls
+     * @param {number} [steps=1] - Number of actions to undo
+     * @returns {Object} Result object describing what was reverted
+     */
+    undo(steps = 1) {
+        return this.replayHistory(this.undoStack, this.redoStack, steps, 'undo');
+    }
+
+    /**
+     * Re-apply the most recently undone tool calls
+     * @param {number} [steps=1] - Number of actions to redo
+     * @returns {Object} Result object describing what was re-applied
+     */
+    redo(steps = 1) {
+        return this.replayHistory(this.redoStack, this.undoStack, steps, 'redo');
+    }
+
+    /**
+     * Pop actions from one history stack, apply their undo or redo operation
+     * and push them onto the other stack
+     * @param {Array<Object>} fromStack - Stack to take actions from
+     * @param {Array<Object>} toStack - Stack to move applied actions to
+     * @param {number} steps - Number of actions
+     * @param {string} operation - 'undo' or 'redo'
+     * @returns {Object} Result object
+     */
+    replayHistory(fromStack, toStack, steps, operation) {
+        const verb = operation === 'undo' ? 'Undid' : 'Redid';
+        const lines = [];
+
+        for (let i = 0; i < steps && fromStack.length > 0; i++) {
+            const action = fromStack.pop();
+            const effect = action[operation]();
+            toStack.push(action);
+            lines.push(`${verb} ${action.description} (${action.toolName}): ${effect}`);
+        }
+
+        this.updateLegendControls();
+
+        if (lines.length === 0) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: operation === 'undo' ? 'Nothing to undo' : 'Nothing to redo'
+                }],
+                isError: false,
+                actions: []
+            };
+        }
+
+        return {
+            content: [{
+                type: 'text',
+                text: lines.join('\n')
+            }],
+            isError: false,
+            actions: lines
+        };
+    }
+
+    /**
+     * Record the inverse of a mutating tool call. Any new action clears the redo stack.
+     * @param {Object} action - History action
+     * @param {string} action.toolName - Tool that made the change
+     * @param {string} action.description - What the change was, e.g. 'style change to dark-v11'
+     * @param {Function} action.undo - Reverts the change; returns a description of the effect
+     * @param {Function} action.redo - Re-applies the change; returns a description of the effect
+     */
+    recordHistory(action) {
+        this.undoStack.push(action);
+        this.redoStack = [];
+
+        if (this.undoStack.length > this.options.historyLimit) {
+            this.undoStack.shift();
+        }
+    }
+
+    /**
+     * Record the creation of a registry entry so it can be removed and restored
+     * with the same layer id
+     * @param {Object} entry - Registry entry created by an add tool
+     */
+    recordLayerCreation(entry) {
+        let position;
+
+        this.recordHistory({
+            toolName: entry.toolName,
+            description: `adding layer "${entry.id}"`,
+            undo: () => {
+                position = this.getRegistryPosition(entry);
+                this.removeRegistryEntry(entry);
+                return `removed layer "${entry.id}"`;
+            },
+            redo: () => {
+                this.restoreRegistryEntry(entry, position);
+                return `restored layer "${entry.id}"`;
+            }
+        });
+    }
+
+    /**
+     * Record a camera move. Must be called before the camera starts moving.
+     * The target view is captured on undo, so animated moves are redone exactly.
+     * @param {string} toolName - Tool that moves the camera
+     * @param {string} description - Description of the move
+     */
+    recordCameraChange(toolName, description) {
+        const previousCamera = this.getCameraState();
+        let undoneCamera;
+
+        this.recordHistory({
+            toolName,
+            description,
+            undo: () => {
+                undoneCamera = this.getCameraState();
+                this.map.jumpTo(previousCamera);
+                return 'restored the previous map view';
+            },
+            redo: () => {
+                this.map.jumpTo(undoneCamera);
+                return 'moved the map view again';
+            }
+        });
+    }
+
+    /**
+     * Get the current camera position
+     * @returns {{center: Array<number>, zoom: number, bearing: number, pitch: number}} Camera state
+     */
+    getCameraState() {
+        return {
+            center: this.map.getCenter().toArray(),
+            zoom: this.map.getZoom(),
+            bearing: this.map.getBearing(),
+            pitch: this.map.getPitch()
+        };
+    }
+
+    /**
+     * Get the name of the current Mapbox style, e.g. 'streets-v12'
+     * @returns {string|null} Style name, or null for custom or unknown styles
+     */
+    getStyleName() {
+        if (this.styleName) {
+            return this.styleName;
+        }
+
+        let style;
+        try {
+            style = this.map.getStyle();
+        } catch (error) {
+            // The initial style is still loading
+            return null;
+        }
+
+        // Mapbox-hosted styles reference their sprite as mapbox://sprites/mapbox/<style>
+        const match = style && typeof style.sprite === 'string'
+            && style.sprite.match(/^mapbox:\/\/sprites\/mapbox\/([\w-]+)/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Capture the current style so it can be re-applied later. Mapbox styles are
+     * captured by name, other styles as JSON without the tool-created sources and
+     * layers (those are restored from the registry).
+     * @returns {{name: string}|{style: Object}} Style reference
+     */
+    captureStyle() {
+        const name = this.getStyleName();
+        if (name) {
+            return { name };
+        }
+
+        const style = this.map.getStyle();
+        const ownLayerIds = new Set(this.getCustomLayerIds());
+        const ownSourceIds = new Set(
+            Array.from(this.registry.values()).flatMap(entry => entry.sources.map(source => source.id))
+        );
+
+        return {
+            style: {
+                ...style,
+                layers: style.layers.filter(layer => !ownLayerIds.has(layer.id)),
+                sources: Object.fromEntries(
+                    Object.entries(style.sources).filter(([id]) => !ownSourceIds.has(id))
+                )
+            }
+        };
+    }
+
+    /**
+     * Apply a style captured with captureStyle. Tool-created layers are restored
+     * by handleStyleLoad once the style has loaded.
+     * @param {{name: string}|{style: Object}} styleReference - Style reference
+     */
+    applyStyle(styleReference) {
+        if (styleReference.name) {
+            this.styleName = styleReference.name;
+            this.map.setStyle(`mapbox://styles/mapbox/${styleReference.name}`);
+        } else {
+            this.styleName = null;
+            this.map.setStyle(styleReference.style);
+        }
+    }
+
+    /**
+     * Export the camera, style, registered icons and everything the tools added to the map
+     * as versioned JSON. Icons registered with an image object instead of a URL or SVG
+     * markup are left out.
+     * @returns {Object} Snapshot that can be passed to importState, also on a new map instance
+     */
+    exportState() {
+        const entries = Array.from(this.registry.values()).map(entry => ({
+            id: entry.id,
+            toolName: entry.toolName,
+            layerName: entry.layerName,
+            sources: entry.sources,
+            layers: entry.layers,
+            interactions: entry.interactions
+        }));
+
+        const icons = Array.from(this.icons)
+            .filter(([, icon]) => icon.source)
+            .map(([name, icon]) => ({ name, ...icon.source, ...icon.options }));
+
+        // Round-trip through JSON so the snapshot shares no objects with the live registry
+        return JSON.parse(JSON.stringify({
+            version: STATE_VERSION,
+            camera: this.getCameraState(),
+            style: this.captureStyle(),
+            layerCounter: this.layerCounter,
+            icons,
+            entries
+        }));
+    }
+
+    /**
+     * Restore a snapshot created with exportState. Replaces all tool-created layers,
+     * applies the snapshot's style and camera, and clears the undo history.
+     * Older snapshot versions are upgraded with the stateMigrations option.
+     * The snapshot's icons are registered again in the background; points using them
+     * show a placeholder until they have loaded.
+     * @param {Object} snapshot - Snapshot from exportState
+     * @returns {Object} Result object
+     */
+    importState(snapshot) {
+        const state = migrateState(JSON.parse(JSON.stringify(snapshot)), this.options.stateMigrations);
+
+        Array.from(this.registry.values()).forEach(entry => this.removeRegistryEntry(entry));
+
+        (state.icons || []).forEach(({ name, image, ...options }) => {
+            this.pendingIcons.add(name);
+            this.registerIcon(name, image, options)
+                .catch(error => console.warn(`Could not restore icon "${name}": ${error.message}`))
+                .then(() => this.pendingIcons.delete(name));
+        });
+
+        state.entries.forEach(saved => {
+            const entry = this.createRegistryEntry(saved.id, saved.toolName, saved.layerName);
+            entry.sources = saved.sources;
+            entry.layers = saved.layers;
+            (saved.interactions || []).forEach(interaction => this.addRegisteredInteraction(entry, interaction));
+        });
+
+        // Keep new layer ids from colliding with restored ones
+        this.layerCounter = Math.max(this.layerCounter, state.layerCounter || 0);
+
+        const styleChanged = state.style &&
+            (state.style.name ? state.style.name !== this.getStyleName() : true);
+
+        if (styleChanged) {
+            // The registry is restored by handleStyleLoad once the style has loaded
+            this.applyStyle(state.style);
+        } else if (this.map.isStyleLoaded()) {
+            this.restoreRegisteredLayers();
+        } else {
+            // The style or its tiles are still loading; restoring is idempotent, so doing it
+            // on idle is safe even if handleStyleLoad already restored everything
+            this.map.once('idle', () => this.restoreRegisteredLayers());
+        }
+
+        if (state.camera) {
+            this.map.jumpTo(state.camera);
+        }
+
+        this.undoStack = [];
+        this.redoStack = [];
+
+        this.updateLegendControls();
+
+        const layerCount = this.getRegisteredLayers().length;
+
+        return {
+            content: [{
+                type: 'text',
+                text: `Restored ${state.entries.length} tool calls with ${layerCount} layers` +
+                    (state.icons && state.icons.length > 0 ? ` and ${state.icons.length} icons` : '') +
+                    (state.style && state.style.name ? ` on style ${state.style.name}` : '')
+            }],
+            isError: false,
+            layerIds: this.getCustomLayerIds()
+        };
+    }
+
+    /**
+     * Generate a consistent source ID from a tileset URL
+     * @param {string} tilesetUrl - The tileset URL
+     * @returns {string} A sanitized source ID
+     */
+    generateSourceId(tilesetUrl) {
+        const cleanUrl = tilesetUrl
+            .replace(/^(mapbox:\/\/|https?:\/\/)/, '')
+            .replace(/[^a-zA-Z0-9-_.]/g, '-');
+        return `${cleanUrl}-vector-source`;
+    }
+
+    /**
+     * Add a vector tileset layer to the map
+     * @param {Object} args - Tool arguments
+     * @param {string} args.tilesetUrl - Vector tileset URL
+     * @param {string} args.sourceLayer - Source layer name from the tileset
+     * @param {string} args.layerType - Layer type (line, fill, circle, etc.)
+     * @param {string} [args.layerName='vector-tileset-layer'] - Layer name
+     * @param {Object} [args.paint={}] - Paint properties
+     * @param {Object} [args.layout={}] - Layout properties
+     * @param {Array} [args.filter] - Filter expression
+     * @param {number} [args.minzoom] - Minimum zoom
+     * @param {number} [args.maxzoom] - Maximum zoom
+     * @returns {Object} Result object
+     */
+    addVectorTilesetLayer(args) {
+        const {
+            tilesetUrl,
+            sourceLayer,
+            layerType,
+            layerName = 'vector-tileset-layer',
+            paint = {},
+            layout = {},
+            filter,
+            minzoom,
+            maxzoom
+        } = args;
+
+        // Validate tileset URL format
+        if (!tilesetUrl.match(/^(mapbox:\/\/|https?:\/\/)/)) {
+            throw new Error('Invalid tileset URL format. Must start with "mapbox://" or "http(s)://"');
+        }
+
+        // Generate unique layer ID and source ID
+        const uniqueLayerName = `${layerName}-${++this.layerCounter}`;
+        const sourceId = this.generateSourceId(tilesetUrl);
+
+        const entry = this.createRegistryEntry(uniqueLayerName, 'add_vector_tileset_layer', layerName);
+
+        // Determine if this is a Mapbox tileset or custom tile URL
+        const sourceConfig = {
+            type: 'vector'
+        };
+
+        if (tilesetUrl.startsWith('mapbox://')) {
+            sourceConfig.url = tilesetUrl;
+        } else {
+            // For custom tile servers, use tiles array
+            sourceConfig.tiles = [tilesetUrl];
+        }
+
+        // Add source if it doesn't exist (vector sources are shared between layers)
+        this.addRegisteredSource(entry, sourceId, sourceConfig);
+
+        // Default paint properties by layer type
+        const defaultPaintByType = {
+            'line': { 'line-color': '#0074D9', 'line-width': 2, 'line-opacity': 0.8 },
+            'fill': { 'fill-color': '#FF0000', 'fill-opacity': 0.3 },
+            'circle': { 'circle-radius': 6, 'circle-color': '#FF0000', 'circle-opacity': 0.8 },
+            'fill-extrusion': { 'fill-extrusion-color': '#0074D9', 'fill-extrusion-height': 10, 'fill-extrusion-opacity': 0.8 },
+            'symbol': { 'text-color': '#000000', 'text-halo-color': '#FFFFFF', 'text-halo-width': 2 }
+        };
+
+        // Merge default paint properties with user overrides
+        const finalPaint = { ...defaultPaintByType[layerType], ...paint };
+
+        // Build layer configuration
+        const layerConfig = {
+            id: uniqueLayerName,
+            type: layerType,
+            source: sourceId,
+            'source-layer': sourceLayer,
+            paint: finalPaint
+        };
+
+        // Add optional properties
+        if (layout && Object.keys(layout).length > 0) {
+            layerConfig.layout = layout;
+        }
+        if (filter) {
+            layerConfig.filter = filter;
+        }
+        if (minzoom !== undefined) {
+            layerConfig.minzoom = minzoom;
+        }
+        if (maxzoom !== undefined) {
+            layerConfig.maxzoom = maxzoom;
+        }
+
+        // Add layer
+        this.addRegisteredLayer(entry, layerConfig);
+
+        this.recordLayerCreation(entry);
+
+        return {
+            content: [{
+                type: 'text',
+                text: `Added vector tileset layer "${uniqueLayerName}" from source "${sourceId}" (source layer: "${sourceLayer}")`
+            }],
+            isError: false,
+            layerId: uniqueLayerName,
+            sourceId: sourceId
+        };
+    }
+
+    /**
+     * Query rendered features in the viewport
+     * @param {Object} args - Tool arguments
+     * @param {Object} [args.point] - Screen point {x, y}
+     * @param {Array<number>} [args.bbox] - Bounding box [x1, y1, x2, y2]
+     * @param {Array<string>} [args.layers] - Layer IDs to query
+     * @param {Array} [args.filter] - Filter expression
+     * @param {number} [args.limit=100] - Max features to return
+     * @param {boolean} [args.includeGeometry=true] - Include geometry
+     * @returns {Object} Result with GeoJSON FeatureCollection
+     */
+    queryRenderedFeatures(args) {
+        const {
+            point,
+            bbox,
+            layers,
+            filter,
+            limit = 100,
+            includeGeometry = true
+        } = args;
+
+        // Validation: cannot specify both point and bbox
+        if (point && bbox) {
+            throw new Error('Cannot specify both point and bbox parameters. Use one or the other.');
+        }
+
+        // Build query geometry
+        let queryGeometry = undefined; // queries entire viewport
+        if (point) {
+            if (typeof point.x !== 'number' || typeof point.y !== 'number') {
+                throw new Error('Invalid point coordinates. Expected {x: number, y: number}.');
+            }
+            queryGeometry = [point.x, point.y];
+        } else if (bbox) {
+            if (!Array.isArray(bbox) || bbox.length !== 4) {
+                throw new Error('Invalid bbox format. Expected [x1, y1, x2, y2].');
+            }
+            queryGeometry = [[bbox[0], bbox[1]], [bbox[2], bbox[3]]];
+        }
+
+        // Build options
+        const options = {};
+        if (layers && layers.length > 0) {
+            options.layers = layers;
+        }
+        if (filter) {
+            options.filter = filter;
+        }
+
+        // Query map
+        let features = this.map.queryRenderedFeatures(queryGeometry, options);
+
+        // Apply limit
+        features = features.slice(0, limit);
+
+        // Strip geometry if requested
+        if (!includeGeometry) {
+            features = features.map(f => ({
+                type: 'Feature',
+                properties: f.properties,
+                layer: f.layer,
+                source: f.source,
+                sourceLayer: f.sourceLayer
+            }));
+        }
+
+        // Build FeatureCollection
+        const featureCollection = {
+            type: 'FeatureCollection',
+            features: features
+        };
+
+        const queryDescription = point
+            ? `at point (${point.x}, ${point.y})`
+            : bbox
+                ? `in bbox [${bbox.join(', ')}]`
+                : 'in viewport';
+
+        return {
+            content: [{
+                type: 'text',
+                text: `Found ${features.length} rendered feature${features.length !== 1 ? 's' : ''} ${queryDescription}${layers ? ` in layers: ${layers.join(', ')}` : ''}`
+            }],
+            isError: false,
+            data: featureCollection
+        };
+    }
+
+    /**
+     * Query features from a source
+     * @param {Object} args - Tool arguments
+     * @param {string} args.sourceId - Source ID to query
+     * @param {string} [args.sourceLayer] - Source layer for vector tiles
+     * @param {Array} [args.filter] - Filter expression
+     * @param {number} [args.limit=1000] - Max features to return
+     * @param {boolean} [args.includeGeometry=true] - Include geometry
+     * @returns {Object} Result with GeoJSON FeatureCollection
+     */
+    querySourceFeatures(args) {
+        const {
+            sourceId,
+            sourceLayer,
+            filter,
+            limit = 1000,
+            includeGeometry = true
+        } = args;
+
+        // Validate source exists
+        const source = this.map.getSource(sourceId);
+        if (!source) {
+            // Get available sources for helpful error message
+            const availableSources = Object.keys(this.map.getStyle().sources);
+            throw new Error(
+                `Source "${sourceId}" not found. Available sources: ${availableSources.join(', ') || 'none'}. ` +
+                `Make sure you're using the correct source ID from layer creation.`
+            );
+        }
+
+        // For vector sources, require sourceLayer
+        if (source.type === 'vector' && !sourceLayer) {
+            throw new Error('sourceLayer parameter is required for vector tile sources');
+        }
+
+        // Build options
+        const options = {};
+        if (sourceLayer) {
+            options.sourceLayer = sourceLayer;
+        }
+        if (filter) {
+            options.filter = filter;
+        }
+
+        // Query source
+        let features = this.map.querySourceFeatures(sourceId, options);
+
+        // Apply limit
+        features = features.slice(0, limit);
+
+        // Strip geometry if requested
+        if (!includeGeometry) {
+            features = features.map(f => ({
+                type: 'Feature',
+                properties: f.properties,
+                source: f.source,
+                sourceLayer: f.sourceLayer
+            }));
+        }
+
+        // Build FeatureCollection
+        const featureCollection = {
+            type: 'FeatureCollection',
+            features: features
+        };
+
+        return {
+            content: [{
+                type: 'text',
+                text: `Found ${features.length} feature${features.length !== 1 ? 's' : ''} from source "${sourceId}"${sourceLayer ? ` (layer: ${sourceLayer})` : ''}`
+            }],
+            isError: false,
+            data: featureCollection
+        };
+    }
+
+    /**
+     * List tool-created layers with their data and styling, plus the current camera and style
+     * @param {Object} args - Tool arguments
+     * @param {Array<string>} [args.layerIds] - Layer IDs or layer names to list
+     * @returns {Object} Result with the layer summaries in data.layers
+     */
+    listMapLayers(args) {
+        const { layerIds = [] } = args;
+
+        const entries = Array.from(this.registry.values()).filter(entry =>
+            layerIds.length === 0 || layerIds.some(name => this.registryEntryMatches(entry, name))
+        );
+        const layers = entries.map(entry => this.describeRegistryEntry(entry));
+
+        const camera = this.getCameraState();
+        const style = this.getStyleName() || 'custom';
+
+        const lines = layers.map(layer => {
+            const featureText = layer.featureCount === null ? 'vector tiles' : `${layer.featureCount} features`;
+            const layerTypes = layer.mapLayers.map(mapLayer => mapLayer.type).join('+');
+            return `- ${layer.id} (${layer.toolName}, name "${layer.layerName}"): ${layerTypes}, ${featureText}, ${layer.visibility}`;
+        });
+
+        return {
+            content: [{
+                type: 'text',
+                text: `${layers.length} tool-created layer${layers.length !== 1 ? 's' : ''} on style ${style}, ` +
+                    `view centered on ${camera.center[1].toFixed(4)}, ${camera.center[0].toFixed(4)} at zoom ${camera.zoom.toFixed(1)}` +
+                    (lines.length > 0 ? `:\n${lines.join('\n')}` : '')
+            }],
+            isError: false,
+            data: {
+                style,
+                camera,
+                layers
+            }
+        };
+    }
+
+    /**
+     * Summarize a registry entry for list_map_layers
+     * @param {Object} entry - Registry entry
+     * @returns {Object} Layer summary
+     */
+    describeRegistryEntry(entry) {
+        const geojsonSources = this.getGeoJsonSources(entry);
+        const data = {
+            type: 'FeatureCollection',
+            features: geojsonSources.flatMap(source => toFeatures(source.spec.data))
+        };
+
+        const mapLayers = entry.layers.map(layerSpec => {
+            const onMap = Boolean(this.map.getLayer(layerSpec.id));
+            const visibility = (onMap
+                ? this.map.getLayoutProperty(layerSpec.id, 'visibility')
+                : layerSpec.layout && layerSpec.layout.visibility) || 'visible';
+
+            const summary = {
+                id: layerSpec.id,
+                type: layerSpec.type,
+                source: layerSpec.source,
+                visibility,
+                paint: this.summarizePaint(layerSpec.paint)
+            };
+            if (layerSpec['source-layer']) {
+                summary.sourceLayer = layerSpec['source-layer'];
+            }
+            if (layerSpec.minzoom !== undefined) {
+                summary.minzoom = layerSpec.minzoom;
+            }
+            if (layerSpec.maxzoom !== undefined) {
+                summary.maxzoom = layerSpec.maxzoom;
+            }
+            return summary;
+        });
+
+        return {
+            id: entry.id,
+            layerName: entry.layerName,
+            toolName: entry.toolName,
+            // Vector tile sources cannot be counted or bounded without loading all tiles
+            featureCount: geojsonSources.length > 0 ? data.features.length : null,
+            bbox: geojsonSources.length > 0 ? getBoundingBox(data) : null,
+            visibility: mapLayers.some(mapLayer => mapLayer.visibility === 'visible') ? 'visible' : 'none',
+            sources: entry.sources.map(source => source.id),
+            mapLayers
+        };
+    }
+
+    /**
+     * Summarize paint properties, shortening long expressions
+     * @param {Object} [paint={}] - Paint properties
+     * @returns {Object} Paint summary
+     */
+    summarizePaint(paint = {}) {
+        const summary = {};
+        Object.entries(paint).forEach(([property, value]) => {
+            if (!Array.isArray(value)) {
+                summary[property] = value;
+                return;
+            }
+            const expression = JSON.stringify(value);
+            summary[property] = expression.length > 80 ? `${expression.slice(0, 77)}...` : expression;
+        });
+        return summary;
+    }
+
+    /**
+     * Restyle a tool-created layer in place
+     * @param {Object} args - Tool arguments
+     * @param {string} args.layerId - Layer ID, map layer ID or layer name
+     * @param {Object} [args.paint] - Paint properties to set
+     * @param {Object} [args.layout] - Layout properties to set
+     * @param {boolean} [args.visible] - Visibility
+     * @param {number} [args.minzoom] - Minimum zoom
+     * @param {number} [args.maxzoom] - Maximum zoom
+     * @returns {Object} Result object
+     */
+    updateLayerStyle(args) {
+        const { layerId, paint = {}, layout = {}, visible, minzoom, maxzoom } = args;
+
+        const targets = this.resolveLayerTargets(layerId);
+        if (targets.length === 0) {
+            throw new Error(
+                `Layer "${layerId}" not found. Layers created by this library: ${this.getCustomLayerIds().join(', ') || 'none'}`
+            );
+        }
+
+        const layoutChanges = { ...layout };
+        if (visible !== undefined) {
+            layoutChanges.visibility = visible ? 'visible' : 'none';
+        }
+
+        if (Object.keys(paint).length === 0 && Object.keys(layoutChanges).length === 0 &&
+            minzoom === undefined && maxzoom === undefined) {
+            throw new Error('Nothing to update. Provide paint, layout, visible, minzoom or maxzoom.');
+        }
+        if (minzoom !== undefined && maxzoom !== undefined && minzoom > maxzoom) {
+            throw new Error(`minzoom (${minzoom}) must not be greater than maxzoom (${maxzoom})`);
+        }
+
+        // Cluster circles and counts keep their own paint and layout unless their map layer
+        // is named; showing, hiding and zoom ranges apply to the points layer as a whole
+        const isStyled = ({ entry, layerSpec }) => layerSpec.id === layerId || !this.isClusterLayer(entry, layerSpec);
+        const visibilityChange = layoutChanges.visibility !== undefined ? { visibility: layoutChanges.visibility } : {};
+
+        // Every property must apply to at least one of the targeted layers
+        const layerTypes = targets.filter(isStyled).map(({ layerSpec }) => layerSpec.type);
+        const unusedProperties = [...Object.keys(paint), ...Object.keys(layout)].filter(property =>
+            !layerTypes.some(type => this.propertyAppliesToLayerType(property, type))
+        );
+        if (unusedProperties.length > 0) {
+            throw new Error(
+                `Properties ${unusedProperties.join(', ')} do not apply to layer "${layerId}" ` +
+                `(layer types: ${[...new Set(layerTypes)].join(', ')})`
+            );
+        }
+
+        const changes = targets
+            .map(target => ({
+                layerSpec: target.layerSpec,
+                change: {
+                    paint: isStyled(target) ? this.filterPropertiesForLayerType(paint, target.layerSpec.type) : {},
+                    layout: this.filterPropertiesForLayerType(isStyled(target) ? layoutChanges : visibilityChange, target.layerSpec.type),
+                    minzoom,
+                    maxzoom
+                }
+            }))
+            .filter(({ change }) =>
+                Object.keys(change.paint).length > 0 || Object.keys(change.layout).length > 0 ||
+                minzoom !== undefined || maxzoom !== undefined
+            );
+
+        const inverses = changes.map(({ layerSpec, change }) => ({
+            layerSpec,
+            change: this.applyLayerChange(layerSpec, change)
+        }));
+
+        const updatedLayerIds = changes.map(({ layerSpec }) => layerSpec.id);
+
+        this.recordHistory({
+            toolName: 'update_layer_style',
+            description: `style update of ${updatedLayerIds.map(id => `"${id}"`).join(', ')}`,
+            undo: () => {
+                inverses.forEach(({ layerSpec, change }) => this.applyLayerChange(layerSpec, change));
+                return 'restored the previous styling';
+            },
+            redo: () => {
+                changes.forEach(({ layerSpec, change }) => this.applyLayerChange(layerSpec, change));
+                return 'applied the styling again';
+            }
+        });
+
+        const changedProperties = [
+            ...Object.keys(paint),
+            ...Object.keys(layoutChanges),
+            ...(minzoom !== undefined ? ['minzoom'] : []),
+            ...(maxzoom !== undefined ? ['maxzoom'] : [])
+        ];
+
+        return {
+            content: [{
+                type: 'text',
+                text: `Updated ${changedProperties.join(', ')} of layer${updatedLayerIds.length !== 1 ? 's' : ''} ${updatedLayerIds.join(', ')}`
+            }],
+            isError: false,
+            layerIds: updatedLayerIds
+        };
+    }
+
+    /**
+     * Append, remove or replace features of a points, route, polygon, heatmap, labels or GeoJSON layer
+     * @param {Object} args - Tool arguments
+     * @param {string} args.layerId - Layer ID or layer name
+     * @param {string} args.operation - 'append', 'remove' or 'replace'
+     * @param {Array<Object>} [args.points] - Points, for point layers
+     * @param {Array<Object>} [args.features] - GeoJSON features
+     * @param {Array<string>} [args.featureIds] - IDs of the features to remove
+     * @returns {Object} Result object
+     */
+    updateLayerData(args) {
+        const { layerId, operation, points = [], features = [], featureIds = [] } = args;
+
+        const entry = this.resolveRegistryEntry(layerId);
+        const geometryTypes = UPDATABLE_GEOMETRY_TYPES[entry.toolName];
+        if (!geometryTypes) {
+            throw new Error(
+                `Layer "${entry.id}" was created by ${entry.toolName}; only layers of ` +
+                `${Object.keys(UPDATABLE_GEOMETRY_TYPES).join(', ')} can be updated`
+            );
+        }
+        if (points.length > 0 && entry.toolName !== 'add_points_to_map') {
+            throw new Error(`points can only be used with layers created by add_points_to_map; use features for "${entry.id}"`);
+        }
+
+        const source = entry.sources[0];
+        if (source.id !== entry.id) {
+            throw new Error(`Layer "${entry.id}" shows the data of "${source.id}"; update that layer instead`);
+        }
+        const previousData = source.spec.data;
+        const existing = toFeatures(previousData);
+        let updated;
+        let changedIds;
+
+        if (operation === 'remove') {
+            if (featureIds.length === 0) {
+                throw new Error('featureIds is required to remove features');
+            }
+            const existingIds = existing.map(feature => this.getFeatureId(feature));
+            const unknownIds = featureIds.filter(id => !existingIds.includes(id));
+            if (unknownIds.length > 0) {
+                throw new Error(
+                    `Features ${unknownIds.join(', ')} not found in layer "${entry.id}". Feature IDs: ${existingIds.join(', ') || 'none'}`
+                );
+            }
+            updated = existing.filter(feature => !featureIds.includes(this.getFeatureId(feature)));
+            changedIds = featureIds;
+        } else {
+            const offset = operation === 'append' ? existing.length : 0;
+            const incoming = [
+                ...points.map((point, index) => this.createPointFeature(point, offset + index)),
+                ...features.map((feature, index) => this.normalizeFeature(entry, feature, offset + points.length + index))
+            ];
+            if (incoming.length === 0) {
+                throw new Error(`points or features are required to ${operation} features`);
+            }
+
+            const invalid = incoming.filter(feature => !feature.geometry || !geometryTypes.includes(feature.geometry.type));
+            if (invalid.length > 0) {
+                throw new Error(
+                    `Layer "${entry.id}" only accepts ${geometryTypes.join(' or ')} geometries, ` +
+                    `got ${invalid.map(feature => (feature.geometry && feature.geometry.type) || 'no geometry').join(', ')}`
+                );
+            }
+
+            const withIds = this.assignFeatureIds(entry.id, incoming, existing);
+            changedIds = withIds.map(feature => this.getFeatureId(feature));
+
+            if (operation === 'append') {
+                // Features with an existing ID replace that feature in place
+                const byId = new Map(withIds.map(feature => [this.getFeatureId(feature), feature]));
+                updated = existing.map(feature => {
+                    const replacement = byId.get(this.getFeatureId(feature));
+                    byId.delete(this.getFeatureId(feature));
+                    return replacement || feature;
+                });
+                updated.push(...byId.values());
+            } else {
+                updated = withIds;
+            }
+        }
+
+        const data = { type: 'FeatureCollection', features: updated };
+        this.setRegisteredSourceData(source, data);
+
+        this.recordHistory({
+            toolName: 'update_layer_data',
+            description: `${operation} of ${changedIds.length} feature${changedIds.length !== 1 ? 's' : ''} in "${entry.id}"`,
+            undo: () => {
+                this.setRegisteredSourceData(source, previousData);
+                return `restored the previous features of "${entry.id}"`;
+            },
+            redo: () => {
+                this.setRegisteredSourceData(source, data);
+                return `updated the features of "${entry.id}" again`;
+            }
+        });
+
+        const verb = { append: 'Added or updated', remove: 'Removed', replace: 'Replaced the layer\'s features with' }[operation];
+
+        return {
+            content: [{
+                type: 'text',
+                text: `${verb} ${changedIds.length} feature${changedIds.length !== 1 ? 's' : ''} in layer "${entry.id}" ` +
+                    `(${updated.length} feature${updated.length !== 1 ? 's' : ''} now)`
+            }],
+            isError: false,
+            layerId: entry.id,
+            featureIds: changedIds,
+            featureCount: updated.length
+        };
+    }
+
+    /**
+     * Bring a GeoJSON feature from update_layer_data into the shape the layer's paint and
+     * popups expect (e.g. a color and title for points)
+     * @param {Object} entry - Registry entry of the layer
+     * @param {Object} feature - GeoJSON Feature or geometry
+     * @param {number} index - Position of the feature in its layer
+     * @returns {Object} GeoJSON Feature
+     */
+    normalizeFeature(entry, feature, index) {
+        const normalized = feature.type === 'Feature'
+            ? { ...feature, properties: { ...(feature.properties || {}) } }
+            : { type: 'Feature', geometry: feature, properties: {} };
+
+        // A top-level id is kept as the feature ID
+        if (normalized.id !== undefined && normalized.properties.id === undefined) {
+            normalized.properties.id = String(normalized.id);
+        }
+        delete normalized.id;
+
+        if (entry.toolName === 'add_points_to_map') {
+            normalized.properties = {
+                title: `Point ${index + 1}`,
+                description: '',
+                color: this.options.defaultPointColor,
+                ...normalized.properties
+            };
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Give features without an ID a stable one of the form "<layer id>-<n>",
+     * continuing after the highest ID already used in the layer
+     * @param {string} layerId - Layer ID used as the prefix
+     * @param {Array<Object>} features - Features to assign IDs to
+     * @param {Array<Object>} existing - Features already in the layer
+     * @returns {Array<Object>} The features with IDs
+     */
+    assignFeatureIds(layerId, features, existing) {
+        const prefix = `${layerId}-`;
+        let next = [...existing, ...features].reduce((max, feature) => {
+            const id = this.getFeatureId(feature) || '';
+            const suffix = id.slice(prefix.length);
+            return id.startsWith(prefix) && /^\d+$/.test(suffix) ? Math.max(max, Number(suffix)) : max;
+        }, 0);
+
+        return features.map(feature => {
+            if (this.getFeatureId(feature) !== undefined) {
+                return feature;
+            }
+            return {
+                ...feature,
+                properties: { ...(feature.properties || {}), id: `${layerId}-${++next}` }
+            };
+        });
+    }
+
+    /**
+     * Get the stable ID of a tool-created feature
+     * @param {Object} feature - GeoJSON Feature
+     * @returns {string|undefined} Feature ID
+     */
+    getFeatureId(feature) {
+        const id = feature.properties && feature.properties.id;
+        return id === undefined || id === null ? undefined : String(id);
+    }
+
+    /**
+     * Replace the data of a registered GeoJSON source on the map and in the registry
+     * @param {Object} source - Registered source ({ id, spec })
+     * @param {Object} data - GeoJSON data
+     */
+    setRegisteredSourceData(source, data) {
+        source.spec.data = data;
+        const mapSource = this.map.getSource(source.id);
+        if (mapSource) {
+            mapSource.setData(data);
+        }
+        this.updateHeatmapWeights(source.id, data);
+
+        const animation = this.animations.get(source.id);
+        if (animation && animation.status === 'paused') {
+            animation.render();
+        }
+    }
+
+    /**
+     * Resolve a name to the registered map layers it refers to: all layers of an entry
+     * for a returned layer ID or layerName, a single layer for a map layer ID
+     * @param {string} name - Layer ID, map layer ID or layer name
+     * @returns {Array<{entry: Object, layerSpec: Object}>} Matching layers
+     */
+    resolveLayerTargets(name) {
+        const entries = Array.from(this.registry.values());
+
+        const entry = this.registry.get(name);
+        if (entry) {
+            return entry.layers.map(layerSpec => ({ entry, layerSpec }));
+        }
+
+        for (const other of entries) {
+            const layerSpec = other.layers.find(spec => spec.id === name);
+            if (layerSpec) {
+                return [{ entry: other, layerSpec }];
+            }
+        }
+
+        return entries
+            .filter(other => other.layerName === name)
+            .flatMap(other => other.layers.map(layerSpec => ({ entry: other, layerSpec })));
+    }
+
+    /**
+     * Check whether a layer is the cluster circle or point count layer of a clustered points layer
+     * @param {Object} entry - Registry entry
+     * @param {Object} layerSpec - Layer specification of the entry
+     * @returns {boolean} True for cluster layers
+     */
+    isClusterLayer(entry, layerSpec) {
+        return entry.toolName === 'add_points_to_map' &&
+            [`${entry.id}-clusters`, `${entry.id}-cluster-count`].includes(layerSpec.id);
+    }
+
+    /**
+     * Resolve a name to exactly one registry entry
+     * @param {string} name - Layer ID, map layer ID or layer name
+     * @returns {Object} Registry entry
+     * @throws {Error} If no entry or several entries match
+     */
+    resolveRegistryEntry(name) {
+        const entries = [...new Set(this.resolveLayerTargets(name).map(({ entry }) => entry))];
+        if (entries.length === 0) {
+            throw new Error(
+                `Layer "${name}" not found. Layers created by this library: ${this.getCustomLayerIds().join(', ') || 'none'}`
+            );
+        }
+        if (entries.length > 1) {
+            throw new Error(
+                `"${name}" matches several layers (${entries.map(entry => entry.id).join(', ')}). Use one of these layer IDs.`
+            );
+        }
+        return entries[0];
+    }
+
+    /**
+     * Check whether a paint or layout property belongs to a layer type,
+     * e.g. line-color to line layers and text-size to symbol layers
+     * @param {string} property - Property name
+     * @param {string} layerType - Mapbox GL layer type
+     * @returns {boolean} True if the property applies
+     */
+    propertyAppliesToLayerType(property, layerType) {
+        if (property === 'visibility') {
+            return true;
+        }
+        if (layerType === 'symbol') {
+            return ['symbol-', 'text-', 'icon-'].some(prefix => property.startsWith(prefix));
+        }
+        if (layerType === 'fill' && property.startsWith('fill-extrusion-')) {
+            return false;
+        }
+        return property.startsWith(`${layerType}-`);
+    }
+
+    /**
+     * Keep the properties that apply to a layer type
+     * @param {Object} properties - Paint or layout properties
+     * @param {string} layerType - Mapbox GL layer type
+     * @returns {Object} Applicable properties
+     */
+    filterPropertiesForLayerType(properties, layerType) {
+        return Object.fromEntries(
+            Object.entries(properties).filter(([property]) => this.propertyAppliesToLayerType(property, layerType))
+        );
+    }
+
+    /**
+     * Apply paint, layout and zoom range changes to a registered layer and its registry spec,
+     * so they survive style changes and snapshots
+     * @param {Object} layerSpec - Registered layer specification
+     * @param {Object} change - Changes; null property values reset to the default
+     * @param {Object} [change.paint] - Paint properties
+     * @param {Object} [change.layout] - Layout properties
+     * @param {number} [change.minzoom] - Minimum zoom
+     * @param {number} [change.maxzoom] - Maximum zoom
+     * @returns {Object} The inverse change
+     */
+    applyLayerChange(layerSpec, change) {
+        const inverse = { paint: {}, layout: {} };
+        const onMap = Boolean(this.map.getLayer(layerSpec.id));
+
+        [['paint', 'setPaintProperty'], ['layout', 'setLayoutProperty']].forEach(([group, setter]) => {
+            Object.entries(change[group] || {}).forEach(([property, value]) => {
+                const properties = layerSpec[group] || (layerSpec[group] = {});
+                inverse[group][property] = property in properties ? properties[property] : null;
+
+                if (value === null || value === undefined) {
+                    delete properties[property];
+                } else {
+                    properties[property] = value;
+                }
+                if (onMap) {
+                    this.map[setter](layerSpec.id, property, value === null ? undefined : value);
+                }
+            });
+        });
+
+        if (change.minzoom !== undefined || change.maxzoom !== undefined) {
+            inverse.minzoom = layerSpec.minzoom === undefined ? 0 : layerSpec.minzoom;
+            inverse.maxzoom = layerSpec.maxzoom === undefined ? 24 : layerSpec.maxzoom;
+            layerSpec.minzoom = change.minzoom === undefined ? inverse.minzoom : change.minzoom;
+            layerSpec.maxzoom = change.maxzoom === undefined ? inverse.maxzoom : change.maxzoom;
+            if (onMap) {
+                this.map.setLayerZoomRange(layerSpec.id, layerSpec.minzoom, layerSpec.maxzoom);
+            }
+        }
+
+        return inverse;
+    }
+
+    /**
+     * Create the registry entry that records everything one tool call adds to the map
+     * @param {string} id - Layer id returned to the caller
+     * @param {string} toolName - Name of the tool that created the entry
+     * @param {string} layerName - Layer name requested by the caller, before the unique suffix
+     * @returns {Object} Registry entry
+     */
+    createRegistryEntry(id, toolName, layerName) {
+        const entry = {
+            id,
+            toolName,
+            layerName,
+            sources: [],
+            layers: [],
+            // Serializable descriptions of the interactions, e.g. { type: 'popup', layerId }
+            interactions: [],
+            // Event handlers created from the interactions
+            handlers: []
+        };
+        this.registry.set(id, entry);
+        return entry;
+    }
+
+    /**
+     * Add a source to the map and record it in a registry entry.
+     * Sources that already exist (e.g. shared vector sources) are recorded but not added again.
+     * @param {Object} entry - Registry entry
+     * @param {string} sourceId - Source ID
+     * @param {Object} sourceSpec - Mapbox GL source specification
+     */
+    addRegisteredSource(entry, sourceId, sourceSpec) {
+        if (!this.map.getSource(sourceId)) {
+            this.map.addSource(sourceId, sourceSpec);
+        }
+        entry.sources.push({ id: sourceId, spec: sourceSpec });
+    }
+
+    /**
+     * Record in a registry entry that its layers use a source owned by another entry.
+     * The reference has no spec: exportState keeps a single copy of the source, and the
+     * entry is removed together with the owner (see clearMapLayers).
+     * @param {Object} entry - Registry entry
+     * @param {string} sourceId - ID of a source registered by another entry
+     */
+    addSourceReference(entry, sourceId) {
+        entry.sources.push({ id: sourceId, reference: true });
+    }
+
+    /**
+     * Find the registered source that owns a source ID, i.e. the one with its spec
+     * @param {string} sourceId - Source ID
+     * @returns {Object|undefined} Registered source ({ id, spec })
+     */
+    findRegisteredSource(sourceId) {
+        return Array.from(this.registry.values())
+            .flatMap(entry => entry.sources)
+            .find(registered => registered.id === sourceId && registered.spec);
+    }
+
+    /**
+     * Get the GeoJSON sources whose data a registry entry shows, including referenced ones
+     * @param {Object} entry - Registry entry
+     * @returns {Array<Object>} Registered sources ({ id, spec })
+     */
+    getGeoJsonSources(entry) {
+        return entry.sources
+            .map(source => (source.reference ? this.findRegisteredSource(source.id) : source))
+            .filter(source => source && source.spec.type === 'geojson');
+    }
+
+    /**
+     * Add a layer to the map and record it in a registry entry
+     * @param {Object} entry - Registry entry
+     * @param {Object} layerSpec - Mapbox GL layer specification
+     */
+    addRegisteredLayer(entry, layerSpec) {
+        this.map.addLayer(layerSpec);
+        entry.layers.push(layerSpec);
+    }
+
+    /**
+     * Register a layer event handler and record it in a registry entry
+     * @param {Object} entry - Registry entry
+     * @param {string} type - Event type (e.g. 'click')
+     * @param {string} layerId - Layer the handler is bound to
+     * @param {Function} listener - Event handler
+     */
+    addRegisteredHandler(entry, type, layerId, listener) {
+        this.map.on(type, layerId, listener);
+        entry.handlers.push({ type, layerId, listener });
+    }
+
+    /**
+     * Add an interaction (popup, hover cursor, ...) to a layer and record it in a registry entry
+     * @param {Object} entry - Registry entry
+     * @param {Object} interaction - Interaction description
+     * @param {string} interaction.type - Interaction type, see createInteractionHandlers
+     * @param {string} interaction.layerId - Layer the interaction is bound to
+     */
+    addRegisteredInteraction(entry, interaction) {
+        entry.interactions.push(interaction);
+        this.createInteractionHandlers(interaction).forEach(({ type, listener }) => {
+            this.addRegisteredHandler(entry, type, interaction.layerId, listener);
+        });
+    }
+
+    /**
+     * Create the event handlers implementing an interaction
+     * @param {Object} interaction - Interaction description
+     * @returns {Array<{type: string, listener: Function}>} Event handlers
+     */
+    createInteractionHandlers(interaction) {
+        switch (interaction.type) {
+            case 'popup':
+                return [{
+                    type: 'click',
+                    listener: (e) => this.showFeaturePopup(e.features[0], e.lngLat)
+                }];
+            case 'cluster-zoom':
+                return [{
+                    type: 'click',
+                    listener: (e) => {
+                        const feature = e.features[0];
+                        const source = this.map.getSource(interaction.sourceId);
+                        if (!feature || !source) {
+                            return;
+                        }
+                        source.getClusterExpansionZoom(feature.properties.cluster_id, (error, zoom) => {
+                            if (error) {
+                                return;
+                            }
+                            this.map.easeTo({ center: feature.geometry.coordinates, zoom });
+                        });
+                    }
+                }];
+            case 'hover':
+                return [
+                    {
+                        type: 'mouseenter',
+                        listener: () => {
+                            this.map.getCanvas().style.cursor = 'pointer';
+                        }
+                    },
+                    {
+                        type: 'mouseleave',
+                        listener: () => {
+                            this.map.getCanvas().style.cursor = '';
+                        }
+                    }
+                ];
+            default:
+                throw new Error(`Unknown interaction type: ${interaction.type}`);
+        }
+    }
+
+    /**
+     * Get the specifications of all registered layers in stacking order
+     * @returns {Array<Object>} Layer specifications
+     */
+    getRegisteredLayers() {
+        return Array.from(this.registry.values()).flatMap(entry => entry.layers);
+    }
+
+    /**
+     * Re-add registered sources, layers and handlers after the style was replaced
+     */
+    handleStyleLoad() {
+        this.restoreRegisteredLayers();
+        // Sources come back with their full data; show paused animations where they were
+        this.animations.forEach(animation => animation.status === 'paused' && animation.render());
+    }
+
+    /**
+     * Re-add every registered source and layer that is missing from the current style,
+     * in the order they were originally created, and re-bind their interaction handlers
+     * @returns {number} Number of layers restored
+     */
+    restoreRegisteredLayers() {
+        let restoredCount = 0;
+
+        this.registry.forEach(entry => {
+            restoredCount += this.addRegistryEntryToMap(entry);
+        });
+
+        return restoredCount;
+    }
+
+    /**
+     * Add the missing sources and layers of a registry entry to the map and re-bind its handlers
+     * @param {Object} entry - Registry entry
+     * @param {string} [beforeId] - Layer to insert the entry's layers below; on top if omitted
+     * @returns {number} Number of layers added
+     */
+    addRegistryEntryToMap(entry, beforeId) {
+        let addedCount = 0;
+
+        // Referenced sources are added by the entry that owns them
+        entry.sources.forEach(({ id, spec }) => {
+            if (spec && !this.map.getSource(id)) {
+                this.map.addSource(id, spec);
+            }
+        });
+
+        entry.layers.forEach(layerSpec => {
+            if (!this.map.getLayer(layerSpec.id)) {
+                this.map.addLayer(layerSpec, beforeId);
+                addedCount++;
+            }
+        });
+
+        // Re-bind handlers, removing them first so they are never registered twice
+        entry.handlers.forEach(({ type, layerId, listener }) => {
+            this.map.off(type, layerId, listener);
+            this.map.on(type, layerId, listener);
+        });
+
+        return addedCount;
+    }
+
+    /**
+     * Put a previously removed registry entry back into the registry and onto the map
+     * at its former stacking position
+     * @param {Object} entry - Registry entry
+     * @param {number} [position] - Index in the registry; appended if omitted
+     */
+    restoreRegistryEntry(entry, position = this.registry.size) {
+        const entries = Array.from(this.registry.values()).filter(other => other !== entry);
+        entries.splice(position, 0, entry);
+        this.registry = new Map(entries.map(other => [other.id, other]));
+
+        // Insert below the first layer of the entries that now sit above it
+        const nextLayer = entries
+            .slice(position + 1)
+            .flatMap(other => other.layers)
+            .find(layerSpec => this.map.getLayer(layerSpec.id));
+
+        this.addRegistryEntryToMap(entry, nextLayer ? nextLayer.id : undefined);
+    }
+
+    /**
+     * Get the index of a registry entry in stacking order
+     * @param {Object} entry - Registry entry
+     * @returns {number} Index, or -1 if the entry is not registered
+     */
+    getRegistryPosition(entry) {
+        return Array.from(this.registry.values()).indexOf(entry);
+    }
+
+    /**
+     * Check whether a name refers to a registry entry: its returned layer id,
+     * one of its map layer ids (e.g. "polygon-layer-2-fill") or its original layerName
+     * @param {Object} entry - Registry entry
+     * @param {string} name - Layer id or layer name
+     * @returns {boolean} True if the name refers to the entry
+     */
+    registryEntryMatches(entry, name) {
+        return entry.id === name ||
+            entry.layerName === name ||
+            entry.layers.some(layerSpec => layerSpec.id === name);
+    }
+
+    /**
+     * Remove the layers, handlers and sources of a registry entry from the map.
+     * Sources still referenced by another entry (shared vector sources) are kept.
+     * @param {Object} entry - Registry entry
+     * @returns {{layerIds: Array<string>, sourceIds: Array<string>}} Removed layer and source IDs
+     */
+    removeRegistryEntry(entry) {
+        const layerIds = [];
+        const sourceIds = [];
+
+        this.stopRouteAnimation(entry.id);
+
+        entry.handlers.forEach(({ type, layerId, listener }) => {
+            this.map.off(type, layerId, listener);
+        });
+
+        entry.layers.forEach(layerSpec => {
+            if (this.map.getLayer(layerSpec.id)) {
+                this.map.removeLayer(layerSpec.id);
+                layerIds.push(layerSpec.id);
+            }
+        });
+
+        this.registry.delete(entry.id);
+
+        const sourcesInUse = new Set(
+            Array.from(this.registry.values()).flatMap(other => other.sources.map(source => source.id))
+        );
+
+        entry.sources.forEach(({ id }) => {
+            if (!sourcesInUse.has(id) && this.map.getSource(id)) {
+                this.map.removeSource(id);
+                sourceIds.push(id);
+            }
+        });
+
+        return { layerIds, sourceIds };
+    }
+
+    /**
+     * Get tool definitions for LLM function calling
+     * @param {Object} [options]
+     * @param {string} [options.format='anthropic'] - Provider format: anthropic, openai, gemini or mcp
+     * @returns {Array<Object>} Tool definitions in the provider's format
+     */
+    getToolsForLLM({ format = 'anthropic' } = {}) {
+        return convertTools(this.tools, format);
+    }
+
+    /**
+     * Execute a provider's tool-call object and return that provider's tool-result message
+     * @param {Object} toolCall - Anthropic tool_use block, OpenAI tool call, Gemini functionCall
+     *   part or MCP tools/call params
+     * @param {Object} [options]
+     * @param {string} [options.format='anthropic'] - Provider format: anthropic, openai, gemini or mcp
+     * @returns {Promise<Object>} Anthropic tool_result block, OpenAI tool message,
+     *   Gemini functionResponse part or MCP CallToolResult
+     */
+    async executeToolCall(toolCall, { format = 'anthropic' } = {}) {
+        const call = parseToolCall(toolCall, format, this.tools);
+
+        const result = call.error
+            ? { content: [{ type: 'text', text: `Error: ${call.error}` }], isError: true }
+            : await this.executeTool(call.name, call.args);
+
+        return formatToolResult(call, result, format);
+    }
+
+    /**
+     * Get the legend of all tool-created layers, in stacking order (bottom first).
+     * Entries are derived from the layers' paint, so restyled layers are reflected.
+     * @returns {Array<Object>} Legend entries: { layerId, layerName, toolName, symbol, property,
+     *   visible, items: [{ label, color, size, strokeColor, strokeWidth, opacity }] }
+     */
+    getLegend() {
+        return Array.from(this.registry.values())
+            .map(entry => buildLegendEntry(entry))
+            .filter(Boolean);
+    }
+
+    /**
+     * Re-render all LegendControls of this instance
+     */
+    updateLegendControls() {
+        this.legendControls.forEach(control => control.update());
+    }
+
+    /**
+     * Get all custom layer IDs created by this library, in stacking order
+     */
+    getCustomLayerIds() {
+        return this.getRegisteredLayers().map(layerSpec => layerSpec.id);
+    }
+
+    /**
+     * Destroy the instance, removing everything the tools added and their event listeners
+     */
+    destroy() {
+        this.clearMapLayers({});
+        this.map.off('style.load', this.handleStyleLoad);
+        this.map.off('styleimagemissing', this.handleStyleImageMissing);
+        this.undoStack = [];
+        this.redoStack = [];
+        this.legendControls.forEach(control => control.map && control.map.removeControl(control));
+    }
+}
@@ -0,0 +1,458 @@
+/**
+ * MCP server adapter for MapboxMapTools
+ *
+ * Exposes the tools of a MapboxMapTools instance over the Model Context Protocol
+ * (JSON-RPC 2.0: initialize, ping, tools/list and tools/call), so an MCP client
+ * running in a worker, a parent frame or the same page can drive the map directly.
+ * The tool catalog is fixed, so the server does not announce tools/list_changed.
+ *
+ * Transports follow the MCP SDK transport shape: start(), send(message), close()
+ * and the onmessage / onclose / onerror callbacks.
+ */
+
+import { formatToolResult } from './llm-formats.js';
+
+const JSONRPC_VERSION = '2.0';
+
+// Newest first; the first entry is offered when the client asks for an unknown version
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const ErrorCode = {
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603
+};
+
+/**
+ * Error carrying a JSON-RPC error code, turned into an error response by the server
+ */
+class JsonRpcError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+export class MapboxMcpServer {
+    /**
+     * @param {MapboxMapTools} mapTools - Map tools instance to expose
+     * @param {Object} [options]
+     * @param {string} [options.name='mapbox-map-tools'] - Server name reported on initialize
+     * @param {string} [options.version='1.0.0'] - Server version reported on initialize
+     * @param {string} [options.instructions] - Optional usage instructions for the client
+     */
+    constructor(mapTools, options = {}) {
+        if (!mapTools) {
+            throw new Error('MapboxMapTools instance is required');
+        }
+
+        this.mapTools = mapTools;
+        this.options = {
+            name: 'mapbox-map-tools',
+            version: '1.0.0',
+            ...options
+        };
+
+        this.transport = null;
+        this.initialized = false;
+        this.clientInfo = null;
+    }
+
+    /**
+     * Attach the server to a transport and start listening for messages
+     * @param {Object} transport - Transport (see PostMessageTransport, InMemoryTransport)
+     * @returns {Promise<void>}
+     */
+    async connect(transport) {
+        if (this.transport) {
+            throw new Error('Server is already connected to a transport');
+        }
+
+        this.transport = transport;
+        transport.onmessage = (message) => {
+            this.handleMessage(message).catch(error => {
+                console.error('Error handling MCP message:', error);
+            });
+        };
+        transport.onclose = () => {
+            this.transport = null;
+            this.initialized = false;
+        };
+
+        await transport.start();
+    }
+
+    /**
+     * Close the transport
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (this.transport) {
+            await this.transport.close();
+        }
+    }
+
+    /**
+     * Handle an incoming JSON-RPC message (or batch) and send the response(s)
+     * @param {Object|Array<Object>} message - JSON-RPC request, notification or batch
+     * @returns {Promise<void>}
+     */
+    async handleMessage(message) {
+        if (Array.isArray(message)) {
+            // An empty batch is answered with a single error, not an empty array
+            if (message.length === 0) {
+                if (this.transport) {
+                    await this.transport.send(this.createErrorResponse(null, ErrorCode.INVALID_REQUEST, 'Invalid JSON-RPC 2.0 request: empty batch'));
+                }
+                return;
+            }
+            const responses = (await Promise.all(message.map(item => this.processMessage(item))))
+                .filter(Boolean);
+            if (responses.length > 0 && this.transport) {
+                await this.transport.send(responses);
+            }
+            return;
+        }
+
+        const response = await this.processMessage(message);
+        if (response && this.transport) {
+            await this.transport.send(response);
+        }
+    }
+
+    /**
+     * Process a single JSON-RPC message
+     * @param {Object} message - JSON-RPC request or notification
+     * @returns {Promise<Object|null>} Response, or null for notifications and responses
+     */
+    async processMessage(message) {
+        if (!message || message.jsonrpc !== JSONRPC_VERSION || typeof message.method !== 'string') {
+            // Responses to requests we never send are ignored
+            if (message && message.jsonrpc === JSONRPC_VERSION && ('result' in message || 'error' in message)) {
+                return null;
+            }
+            return this.createErrorResponse(
+                message && message.id !== undefined ? message.id : null,
+                ErrorCode.INVALID_REQUEST,
+                'Invalid JSON-RPC 2.0 request'
+            );
+        }
+
+        const isNotification = message.id === undefined;
+
+        try {
+            const result = await this.dispatch(message.method, message.params || {}, isNotification);
+            if (isNotification) {
+                return null;
+            }
+            return {
+                jsonrpc: JSONRPC_VERSION,
+                id: message.id,
+                result
+            };
+        } catch (error) {
+            if (isNotification) {
+                console.error(`Error handling MCP notification ${message.method}:`, error);
+                return null;
+            }
+            return this.createErrorResponse(
+                message.id,
+                error instanceof JsonRpcError ? error.code : ErrorCode.INTERNAL_ERROR,
+                error.message
+            );
+        }
+    }
+
+    /**
+     * Route a method to its handler
+     * @param {string} method - JSON-RPC method
+     * @param {Object} params - Method parameters
+     * @param {boolean} isNotification - Whether the message expects no response
+     * @returns {Promise<Object|undefined>} Method result
+     */
+    async dispatch(method, params, isNotification) {
+        switch (method) {
+            case 'initialize':
+                return this.handleInitialize(params);
+            case 'notifications/initialized':
+                this.initialized = true;
+                return undefined;
+            case 'notifications/cancelled':
+                // Tool calls complete synchronously on the map, nothing to cancel
+                return undefined;
+            case 'ping':
+                return {};
+            case 'tools/list':
+                return this.handleToolsList();
+            case 'tools/call':
+                // Tools change the map, so they wait for the initialization handshake
+                if (!this.initialized) {
+                    throw new JsonRpcError(ErrorCode.INVALID_REQUEST, 'Server not initialized: send initialize and notifications/initialized before tools/call');
+                }
+                return this.handleToolsCall(params);
+            default:
+                if (isNotification) {
+                    return undefined;
+                }
+                throw new JsonRpcError(ErrorCode.METHOD_NOT_FOUND, `Method not found: ${method}`);
+        }
+    }
+
+    /**
+     * Handle the initialize request
+     * @param {Object} params - Initialize parameters
+     * @returns {Object} Initialize result
+     */
+    handleInitialize(params) {
+        const { protocolVersion, clientInfo } = params;
+        this.clientInfo = clientInfo || null;
+
+        const result = {
+            protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)
+                ? protocolVersion
+                : SUPPORTED_PROTOCOL_VERSIONS[0],
+            capabilities: {
+                tools: { listChanged: false }
+            },
+            serverInfo: {
+                name: this.options.name,
+                version: this.options.version
+            }
+        };
+
+        if (this.options.instructions) {
+            result.instructions = this.options.instructions;
+        }
+
+        return result;
+    }
+
+    /**
+     * Handle tools/list, converting tool definitions to MCP's inputSchema naming
+     * @returns {Object} tools/list result
+     */
+    handleToolsList() {
+        return {
+            tools: this.mapTools.getToolsForLLM({ format: 'mcp' })
+        };
+    }
+
+    /**
+     * Handle tools/call. Tool failures are reported as isError results so the
+     * model can see them; only unknown tools are protocol errors.
+     * @param {Object} params - Call parameters
+     * @param {string} params.name - Tool name
+     * @param {Object} [params.arguments] - Tool arguments
+     * @returns {Promise<Object>} CallToolResult
+     */
+    async handleToolsCall(params) {
+        const { name, arguments: args = {} } = params;
+
+        if (typeof name !== 'string') {
+            throw new JsonRpcError(ErrorCode.INVALID_PARAMS, 'tools/call requires a tool name');
+        }
+        if (!this.mapTools.getToolsForLLM().some(tool => tool.name === name)) {
+            throw new JsonRpcError(ErrorCode.INVALID_PARAMS, `Unknown tool: ${name}`);
+        }
+
+        // Layer ids, query results etc. travel as structuredContent
+        const result = await this.mapTools.executeTool(name, args);
+        return formatToolResult({ name }, result, 'mcp');
+    }
+
+    /**
+     * Build a JSON-RPC error response
+     * @param {string|number|null} id - Request id
+     * @param {number} code - JSON-RPC error code
+     * @param {string} message - Error message
+     * @returns {Object} Error response
+     */
+    createErrorResponse(id, code, message) {
+        return {
+            jsonrpc: JSONRPC_VERSION,
+            id,
+            error: { code, message }
+        };
+    }
+}
+
+/**
+ * Transport over the postMessage API. Works with a Worker, a MessagePort,
+ * or another window (iframe parent/child).
+ */
+export class PostMessageTransport {
+    /**
+     * @param {Object} target - Object messages are posted to (Worker, MessagePort, Window)
+     * @param {Object} [options]
+     * @param {Object} [options.source=target] - Object to listen on for incoming messages.
+     *   For window-to-window messaging this is the local window.
+     * @param {string} [options.targetOrigin] - Origin passed to Window.postMessage and
+     *   required on incoming window messages. Required when target is a Window; '*' is
+     *   not accepted, since any page could then read and send tool calls.
+     */
+    constructor(target, options = {}) {
+        if (!target || typeof target.postMessage !== 'function') {
+            throw new Error('PostMessageTransport requires a target with postMessage()');
+        }
+
+        // A WindowProxy refers to itself as .window, even across origins
+        this.isWindow = target.window === target;
+        if (this.isWindow && (!options.targetOrigin || options.targetOrigin === '*')) {
+            throw new Error('PostMessageTransport requires a specific targetOrigin (not "*") when the target is a Window');
+        }
+
+        this.target = target;
+        this.source = options.source || target;
+        this.targetOrigin = options.targetOrigin;
+
+        this.onmessage = null;
+        this.onclose = null;
+        this.onerror = null;
+
+        this.handleEvent = this.handleEvent.bind(this);
+    }
+
+    /**
+     * Start listening for messages
+     * @returns {Promise<void>}
+     */
+    async start() {
+        this.source.addEventListener('message', this.handleEvent);
+        // MessagePorts only deliver messages after start() when using addEventListener
+        if (typeof this.source.start === 'function') {
+            this.source.start();
+        }
+    }
+
+    /**
+     * Post a JSON-RPC message to the target
+     * @param {Object|Array<Object>} message - JSON-RPC message
+     * @returns {Promise<void>}
+     */
+    async send(message) {
+        if (this.targetOrigin) {
+            this.target.postMessage(message, this.targetOrigin);
+        } else {
+            this.target.postMessage(message);
+        }
+    }
+
+    /**
+     * Stop listening and notify the owner
+     * @returns {Promise<void>}
+     */
+    async close() {
+        this.source.removeEventListener('message', this.handleEvent);
+        if (this.onclose) {
+            this.onclose();
+        }
+    }
+
+    /**
+     * Forward incoming message events. Any frame can post to a window, so window messages
+     * are only accepted from the target window at the target origin.
+     * @param {MessageEvent} event - Message event
+     */
+    handleEvent(event) {
+        if (this.isWindow && (event.source !== this.target || event.origin !== this.targetOrigin)) {
+            return;
+        }
+        if (this.onmessage) {
+            this.onmessage(event.data);
+        }
+    }
+}
+
+/**
+ * Transport that delivers messages to a linked peer in the same JavaScript context.
+ * Useful for running an MCP client and the server on the same page, and for tests.
+ */
+export class InMemoryTransport {
+    constructor() {
+        this.peer = null;
+        this.started = false;
+        this.queue = [];
+
+        this.onmessage = null;
+        this.onclose = null;
+        this.onerror = null;
+    }
+
+    /**
+     * Create two transports linked to each other
+     * @returns {[InMemoryTransport, InMemoryTransport]} Client and server transports
+     */
+    static createLinkedPair() {
+        const first = new InMemoryTransport();
+        const second = new InMemoryTransport();
+        first.peer = second;
+        second.peer = first;
+        return [first, second];
+    }
+
+    /**
+     * Start delivering messages, including those received before start
+     * @returns {Promise<void>}
+     */
+    async start() {
+        this.started = true;
+        const queued = this.queue;
+        this.queue = [];
+        queued.forEach(message => this.deliver(message));
+    }
+
+    /**
+     * Send a message to the linked peer
+     * @param {Object|Array<Object>} message - JSON-RPC message
+     * @returns {Promise<void>}
+     */
+    async send(message) {
+        if (!this.peer) {
+            throw new Error('Transport is not connected');
+        }
+        this.peer.receive(message);
+    }
+
+    /**
+     * Disconnect both ends of the pair
+     * @returns {Promise<void>}
+     */
+    async close() {
+        const peer = this.peer;
+        this.peer = null;
+        if (peer) {
+            peer.peer = null;
+            await peer.close();
+        }
+        if (this.onclose) {
+            this.onclose();
+        }
+    }
+
+    /**
+     * Receive a message from the peer, queueing it until the transport is started
+     * @param {Object|Array<Object>} message - JSON-RPC message
+     */
+    receive(message) {
+        if (!this.started) {
+            this.queue.push(message);
+            return;
+        }
+        this.deliver(message);
+    }
+
+    /**
+     * Hand a message to onmessage asynchronously, like a real transport would
+     * @param {Object|Array<Object>} message - JSON-RPC message
+     */
+    deliver(message) {
+        // Copy so neither side can mutate the other's objects
+        const copy = JSON.parse(JSON.stringify(message));
+        Promise.resolve().then(() => {
+            if (this.onmessage) {
+                this.onmessage(copy);
+            }
+        });
+    }
+}
@@ -0,0 +1,315 @@
+/**
+ * Polygon overlay
+ *
+ * Union and intersection of two sets of polygons, planar in longitude/latitude as
+ * Mapbox GL draws them. All edges are split where they cross or touch; a piece of an
+ * edge belongs to the result's outline when the result covers one side of it but not
+ * the other. The outline pieces are then chained into rings. Shared borders, such as
+ * those of adjacent regions, become a single piece.
+ */
+
+import { assemblePolygons } from './geojson.js';
+
+// Positions closer than this, in degrees (about 1 cm), are the same vertex
+const PRECISION = 1e-7;
+
+const OPERATIONS = {
+    union: (a, b) => a || b,
+    intersection: (a, b) => a && b
+};
+
+// Distance from an edge at which its sides are tested, in degrees
+const SIDE_OFFSET = PRECISION / 10;
+
+// Average number of edges per band of the inside test index
+const EDGES_PER_BAND = 8;
+
+const keyOf = ([x, y]) => `${Math.round(x / PRECISION)},${Math.round(y / PRECISION)}`;
+
+/**
+ * Close the rings of a polygon
+ * @param {Array<Array<Array<number>>>} rings - Polygon coordinates
+ * @returns {Array<Array<Array<number>>>} Closed rings
+ */
+function closeRings(rings) {
+    return rings
+        .filter(ring => ring.length >= 3)
+        .map(ring => {
+            const [first, last] = [ring[0], ring[ring.length - 1]];
+            return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+        });
+}
+
+/**
+ * Index the edges of a polygon in horizontal bands for fast inside tests
+ * @param {Array<Array<Array<number>>>} rings - Closed rings
+ * @returns {Function} Returns true for positions inside the polygon (even-odd rule)
+ */
+function indexPolygon(rings) {
+    const edges = rings.flatMap(ring => ring.slice(1).map((position, i) => [ring[i], position]));
+    const ys = rings.flatMap(ring => ring.map(position => position[1]));
+    const xs = rings.flatMap(ring => ring.map(position => position[0]));
+    const [minX, maxX] = [Math.min(...xs), Math.max(...xs)];
+    const [minY, maxY] = [Math.min(...ys), Math.max(...ys)];
+
+    const bandCount = Math.max(1, Math.ceil(edges.length / EDGES_PER_BAND));
+    const bandHeight = (maxY - minY) / bandCount || 1;
+    const bandOf = y => Math.min(bandCount - 1, Math.max(0, Math.floor((y - minY) / bandHeight)));
+    const bands = Array.from({ length: bandCount }, () => []);
+    edges.forEach(edge => {
+        const [first, last] = [bandOf(edge[0][1]), bandOf(edge[1][1])].sort((a, b) => a - b);
+        for (let band = first; band <= last; band++) {
+            bands[band].push(edge);
+        }
+    });
+
+    return ([x, y]) => {
+        if (x < minX || x > maxX || y < minY || y > maxY) {
+            return false;
+        }
+        let inside = false;
+        bands[bandOf(y)].forEach(([[x1, y1], [x2, y2]]) => {
+            if ((y1 > y) !== (y2 > y) && x < x1 + (y - y1) * (x2 - x1) / (y2 - y1)) {
+                inside = !inside;
+            }
+        });
+        return inside;
+    };
+}
+
+/**
+ * Find where two edges cross or touch
+ * @param {Object} p - Edge
+ * @param {Object} q - Edge
+ * @returns {Array<Array<number>>} Positions shared by both edges
+ */
+function edgeIntersections(p, q) {
+    const r = [p.to[0] - p.from[0], p.to[1] - p.from[1]];
+    const s = [q.to[0] - q.from[0], q.to[1] - q.from[1]];
+    const qp = [q.from[0] - p.from[0], q.from[1] - p.from[1]];
+    const denominator = r[0] * s[1] - r[1] * s[0];
+    const lengthR = Math.hypot(r[0], r[1]);
+    const lengthS = Math.hypot(s[0], s[1]);
+
+    if (Math.abs(denominator) <= 1e-12 * lengthR * lengthS) {
+        // Parallel: only collinear edges share positions, the endpoints lying on the other edge
+        if (Math.abs(qp[0] * r[1] - qp[1] * r[0]) > PRECISION * lengthR) {
+            return [];
+        }
+        const onEdge = (position, edge, length) => {
+            const t = ((position[0] - edge.from[0]) * (edge.to[0] - edge.from[0]) +
+                (position[1] - edge.from[1]) * (edge.to[1] - edge.from[1])) / (length * length);
+            return t > 0 && t < 1;
+        };
+        return [
+            ...[q.from, q.to].filter(position => onEdge(position, p, lengthR)),
+            ...[p.from, p.to].filter(position => onEdge(position, q, lengthS))
+        ];
+    }
+
+    const t = (qp[0] * s[1] - qp[1] * s[0]) / denominator;
+    const u = (qp[0] * r[1] - qp[1] * r[0]) / denominator;
+    const toleranceT = PRECISION / lengthR;
+    const toleranceU = PRECISION / lengthS;
+    if (t < -toleranceT || t > 1 + toleranceT || u < -toleranceU || u > 1 + toleranceU) {
+        return [];
+    }
+    return [[p.from[0] + t * r[0], p.from[1] + t * r[1]]];
+}
+
+/**
+ * Split all edges at the positions where they meet other edges
+ * @param {Array<Object>} edges - Edges ({from, to, splits})
+ * @param {Function} vertex - Returns the shared position for a position
+ */
+function splitEdges(edges, vertex) {
+    const sorted = [...edges].sort((a, b) => a.minX - b.minX);
+    for (let i = 0; i < sorted.length; i++) {
+        const p = sorted[i];
+        for (let j = i + 1; j < sorted.length && sorted[j].minX <= p.maxX + PRECISION; j++) {
+            const q = sorted[j];
+            if (q.minY > p.maxY + PRECISION || q.maxY < p.minY - PRECISION) {
+                continue;
+            }
+            edgeIntersections(p, q).forEach(position => {
+                const shared = vertex(position);
+                p.splits.push(shared);
+                q.splits.push(shared);
+            });
+        }
+    }
+}
+
+/**
+ * Chain directed outline pieces into closed rings, taking the leftmost turn where
+ * several pieces leave a vertex so that rings touching at a vertex stay separate
+ * @param {Array<Object>} pieces - Directed pieces ({from, to, fromKey, toKey})
+ * @returns {Array<Array<Array<number>>>} Closed rings
+ */
+function chainRings(pieces) {
+    const outgoing = new Map();
+    pieces.forEach(piece => {
+        if (!outgoing.has(piece.fromKey)) {
+            outgoing.set(piece.fromKey, []);
+        }
+        outgoing.get(piece.fromKey).push(piece);
+    });
+
+    const turn = (incoming, piece) => {
+        const a = [incoming.to[0] - incoming.from[0], incoming.to[1] - incoming.from[1]];
+        const b = [piece.to[0] - piece.from[0], piece.to[1] - piece.from[1]];
+        return Math.atan2(a[0] * b[1] - a[1] * b[0], a[0] * b[0] + a[1] * b[1]);
+    };
+
+    const rings = [];
+    pieces.forEach(start => {
+        if (start.used) {
+            return;
+        }
+        start.used = true;
+        const ring = [start.from];
+        let current = start;
+        while (current.toKey !== start.fromKey) {
+            ring.push(current.to);
+            const candidates = (outgoing.get(current.toKey) || []).filter(piece => !piece.used);
+            if (candidates.length === 0) {
+                return;
+            }
+            const incoming = current;
+            current = candidates.reduce((best, piece) => turn(incoming, piece) > turn(incoming, best) ? piece : best);
+            current.used = true;
+        }
+        ring.push(current.to);
+
+        // Drop vertices where the outline runs straight on, left by splits
+        const simplified = ring.filter((position, i) => {
+            if (i === 0 || i === ring.length - 1) {
+                return true;
+            }
+            const [previous, next] = [ring[i - 1], ring[i + 1]];
+            const cross = (position[0] - previous[0]) * (next[1] - position[1]) -
+                (position[1] - previous[1]) * (next[0] - position[0]);
+            const dot = (position[0] - previous[0]) * (next[0] - position[0]) +
+                (position[1] - previous[1]) * (next[1] - position[1]);
+            return Math.abs(cross) > PRECISION * PRECISION || dot <= 0;
+        });
+        if (simplified.length >= 4) {
+            rings.push(simplified);
+        }
+    });
+
+    return rings;
+}
+
+/**
+ * Union or intersection of two sets of polygons. Polygons within a set may overlap.
+ * @param {Array<Array<Array<Array<number>>>>} polygonsA - Polygon coordinates of the first set
+ * @param {Array<Array<Array<Array<number>>>>} polygonsB - Polygon coordinates of the second set
+ * @param {string} operation - 'union' or 'intersection'
+ * @returns {Object|null} GeoJSON Polygon or MultiPolygon, or null if the result is empty
+ */
+export function overlayPolygons(polygonsA, polygonsB, operation) {
+    const combine = OPERATIONS[operation];
+    if (!combine) {
+        throw new Error(`Unknown overlay operation "${operation}". Use one of: ${Object.keys(OPERATIONS).join(', ')}`);
+    }
+
+    const polygons = [
+        ...polygonsA.map(rings => ({ group: 0, rings: closeRings(rings) })),
+        ...polygonsB.map(rings => ({ group: 1, rings: closeRings(rings) }))
+    ].filter(polygon => polygon.rings.length > 0);
+    polygons.forEach(polygon => {
+        polygon.contains = indexPolygon(polygon.rings);
+    });
+
+    // One position per vertex, so that pieces of different edges meet exactly
+    const vertices = new Map();
+    const vertex = position => {
+        const key = keyOf(position);
+        if (!vertices.has(key)) {
+            vertices.set(key, position);
+        }
+        return vertices.get(key);
+    };
+
+    const edges = [];
+    polygons.forEach((polygon, polygonIndex) => {
+        polygon.rings.forEach(ring => {
+            for (let i = 1; i < ring.length; i++) {
+                const [from, to] = [vertex(ring[i - 1]), vertex(ring[i])];
+                if (from === to) {
+                    continue;
+                }
+                edges.push({
+                    polygonIndex,
+                    from,
+                    to,
+                    splits: [],
+                    minX: Math.min(from[0], to[0]),
+                    maxX: Math.max(from[0], to[0]),
+                    minY: Math.min(from[1], to[1]),
+                    maxY: Math.max(from[1], to[1])
+                });
+            }
+        });
+    });
+
+    splitEdges(edges, vertex);
+
+    // Pieces of edges, merged when several edges run along the same stretch
+    const pieces = new Map();
+    edges.forEach(edge => {
+        const direction = [edge.to[0] - edge.from[0], edge.to[1] - edge.from[1]];
+        const along = position => (position[0] - edge.from[0]) * direction[0] + (position[1] - edge.from[1]) * direction[1];
+        const stops = [edge.from, ...edge.splits.sort((a, b) => along(a) - along(b)), edge.to];
+
+        for (let i = 1; i < stops.length; i++) {
+            const [from, to] = [stops[i - 1], stops[i]];
+            const [fromKey, toKey] = [keyOf(from), keyOf(to)];
+            if (fromKey === toKey) {
+                continue;
+            }
+            const forward = fromKey < toKey;
+            const key = forward ? `${fromKey}|${toKey}` : `${toKey}|${fromKey}`;
+            if (!pieces.has(key)) {
+                pieces.set(key, forward ? { from, to, fromKey, toKey } : { from: to, to: from, fromKey: toKey, toKey: fromKey });
+            }
+        }
+    });
+
+    // Which sets cover a position, by the even-odd rule, so that self-intersecting
+    // input polygons are handled as Mapbox GL fills them
+    const covered = position => {
+        const sets = [false, false];
+        polygons.forEach(polygon => {
+            sets[polygon.group] = sets[polygon.group] || polygon.contains(position);
+        });
+        return sets;
+    };
+
+    const outline = [];
+    pieces.forEach(piece => {
+        // Look just beside the middle of the piece, on either side
+        const dx = piece.to[0] - piece.from[0];
+        const dy = piece.to[1] - piece.from[1];
+        const scale = SIDE_OFFSET / Math.hypot(dx, dy);
+        const middle = [(piece.from[0] + piece.to[0]) / 2, (piece.from[1] + piece.to[1]) / 2];
+        const left = covered([middle[0] - dy * scale, middle[1] + dx * scale]);
+        const right = covered([middle[0] + dy * scale, middle[1] - dx * scale]);
+
+        const insideLeft = combine(left[0], left[1]);
+        const insideRight = combine(right[0], right[1]);
+        if (insideLeft === insideRight) {
+            return;
+        }
+        // Keep the result's interior on the left
+        outline.push(insideLeft ? piece : {
+            from: piece.to,
+            to: piece.from,
+            fromKey: piece.toKey,
+            toKey: piece.fromKey
+        });
+    });
+
+    return assemblePolygons(chainRings(outline));
+}
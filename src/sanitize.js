@@ -0,0 +1,108 @@
+/**
+ * HTML escaping and sanitizing for popup content
+ *
+ * Popup titles and descriptions usually come from LLM output, which may be
+ * influenced by retrieved web content, so they must never be inserted as raw HTML.
+ */
+
+// Markup kept by sanitizeHtml: links, emphasis, paragraphs, line breaks and lists
+const ALLOWED_TAGS = ['a', 'b', 'strong', 'i', 'em', 'u', 'p', 'br', 'ul', 'ol', 'li'];
+
+// Elements removed together with their content
+const DROPPED_TAGS = [
+    'script', 'style', 'iframe', 'frame', 'object', 'embed', 'template',
+    'noscript', 'svg', 'math', 'textarea', 'select', 'button', 'form', 'title', 'head'
+];
+
+const SAFE_URL_PATTERN = /^(https?:|mailto:)/i;
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * Escape a value so it renders as text when inserted into HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Serialize the children of a DOM node, keeping only allowed markup
+ * @param {Node} node - Parent node
+ * @returns {string} Sanitized HTML
+ */
+function sanitizeChildren(node) {
+    return Array.from(node.childNodes).map(sanitizeNode).join('');
+}
+
+/**
+ * Serialize a DOM node, keeping only allowed tags and safe link targets.
+ * All attributes except a link's href are dropped.
+ * @param {Node} node - Node to serialize
+ * @returns {string} Sanitized HTML
+ */
+function sanitizeNode(node) {
+    // Text node
+    if (node.nodeType === 3) {
+        return escapeHtml(node.textContent);
+    }
+    // Anything but elements (comments, processing instructions) is dropped
+    if (node.nodeType !== 1) {
+        return '';
+    }
+
+    const tag = node.tagName.toLowerCase();
+    if (DROPPED_TAGS.includes(tag)) {
+        return '';
+    }
+
+    const children = sanitizeChildren(node);
+    if (!ALLOWED_TAGS.includes(tag)) {
+        return children;
+    }
+
+    if (tag === 'br') {
+        return '<br>';
+    }
+
+    if (tag === 'a') {
+        const href = (node.getAttribute('href') || '').trim();
+        if (!SAFE_URL_PATTERN.test(href)) {
+            return children;
+        }
+        return `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${children}</a>`;
+    }
+
+    return `<${tag}>${children}</${tag}>`;
+}
+
+/**
+ * Reduce HTML to a safe subset: links (http, https and mailto only), bold, italic,
+ * underline, paragraphs, line breaks and lists. Other elements are unwrapped to
+ * their text, scripts and embedded content are removed.
+ * Falls back to escaping when no DOMParser is available.
+ * @param {*} html - Untrusted HTML
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeHtml(html) {
+    if (html === undefined || html === null) {
+        return '';
+    }
+    if (typeof DOMParser === 'undefined') {
+        return escapeHtml(html);
+    }
+
+    // DOMParser documents are inert: scripts do not run and resources do not load
+    const doc = new DOMParser().parseFromString(String(html), 'text/html');
+    return sanitizeChildren(doc.body);
+}
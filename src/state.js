@@ -0,0 +1,55 @@
+/**
+ * Session snapshots
+ *
+ * Versioning and migration of the JSON produced by MapboxMapTools.exportState().
+ * When the snapshot format changes, bump STATE_VERSION and add a migration from
+ * the previous version to STATE_MIGRATIONS.
+ */
+
+export const STATE_VERSION = 1;
+
+// Built-in migrations keyed by the version they upgrade from.
+// Each takes a snapshot of that version and returns one of the next version.
+const STATE_MIGRATIONS = {};
+
+/**
+ * Upgrade a snapshot to the current STATE_VERSION
+ * @param {Object} snapshot - Snapshot from exportState()
+ * @param {Object<number, Function>} [customMigrations={}] - Additional migrations keyed by
+ *   the version they upgrade from; they take precedence over the built-in ones
+ * @returns {Object} Snapshot in the current format
+ */
+export function migrateState(snapshot, customMigrations = {}) {
+    if (!snapshot || typeof snapshot !== 'object') {
+        throw new Error('Snapshot must be an object');
+    }
+
+    const migrations = { ...STATE_MIGRATIONS, ...customMigrations };
+    let migrated = snapshot;
+    let version = migrated.version === undefined ? 0 : migrated.version;
+
+    if (typeof version !== 'number') {
+        throw new Error(`Invalid snapshot version: ${JSON.stringify(version)}`);
+    }
+    if (version > STATE_VERSION) {
+        throw new Error(`Snapshot version ${version} is newer than the supported version ${STATE_VERSION}`);
+    }
+
+    while (version < STATE_VERSION) {
+        const migration = migrations[version];
+        if (!migration) {
+            throw new Error(`No migration available for snapshot version ${version}`);
+        }
+        migrated = migration(migrated);
+        if (!migrated || migrated.version !== version + 1) {
+            throw new Error(`Migration from snapshot version ${version} must return a version ${version + 1} snapshot`);
+        }
+        version = migrated.version;
+    }
+
+    if (!Array.isArray(migrated.entries)) {
+        throw new Error('Snapshot has no entries array');
+    }
+
+    return migrated;
+}
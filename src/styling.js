@@ -0,0 +1,258 @@
+/**
+ * Data-driven styling
+ *
+ * Classifies a feature property (quantile, equal-interval or categorical) and
+ * compiles the classes into Mapbox GL expressions for color and size.
+ */
+
+export const CLASSIFICATION_METHODS = ['quantile', 'equal-interval', 'categorical'];
+
+// Sequential and diverging palettes (ColorBrewer, viridis) from low to high values,
+// and a qualitative palette for categories. The near-white ends of the ColorBrewer
+// sequential palettes are left out so the lowest class stays visible on light basemaps.
+export const PALETTES = {
+    blues: ['#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#08519c', '#08306b'],
+    greens: ['#c7e9c0', '#a1d99b', '#74c476', '#41ab5d', '#238b45', '#006d2c', '#00441b'],
+    reds: ['#fcbba1', '#fc9272', '#fb6a4a', '#ef3b2c', '#cb181d', '#a50f15', '#67000d'],
+    oranges: ['#fdd0a2', '#fdae6b', '#fd8d3c', '#f16913', '#d94801', '#a63603', '#7f2704'],
+    purples: ['#dadaeb', '#bcbddc', '#9e9ac8', '#807dba', '#6a51a3', '#54278f', '#3f007d'],
+    greys: ['#d9d9d9', '#bdbdbd', '#969696', '#737373', '#525252', '#252525', '#000000'],
+    ylorrd: ['#fed976', '#feb24c', '#fd8d3c', '#fc4e2a', '#e31a1c', '#bd0026', '#800026'],
+    ylgnbu: ['#c7e9b4', '#7fcdbb', '#41b6c4', '#1d91c0', '#225ea8', '#253494', '#081d58'],
+    viridis: ['#440154', '#472d7b', '#3b528b', '#2c728e', '#21918c', '#28ae80', '#5ec962', '#addc30', '#fde725'],
+    rdylgn: ['#d73027', '#f46d43', '#fdae61', '#fee08b', '#ffffbf', '#d9ef8b', '#a6d96a', '#66bd63', '#1a9850'],
+    category: ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf']
+};
+
+// Color of features without a value for the styled property
+export const MISSING_VALUE_COLOR = '#cccccc';
+
+/**
+ * Pick evenly spaced colors from a palette
+ * @param {Array<string>} palette - Palette colors
+ * @param {number} count - Number of colors
+ * @returns {Array<string>} Colors
+ */
+function sampleColors(palette, count) {
+    if (count === 1) {
+        return [palette[Math.floor(palette.length / 2)]];
+    }
+    return Array.from({ length: count }, (_, i) => palette[Math.round(i * (palette.length - 1) / (count - 1))]);
+}
+
+/**
+ * Linearly spaced sizes between a minimum and maximum
+ * @param {Array<number>} sizeRange - [min, max]
+ * @param {number} count - Number of sizes
+ * @returns {Array<number>} Sizes
+ */
+function interpolateSizes([min, max], count) {
+    if (count === 1) {
+        return [(min + max) / 2];
+    }
+    return Array.from({ length: count }, (_, i) => Math.round((min + i * (max - min) / (count - 1)) * 100) / 100);
+}
+
+/**
+ * Compute ascending class breaks for numeric values. Duplicate breaks are dropped,
+ * so skewed data can produce fewer classes than requested.
+ * @param {Array<number>} values - Sorted values
+ * @param {string} method - 'quantile' or 'equal-interval'
+ * @param {number} classCount - Requested number of classes
+ * @returns {Array<number>} Inner breaks (one fewer than the number of classes)
+ */
+function computeBreaks(values, method, classCount) {
+    const min = values[0];
+    const max = values[values.length - 1];
+    const breaks = [];
+
+    for (let i = 1; i < classCount; i++) {
+        // Equal-interval breaks are rounded to 4 significant digits to keep legends readable
+        const value = method === 'quantile'
+            ? values[Math.floor(i * values.length / classCount)]
+            : Number((min + i * (max - min) / classCount).toPrecision(4));
+        if (value > min && value <= max && (breaks.length === 0 || value > breaks[breaks.length - 1])) {
+            breaks.push(value);
+        }
+    }
+
+    return breaks;
+}
+
+/**
+ * Resolve the colors of a style spec: explicit colors win over the palette
+ * @param {Object} spec - Style spec
+ * @param {number} count - Number of colors needed
+ * @param {string} defaultPalette - Palette used when the spec names none
+ * @returns {Array<string>} Colors
+ */
+function resolveColors(spec, count, defaultPalette) {
+    if (spec.colors && spec.colors.length > 0) {
+        return sampleColors(spec.colors, count);
+    }
+    const paletteName = spec.palette || defaultPalette;
+    const palette = PALETTES[paletteName];
+    if (!palette) {
+        throw new Error(`Unknown palette "${paletteName}". Available palettes: ${Object.keys(PALETTES).join(', ')}`);
+    }
+    return sampleColors(palette, count);
+}
+
+/**
+ * Classify a feature property and compile the classes into Mapbox GL expressions
+ * @param {Array<Object>} features - GeoJSON features
+ * @param {Object} spec - Style spec
+ * @param {string} spec.property - Feature property to style by
+ * @param {string} [spec.method] - 'quantile' (default for numbers), 'equal-interval' or 'categorical'
+ *   (default for text)
+ * @param {number} [spec.classes=5] - Number of classes for numeric methods
+ * @param {string} [spec.palette] - Palette name, see PALETTES
+ * @param {Array<string>} [spec.colors] - Explicit colors, overriding the palette
+ * @param {Array<number>} [spec.sizeRange] - [min, max] size; sizes the features instead of
+ *   coloring them unless a palette or colors are given as well
+ * @returns {{color: (Array|null), size: (Array|null), classification: Object}} Expressions for
+ *   the color and size paint properties (null if not styled) and the computed classes
+ */
+export function compileDataDrivenStyle(features, spec) {
+    const { property, classes: classCount = 5, sizeRange } = spec;
+    const styleColor = !sizeRange || Boolean(spec.palette || (spec.colors && spec.colors.length > 0));
+
+    const values = features
+        .map(feature => feature.properties && feature.properties[property])
+        .filter(value => value !== undefined && value !== null && value !== '');
+
+    if (values.length === 0) {
+        throw new Error(`No feature has a value for the property "${property}"`);
+    }
+
+    const numericValues = values.map(Number).filter(Number.isFinite);
+    const method = spec.method || (numericValues.length === values.length ? 'quantile' : 'categorical');
+
+    if (!CLASSIFICATION_METHODS.includes(method)) {
+        throw new Error(`Unknown classification method "${method}". Use one of: ${CLASSIFICATION_METHODS.join(', ')}`);
+    }
+    if (sizeRange && (sizeRange.length !== 2 || sizeRange[0] > sizeRange[1])) {
+        throw new Error('sizeRange must be [min, max] with min <= max');
+    }
+
+    if (method === 'categorical') {
+        return compileCategorical(values, spec, styleColor);
+    }
+
+    if (numericValues.length !== values.length) {
+        throw new Error(
+            `The property "${property}" has non-numeric values; use the categorical method or a numeric property`
+        );
+    }
+
+    const sorted = numericValues.sort((a, b) => a - b);
+    const breaks = computeBreaks(sorted, method, Math.max(1, Math.floor(classCount)));
+    const count = breaks.length + 1;
+    const colors = styleColor ? resolveColors(spec, count, 'ylorrd') : null;
+    const sizes = sizeRange ? interpolateSizes(sizeRange, count) : null;
+    const bounds = [sorted[0], ...breaks, sorted[sorted.length - 1]];
+
+    const classes = Array.from({ length: count }, (_, i) => {
+        const min = bounds[i];
+        const max = bounds[i + 1];
+        const cls = {
+            min,
+            max,
+            count: sorted.filter(value => value >= min && (i === count - 1 ? value <= max : value < max)).length
+        };
+        if (colors) {
+            cls.color = colors[i];
+        }
+        if (sizes) {
+            cls.size = sizes[i];
+        }
+        return cls;
+    });
+
+    const input = ['to-number', ['get', property]];
+    // A step needs at least one stop, so a single class is a constant
+    const stepExpression = (outputs, fallback) => [
+        'case',
+        ['has', property],
+        breaks.length > 0
+            ? ['step', input, outputs[0], ...breaks.flatMap((value, i) => [value, outputs[i + 1]])]
+            : outputs[0],
+        fallback
+    ];
+
+    return {
+        color: colors ? stepExpression(colors, MISSING_VALUE_COLOR) : null,
+        size: sizes ? stepExpression(sizes, sizes[0]) : null,
+        classification: { property, method, breaks, classes }
+    };
+}
+
+/**
+ * Compile categorical styling: one class per distinct value, in order of frequency.
+ * Values beyond the palette's length share the missing-value color.
+ * @param {Array<*>} values - Property values
+ * @param {Object} spec - Style spec
+ * @param {boolean} styleColor - Whether to produce a color expression
+ * @returns {{color: (Array|null), size: (Array|null), classification: Object}} Compiled style
+ */
+function compileCategorical(values, spec, styleColor) {
+    const { property, sizeRange } = spec;
+
+    const counts = new Map();
+    values.map(String).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    const categories = Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+
+    const paletteName = spec.palette || 'category';
+    const explicitColors = spec.colors && spec.colors.length > 0;
+    if (!explicitColors && !PALETTES[paletteName]) {
+        throw new Error(`Unknown palette "${paletteName}". Available palettes: ${Object.keys(PALETTES).join(', ')}`);
+    }
+    const available = explicitColors ? spec.colors : PALETTES[paletteName];
+    const styled = categories.slice(0, available.length);
+
+    // Explicit and qualitative colors are used one by one; sequential palettes are sampled
+    let categoryColors = null;
+    if (styleColor) {
+        categoryColors = explicitColors || paletteName === 'category'
+            ? available.slice(0, styled.length)
+            : sampleColors(available, styled.length);
+    }
+    const sizes = sizeRange ? interpolateSizes(sizeRange, styled.length) : null;
+
+    const classes = styled.map(([value, count], i) => {
+        const cls = { value, count };
+        if (categoryColors) {
+            cls.color = categoryColors[i];
+        }
+        if (sizes) {
+            cls.size = sizes[i];
+        }
+        return cls;
+    });
+
+    const otherCount = categories.slice(available.length).reduce((sum, [, count]) => sum + count, 0);
+    if (otherCount > 0) {
+        const other = { value: null, count: otherCount };
+        if (categoryColors) {
+            other.color = MISSING_VALUE_COLOR;
+        }
+        if (sizes) {
+            other.size = sizes[0];
+        }
+        classes.push(other);
+    }
+
+    const input = ['to-string', ['get', property]];
+    const matchExpression = (outputs, fallback) => [
+        'match',
+        input,
+        ...styled.flatMap(([value], i) => [value, outputs[i]]),
+        fallback
+    ];
+
+    return {
+        color: categoryColors ? matchExpression(categoryColors, MISSING_VALUE_COLOR) : null,
+        size: sizes ? matchExpression(sizes, sizes[0]) : null,
+        classification: { property, method: 'categorical', breaks: styled.map(([value]) => value), classes }
+    };
+}
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { centroid, convexHull, geometryContains, measureGeometry, polygonArea } from '../src/analysis.js';
+
+const square = (x, y, size) => ({
+    type: 'Polygon',
+    coordinates: [[[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]]]
+});
+
+const assertPosition = (actual, expected) => {
+    assert.ok(actual, `expected ${expected}, got null`);
+    actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-9, `expected ${expected}, got ${actual}`));
+};
+
+test('the centroid of polygons is weighted by area, whichever way the rings wind', () => {
+    const clockwise = { type: 'Polygon', coordinates: [[[2, 0], [2, 2], [4, 2], [4, 0], [2, 0]]] };
+
+    assertPosition(centroid([square(0, 0, 2)]), [1, 1]);
+    assertPosition(centroid([clockwise]), [3, 1]);
+    // A 2 x 2 square and a 1 x 1 square: (4 * 1 + 1 * 10.5) / 5
+    assertPosition(centroid([square(0, 0, 2), square(10, 10, 1)]), [2.9, 2.9]);
+});
+
+test('holes pull the centroid away from them', () => {
+    const holed = {
+        type: 'Polygon',
+        coordinates: [[[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]], [[0, 0], [0, 2], [2, 2], [2, 0], [0, 0]]]
+    };
+
+    // The L of three 2 x 2 squares centered at (3, 1), (1, 3) and (3, 3)
+    assertPosition(centroid([holed]), [7 / 3, 7 / 3]);
+});
+
+test('lines are weighted by length and only count without polygons', () => {
+    const line = { type: 'LineString', coordinates: [[0, 0], [0, 2]] };
+
+    assertPosition(centroid([line]), [0, 1]);
+    assertPosition(centroid([line, square(10, 10, 2)]), [11, 11]);
+});
+
+test('points, and shapes without length or area, give the mean position', () => {
+    assertPosition(centroid([{ type: 'MultiPoint', coordinates: [[0, 0], [2, 0], [4, 6]] }]), [2, 2]);
+    assertPosition(centroid([{ type: 'LineString', coordinates: [[1, 1], [1, 1]] }]), [1, 1]);
+    assert.equal(centroid([]), null);
+    assert.equal(centroid([{ type: 'GeometryCollection', geometries: [] }]), null);
+});
+
+test('the convex hull leaves out interior positions and is counterclockwise', () => {
+    const hull = convexHull([[0, 0], [2, 2], [1, 1], [2, 0], [0, 2], [1, 0.5], [2, 0]]);
+
+    assert.deepEqual(hull, { type: 'Polygon', coordinates: [[[0, 0], [2, 0], [2, 2], [0, 2], [0, 0]]] });
+});
+
+test('the convex hull of positions on one line is null', () => {
+    assert.equal(convexHull([[0, 0], [1, 1], [2, 2], [3, 3]]), null);
+    assert.equal(convexHull([[0, 0], [0, 5], [0, 1]]), null);
+    assert.equal(convexHull([[1, 1], [1, 1], [1, 1]]), null);
+    assert.equal(convexHull([[1, 1]]), null);
+    assert.equal(convexHull([]), null);
+});
+
+test('holes are subtracted from areas and excluded from containment', () => {
+    const outer = [[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]];
+    const hole = [[0.25, 0.25], [0.75, 0.25], [0.75, 0.75], [0.25, 0.75], [0.25, 0.25]];
+    const polygon = { type: 'Polygon', coordinates: [outer, hole] };
+
+    const area = polygonArea([outer, hole]);
+    assert.ok(Math.abs(area / polygonArea([outer]) - 0.75) < 0.001);
+    assert.equal(measureGeometry(polygon).area, area);
+    assert.ok(measureGeometry(polygon).perimeter > measureGeometry({ type: 'Polygon', coordinates: [outer] }).perimeter);
+
+    assert.equal(geometryContains(polygon, [0.1, 0.1]), true);
+    assert.equal(geometryContains(polygon, [0.5, 0.5]), false);
+    assert.equal(geometryContains(polygon, [2, 2]), false);
+});
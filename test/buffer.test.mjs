@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bufferGeometry } from '../src/buffer.js';
+import { EARTH_RADIUS_METERS } from '../src/geodesy.js';
+
+// Spherical polygon area, without holes
+const areaOf = polygon => {
+    const ring = polygon.coordinates[0];
+    let total = 0;
+    for (let i = 1; i < ring.length; i++) {
+        const [lon1, lat1] = ring[i - 1].map(value => value * Math.PI / 180);
+        const [lon2, lat2] = ring[i].map(value => value * Math.PI / 180);
+        total += (lon2 - lon1) * (2 + Math.sin(lat1) + Math.sin(lat2));
+    }
+    return Math.abs(total * EARTH_RADIUS_METERS * EARTH_RADIUS_METERS / 2);
+};
+
+test('a line across the antimeridian buffers like the same line anywhere else', () => {
+    const crossing = bufferGeometry({ type: 'LineString', coordinates: [[179.5, 0], [-179.5, 0]] }, 10000);
+    const elsewhere = bufferGeometry({ type: 'LineString', coordinates: [[0.5, 0], [-0.5, 0]] }, 10000);
+
+    assert.equal(crossing.type, 'Polygon');
+    assert.ok(Math.abs(areaOf(crossing) - areaOf(elsewhere)) / areaOf(elsewhere) < 0.01);
+});
+
+test('a polygon across the antimeridian keeps its interior', () => {
+    const square = (west, east) => ({
+        type: 'Polygon',
+        coordinates: [[[west, -1], [east, -1], [east, 1], [west, 1], [west, -1]]]
+    });
+    const crossing = bufferGeometry(square(179, -179), 10000);
+    const elsewhere = bufferGeometry(square(-1, 1), 10000);
+
+    assert.ok(Math.abs(areaOf(crossing) - areaOf(elsewhere)) / areaOf(elsewhere) < 0.01);
+});
@@ -0,0 +1,229 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { detectFormat, parseCsv, parseData, parseGpx, parseKml, parseWkt } from '../src/formats.js';
+
+// Browsers provide DOMParser; Node gets jsdom's
+before(() => {
+    globalThis.DOMParser = new JSDOM().window.DOMParser;
+});
+after(() => {
+    delete globalThis.DOMParser;
+});
+
+const geometries = ({ geojson }) => geojson.features.map(feature => feature.geometry);
+
+test('formats are detected from the file name, then the content', () => {
+    assert.equal(detectFormat('', 'stops.CSV?download=1'), 'csv');
+    assert.equal(detectFormat('', 'area.json'), 'geojson');
+    assert.equal(detectFormat('  {"type": "Point"}'), 'geojson');
+    assert.equal(detectFormat('\uFEFF<?xml version="1.0"?>\n<gpx version="1.1">'), 'gpx');
+    assert.equal(detectFormat('<kml xmlns="http://www.opengis.net/kml/2.2">'), 'kml');
+    assert.equal(detectFormat('SRID=4326;POINT(1 2)'), 'wkt');
+    assert.equal(detectFormat('name,lat,lon'), 'csv');
+    assert.throws(() => detectFormat('<svg></svg>'), /neither GPX nor KML/);
+    assert.throws(() => detectFormat('', 'places.kmz'), /zip archives/);
+});
+
+test('CSV coordinates come from recognized latitude and longitude columns', () => {
+    const result = parseCsv('Name,Latitude,Longitude,Zip\nBerlin,52.52,13.40,01067\nNowhere,,\nFar,95,0,1\n');
+
+    assert.deepEqual(result.columns, { latitude: 'Latitude', longitude: 'Longitude' });
+    assert.equal(result.skipped, 2);
+    assert.deepEqual(result.geojson.features, [{
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [13.4, 52.52] },
+        properties: { Name: 'Berlin', Zip: '01067' }
+    }]);
+});
+
+test('quoted CSV cells keep delimiters, quotes and line breaks', () => {
+    const result = parseCsv('name,notes,lat,lng\r\n"Smith, J.","Said ""hi""\r\nand left",1.5,2.5\r\n');
+
+    assert.deepEqual(result.geojson.features[0].properties, { name: 'Smith, J.', notes: 'Said "hi"\r\nand left' });
+    assert.deepEqual(result.geojson.features[0].geometry.coordinates, [2.5, 1.5]);
+});
+
+test('semicolon-separated CSV with decimal commas', () => {
+    const result = parseCsv('Ort;Breite;Länge;x;y\n"Köln, Dom";50,9413;6,9583;1;2\n', { latitudeColumn: 'breite', longitudeColumn: 'Länge' });
+
+    assert.deepEqual(result.columns, { latitude: 'Breite', longitude: 'Länge' });
+    assert.deepEqual(geometries(result), [{ type: 'Point', coordinates: [6.9583, 50.9413] }]);
+    assert.deepEqual(result.geojson.features[0].properties, { Ort: 'Köln, Dom', x: 1, y: 2 });
+});
+
+test('CSV geometries can come from a WKT column', () => {
+    const result = parseCsv('id\tshape\n1\tLINESTRING (0 0, 1 1)\n2\tnot wkt\n3\tPOINT EMPTY\n');
+
+    assert.deepEqual(result.columns, { wkt: 'shape' });
+    assert.equal(result.skipped, 2);
+    assert.deepEqual(result.geojson.features, [{
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] },
+        properties: { id: 1 }
+    }]);
+});
+
+test('CSV without coordinate columns is rejected', () => {
+    assert.throws(() => parseCsv('name,city\nA,B\n'), /No coordinate columns found in the CSV columns name, city/);
+    assert.throws(() => parseCsv('name,lat,lon\n', { latitudeColumn: 'y' }), /Column "y" not found/);
+});
+
+test('WKT geometries of every type', () => {
+    assert.deepEqual(parseWkt('POINT (13.4 52.5)'), { type: 'Point', coordinates: [13.4, 52.5] });
+    assert.deepEqual(parseWkt('linestring(0 0,1 1)'), { type: 'LineString', coordinates: [[0, 0], [1, 1]] });
+    assert.equal(parseWkt('POLYGON ((0 0, 1 0, 1 1, 0 0), (0.2 0.1, 0.8 0.1, 0.8 0.7, 0.2 0.1))').coordinates.length, 2);
+    assert.deepEqual(parseWkt('MULTIPOINT ((1 2), (3 4))'), parseWkt('MULTIPOINT (1 2, 3 4)'));
+    assert.deepEqual(parseWkt('MULTILINESTRING ((0 0, 1 1), (2 2, 3 3))').coordinates, [[[0, 0], [1, 1]], [[2, 2], [3, 3]]]);
+    assert.equal(parseWkt('MULTIPOLYGON (((0 0, 1 0, 1 1, 0 0)), ((5 5, 6 5, 6 6, 5 5)))').coordinates.length, 2);
+});
+
+test('WKT with SRID and Z prefixes', () => {
+    assert.deepEqual(parseWkt('SRID=4326;POINT Z (1 2 3)'), { type: 'Point', coordinates: [1, 2, 3] });
+    assert.deepEqual(parseWkt('POINTZ (1 2 3)'), { type: 'Point', coordinates: [1, 2, 3] });
+    assert.deepEqual(parseWkt('POINT M (1 2 9)'), { type: 'Point', coordinates: [1, 2] });
+    assert.deepEqual(parseWkt('LINESTRING ZM (0 0 5 9, 1 1 6 9)').coordinates, [[0, 0, 5], [1, 1, 6]]);
+    assert.throws(() => parseWkt('SRID=3857;POINT (1 2)'), /SRID 3857 is not supported/);
+});
+
+test('empty WKT geometries become null, also inside collections', () => {
+    assert.equal(parseWkt('POINT EMPTY'), null);
+    assert.equal(parseWkt('GEOMETRYCOLLECTION EMPTY'), null);
+    assert.equal(parseWkt('GEOMETRYCOLLECTION (POINT EMPTY)'), null);
+    assert.deepEqual(parseWkt('GEOMETRYCOLLECTION (POINT (1 2), LINESTRING EMPTY, LINESTRING (0 0, 1 1))'), {
+        type: 'GeometryCollection',
+        geometries: [
+            { type: 'Point', coordinates: [1, 2] },
+            { type: 'LineString', coordinates: [[0, 0], [1, 1]] }
+        ]
+    });
+
+    const result = parseData('POINT (1 2); POINT EMPTY\nLINESTRING (0 0, 1 1)', 'wkt');
+    assert.equal(result.skipped, 1);
+    assert.deepEqual(geometries(result).map(geometry => geometry.type), ['Point', 'LineString']);
+});
+
+test('invalid WKT is reported with its position', () => {
+    assert.throws(() => parseWkt('POINT (1 x)'), /Invalid WKT at position 9: expected a number, found "x"/);
+    assert.throws(() => parseWkt('CIRCLE (1 2)'), /expected a geometry type/);
+    assert.throws(() => parseWkt('POINT (1 2'), /expected "\)", found the end/);
+    assert.throws(() => parseWkt('POINT (1 2) POINT (3 4)'), /Expected one WKT geometry, found 2/);
+    assert.throws(() => parseWkt(' '), /no geometry found/);
+});
+
+test('GPX waypoints, routes and tracks become points and lines', () => {
+    const gpx = `<?xml version="1.0"?>
+        <gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+            <wpt lat="52.5" lon="13.4"><ele>34</ele><name>Start</name><desc>Meet here</desc></wpt>
+            <wpt lat="north" lon="13.4"><name>Broken</name></wpt>
+            <rte><name>Route</name><rtept lat="0" lon="0"/><rtept lat="1" lon="1"/></rte>
+            <trk>
+                <name>Ride</name>
+                <trkseg><trkpt lat="0" lon="0"><ele>1</ele></trkpt><trkpt lat="0" lon="1"><ele>2</ele></trkpt></trkseg>
+                <trkseg><trkpt lat="1" lon="0"/><trkpt lat="1" lon="1"/></trkseg>
+                <trkseg><trkpt lat="2" lon="2"/></trkseg>
+            </trk>
+            <trk><trkseg><trkpt lat="3" lon="3"/></trkseg></trk>
+        </gpx>`;
+
+    const result = parseGpx(gpx);
+
+    assert.equal(result.skipped, 2);
+    assert.deepEqual(result.geojson.features, [
+        {
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [13.4, 52.5, 34] },
+            properties: { name: 'Start', description: 'Meet here' }
+        },
+        {
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] },
+            properties: { name: 'Route' }
+        },
+        {
+            type: 'Feature',
+            geometry: { type: 'MultiLineString', coordinates: [[[0, 0, 1], [1, 0, 2]], [[0, 1], [1, 1]]] },
+            properties: { name: 'Ride' }
+        }
+    ]);
+});
+
+test('KML placemarks with their geometries and extended data', () => {
+    const kml = `<?xml version="1.0" encoding="UTF-8"?>
+        <kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+            <Document>
+                <Folder>
+                    <Placemark>
+                        <name>Office</name>
+                        <description>Main entrance</description>
+                        <ExtendedData>
+                            <Data name="floors"><value>4</value></Data>
+                            <SchemaData><SimpleData name="zip">01067</SimpleData></SchemaData>
+                        </ExtendedData>
+                        <Point><coordinates>13.4,52.5,0</coordinates></Point>
+                    </Placemark>
+                </Folder>
+                <Placemark>
+                    <name>Park</name>
+                    <Polygon>
+                        <outerBoundaryIs><LinearRing><coordinates>0,0 4,0 4,4 0,4 0,0</coordinates></LinearRing></outerBoundaryIs>
+                        <innerBoundaryIs><LinearRing><coordinates>1,1 2,1 2,2 1,1</coordinates></LinearRing></innerBoundaryIs>
+                    </Polygon>
+                </Placemark>
+                <Placemark>
+                    <MultiGeometry>
+                        <LineString><coordinates>0,0 1,1</coordinates></LineString>
+                        <LineString><coordinates>2,2 3,3</coordinates></LineString>
+                    </MultiGeometry>
+                </Placemark>
+                <Placemark>
+                    <MultiGeometry>
+                        <Point><coordinates>5,5</coordinates></Point>
+                        <LineString><coordinates>0,0 1,1</coordinates></LineString>
+                    </MultiGeometry>
+                </Placemark>
+                <Placemark>
+                    <gx:Track><gx:coord>0 0 10</gx:coord><gx:coord>1 1 20</gx:coord></gx:Track>
+                </Placemark>
+                <Placemark><name>No geometry</name></Placemark>
+                <Placemark><Point><coordinates>not,numbers</coordinates></Point></Placemark>
+            </Document>
+        </kml>`;
+
+    const result = parseKml(kml);
+
+    assert.equal(result.skipped, 2);
+    assert.deepEqual(result.geojson.features[0], {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [13.4, 52.5, 0] },
+        properties: { name: 'Office', description: 'Main entrance', floors: 4, zip: '01067' }
+    });
+    assert.deepEqual(geometries(result).slice(1), [
+        { type: 'Polygon', coordinates: [[[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]], [[1, 1], [2, 1], [2, 2], [1, 1]]] },
+        { type: 'MultiLineString', coordinates: [[[0, 0], [1, 1]], [[2, 2], [3, 3]]] },
+        {
+            type: 'GeometryCollection',
+            geometries: [{ type: 'Point', coordinates: [5, 5] }, { type: 'LineString', coordinates: [[0, 0], [1, 1]] }]
+        },
+        { type: 'LineString', coordinates: [[0, 0, 10], [1, 1, 20]] }
+    ]);
+});
+
+test('XML formats need a DOMParser and well-formed XML', () => {
+    assert.throws(() => parseKml('<kml><Placemark></kml>'), /Invalid KML: the data is not well-formed XML/);
+
+    const parser = globalThis.DOMParser;
+    delete globalThis.DOMParser;
+    try {
+        assert.throws(() => parseGpx('<gpx></gpx>'), /Importing GPX needs a DOMParser/);
+    } finally {
+        globalThis.DOMParser = parser;
+    }
+});
+
+test('GeoJSON data is checked for a GeoJSON type', () => {
+    assert.deepEqual(parseData('{"type": "Point", "coordinates": [1, 2]}', 'geojson').geojson, { type: 'Point', coordinates: [1, 2] });
+    assert.throws(() => parseData('{"type": "Feature"', 'geojson'), /Invalid GeoJSON/);
+    assert.throws(() => parseData('{"type": "Circle"}', 'geojson'), /expected a type of/);
+    assert.throws(() => parseData('', 'shapefile'), /Unknown format "shapefile"/);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EARTH_RADIUS_METERS, circle } from '../src/geodesy.js';
+
+// Spherical polygon area, without holes
+const areaOf = polygon => {
+    const ring = polygon.coordinates[0];
+    let total = 0;
+    for (let i = 1; i < ring.length; i++) {
+        const [lon1, lat1] = ring[i - 1].map(value => value * Math.PI / 180);
+        const [lon2, lat2] = ring[i].map(value => value * Math.PI / 180);
+        total += (lon2 - lon1) * (2 + Math.sin(lat1) + Math.sin(lat2));
+    }
+    return Math.abs(total * EARTH_RADIUS_METERS * EARTH_RADIUS_METERS / 2);
+};
+
+const expectedArea = radius => Math.PI * radius * radius;
+
+test('a circle around a pole is closed through the pole', () => {
+    for (const center of [[10, 89.9], [10, -89.9], [0, 90], [-170, -89.8]]) {
+        const polygon = circle(center, 50000);
+        const area = areaOf(polygon);
+
+        assert.ok(Math.abs(area - expectedArea(50000)) / expectedArea(50000) < 0.01, `area around ${center}`);
+        assert.ok(polygon.coordinates[0].some(([, lat]) => lat === Math.sign(center[1]) * 90), `pole side of ${center}`);
+    }
+});
+
+test('a circle containing both poles is rejected', () => {
+    assert.throws(() => circle([0, 0], 15000000), /both poles/);
+});
@@ -0,0 +1,97 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { MapboxMapTools } from '../src/map-tools.js';
+import { MockMap, mapboxgl } from './helpers/mock-map.mjs';
+
+before(() => {
+    globalThis.mapboxgl = mapboxgl;
+});
+after(() => {
+    delete globalThis.mapboxgl;
+});
+
+const addWeightedHeatmap = async () => {
+    const map = new MockMap();
+    const tools = new MapboxMapTools(map);
+    const points = [
+        { longitude: 0, latitude: 0, properties: { count: 5 } },
+        { longitude: 1, latitude: 1, properties: { count: 10 } }
+    ];
+    const { layerId: pointsId } = await tools.executeTool('add_points_to_map', { points });
+    const { layerId: heatmapId } = await tools.executeTool('add_heatmap_to_map', { sourceId: pointsId, weightProperty: 'count' });
+    return { map, tools, pointsId, heatmapId };
+};
+
+const weightMax = (map, heatmapId) => map.getLayer(heatmapId).paint['heatmap-weight'].at(-2);
+
+test('a heatmap with sourceId refers to the points source instead of copying it', async () => {
+    const { map, tools, pointsId, heatmapId } = await addWeightedHeatmap();
+
+    assert.equal(map.getLayer(heatmapId).source, pointsId);
+
+    const snapshot = tools.exportState();
+    const heatmap = snapshot.entries.find(entry => entry.id === heatmapId);
+    assert.deepEqual(heatmap.sources, [{ id: pointsId, reference: true }]);
+
+    // After a restore, data updates of the points reach the heatmap's only copy of the source
+    const restoredMap = new MockMap();
+    const restored = new MapboxMapTools(restoredMap);
+    restored.importState(snapshot);
+    await restored.executeTool('update_layer_data', {
+        layerId: pointsId,
+        operation: 'append',
+        points: [{ longitude: 2, latitude: 2, properties: { count: 40 } }]
+    });
+
+    assert.equal(restored.exportState().entries.filter(entry => entry.sources.some(source => source.spec)).length, 1);
+    assert.equal(restoredMap.getSource(pointsId).data.features.length, 3);
+    assert.equal(weightMax(restoredMap, heatmapId), 40);
+});
+
+test('weights are rescaled when the data changes and restored on undo', async () => {
+    const { map, tools, pointsId, heatmapId } = await addWeightedHeatmap();
+    assert.equal(weightMax(map, heatmapId), 10);
+
+    await tools.executeTool('update_layer_data', {
+        layerId: pointsId,
+        operation: 'append',
+        points: [{ longitude: 2, latitude: 2, properties: { count: 40 } }]
+    });
+    assert.equal(weightMax(map, heatmapId), 40);
+
+    await tools.executeTool('undo_last_action', {});
+    assert.equal(weightMax(map, heatmapId), 10);
+
+    // Without any numeric weight left the previous scale is kept
+    await tools.executeTool('update_layer_data', {
+        layerId: pointsId,
+        operation: 'replace',
+        points: [{ longitude: 2, latitude: 2 }]
+    });
+    assert.equal(weightMax(map, heatmapId), 10);
+});
+
+test('clearing the points layer removes its heatmaps, and undo restores both', async () => {
+    const { map, tools, pointsId, heatmapId } = await addWeightedHeatmap();
+    const layers = map.layers.map(layer => layer.id);
+
+    const result = await tools.executeTool('clear_map_layers', { layerNames: [pointsId] });
+
+    assert.deepEqual(result.removedLayerIds, [pointsId, heatmapId]);
+    assert.deepEqual(result.removedSourceIds, [pointsId]);
+    assert.equal(map.getSource(pointsId), undefined);
+
+    await tools.executeTool('undo_last_action', {});
+    assert.deepEqual(map.layers.map(layer => layer.id), layers);
+    assert.deepEqual(tools.getCustomLayerIds(), [pointsId, heatmapId]);
+});
+
+test('clearing only the heatmap keeps the points source', async () => {
+    const { map, tools, pointsId, heatmapId } = await addWeightedHeatmap();
+
+    const result = await tools.executeTool('clear_map_layers', { layerNames: [heatmapId] });
+
+    assert.deepEqual(result.removedLayerIds, [heatmapId]);
+    assert.deepEqual(result.removedSourceIds, []);
+    assert.ok(map.getSource(pointsId));
+});
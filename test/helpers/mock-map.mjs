@@ -0,0 +1,334 @@
+/**
+ * In-memory stand-in for a Mapbox GL map, with the part of its API the tools use.
+ * Sources, layers, images and handlers are plain objects the tests can inspect.
+ */
+
+class MockSource {
+    constructor(spec) {
+        this.type = spec.type;
+        this.spec = spec;
+        this.data = spec.data;
+    }
+
+    setData(data) {
+        this.data = data;
+    }
+
+    getClusterExpansionZoom(clusterId, callback) {
+        callback(null, 10);
+    }
+}
+
+export class MockMap {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.styleName='streets-v12'] - Mapbox style the map starts with
+     */
+    constructor({ styleName = 'streets-v12' } = {}) {
+        this.handlers = [];
+        this.images = {};
+        this.camera = { center: [0, 0], zoom: 2, bearing: 0, pitch: 0 };
+        this.loadStyle(styleName);
+    }
+
+    loadStyle(styleName) {
+        this.styleName = styleName;
+        this.sources = { composite: new MockSource({ type: 'vector' }) };
+        this.layers = [{ id: 'background', type: 'background' }];
+    }
+
+    // Style
+
+    getStyle() {
+        return {
+            sprite: `mapbox://sprites/mapbox/${this.styleName}`,
+            sources: Object.fromEntries(Object.entries(this.sources).map(([id, source]) => [id, source.spec])),
+            layers: this.layers
+        };
+    }
+
+    setStyle(style) {
+        this.loadStyle(String(style).replace('mapbox://styles/mapbox/', ''));
+        setTimeout(() => this.fire('style.load'), 0);
+    }
+
+    isStyleLoaded() {
+        return true;
+    }
+
+    loaded() {
+        return true;
+    }
+
+    // Sources and layers
+
+    addSource(id, spec) {
+        if (this.sources[id]) {
+            throw new Error(`There is already a source with ID "${id}"`);
+        }
+        this.sources[id] = new MockSource(spec);
+    }
+
+    getSource(id) {
+        return this.sources[id];
+    }
+
+    removeSource(id) {
+        if (this.layers.some(layer => layer.source === id)) {
+            throw new Error(`Source "${id}" cannot be removed while layer uses it`);
+        }
+        delete this.sources[id];
+    }
+
+    addLayer(layer, beforeId) {
+        if (this.getLayer(layer.id)) {
+            throw new Error(`Layer with id "${layer.id}" already exists on this map`);
+        }
+        if (typeof layer.source === 'string' && !this.sources[layer.source]) {
+            throw new Error(`Source "${layer.source}" not found`);
+        }
+        const copy = JSON.parse(JSON.stringify(layer));
+        const index = beforeId ? this.layers.findIndex(existing => existing.id === beforeId) : -1;
+        if (index === -1) {
+            this.layers.push(copy);
+        } else {
+            this.layers.splice(index, 0, copy);
+        }
+    }
+
+    getLayer(id) {
+        return this.layers.find(layer => layer.id === id);
+    }
+
+    removeLayer(id) {
+        this.layers = this.layers.filter(layer => layer.id !== id);
+    }
+
+    moveLayer(id, beforeId) {
+        const layer = this.getLayer(id);
+        this.removeLayer(id);
+        const index = beforeId ? this.layers.findIndex(existing => existing.id === beforeId) : -1;
+        if (index === -1) {
+            this.layers.push(layer);
+        } else {
+            this.layers.splice(index, 0, layer);
+        }
+    }
+
+    setPaintProperty(id, name, value) {
+        const layer = this.getLayer(id);
+        layer.paint = { ...layer.paint, [name]: value };
+    }
+
+    getPaintProperty(id, name) {
+        const layer = this.getLayer(id);
+        return layer.paint && layer.paint[name];
+    }
+
+    setLayoutProperty(id, name, value) {
+        const layer = this.getLayer(id);
+        layer.layout = { ...layer.layout, [name]: value };
+    }
+
+    getLayoutProperty(id, name) {
+        const layer = this.getLayer(id);
+        return layer.layout && layer.layout[name];
+    }
+
+    setFilter(id, filter) {
+        this.getLayer(id).filter = filter;
+    }
+
+    setLayerZoomRange(id, minzoom, maxzoom) {
+        Object.assign(this.getLayer(id), { minzoom, maxzoom });
+    }
+
+    querySourceFeatures(id) {
+        const data = this.sources[id] && this.sources[id].data;
+        return data && data.features ? data.features : [];
+    }
+
+    queryRenderedFeatures() {
+        return [];
+    }
+
+    // Images
+
+    hasImage(name) {
+        return name in this.images;
+    }
+
+    addImage(name, image, options) {
+        this.images[name] = { image, options };
+    }
+
+    removeImage(name) {
+        delete this.images[name];
+    }
+
+    // Events
+
+    on(type, layerOrHandler, handler) {
+        this.handlers.push(typeof layerOrHandler === 'function'
+            ? { type, handler: layerOrHandler }
+            : { type, layer: layerOrHandler, handler });
+        return this;
+    }
+
+    once(type, handler) {
+        this.handlers.push({ type, handler, once: true });
+        return this;
+    }
+
+    off(type, layerOrHandler, handler) {
+        this.handlers = this.handlers.filter(entry => typeof layerOrHandler === 'function'
+            ? !(entry.type === type && entry.handler === layerOrHandler && !entry.layer)
+            : !(entry.type === type && entry.layer === layerOrHandler && entry.handler === handler));
+        return this;
+    }
+
+    fire(type, event = {}) {
+        this.handlers
+            .filter(entry => entry.type === type && !entry.layer)
+            .forEach(entry => {
+                if (entry.once) {
+                    this.handlers = this.handlers.filter(other => other !== entry);
+                }
+                entry.handler(event);
+            });
+    }
+
+    // Camera
+
+    getCenter() {
+        const [lng, lat] = this.camera.center;
+        return { lng, lat, toArray: () => [lng, lat] };
+    }
+
+    getZoom() {
+        return this.camera.zoom;
+    }
+
+    getBearing() {
+        return this.camera.bearing;
+    }
+
+    getPitch() {
+        return this.camera.pitch;
+    }
+
+    jumpTo(options) {
+        Object.keys(this.camera)
+            .filter(key => options[key] !== undefined)
+            .forEach(key => {
+                this.camera[key] = key === 'center' ? [...options.center] : options[key];
+            });
+    }
+
+    flyTo(options) {
+        this.jumpTo(options);
+    }
+
+    easeTo(options) {
+        this.jumpTo(options);
+    }
+
+    fitBounds(bounds) {
+        this.fittedBounds = bounds;
+    }
+
+    getBounds() {
+        return { toArray: () => [[-10, -10], [10, 10]] };
+    }
+
+    // Controls and DOM
+
+    getCanvas() {
+        if (!this.canvas) {
+            this.canvas = { style: {} };
+        }
+        return this.canvas;
+    }
+
+    getContainer() {
+        return {};
+    }
+
+    addControl(control) {
+        if (control.onAdd) {
+            control.onAdd(this);
+        }
+    }
+
+    removeControl(control) {
+        if (control.onRemove) {
+            control.onRemove(this);
+        }
+    }
+}
+
+class LngLatBounds {
+    constructor(southWest, northEast) {
+        this.southWest = [...southWest];
+        this.northEast = [...northEast];
+    }
+
+    extend([lon, lat]) {
+        this.southWest = [Math.min(this.southWest[0], lon), Math.min(this.southWest[1], lat)];
+        this.northEast = [Math.max(this.northEast[0], lon), Math.max(this.northEast[1], lat)];
+        return this;
+    }
+}
+
+class Popup {
+    setLngLat(lngLat) {
+        this.lngLat = lngLat;
+        return this;
+    }
+
+    setHTML(html) {
+        this.html = html;
+        return this;
+    }
+
+    setText(text) {
+        this.text = text;
+        return this;
+    }
+
+    setDOMContent(node) {
+        this.node = node;
+        return this;
+    }
+
+    addTo() {
+        return this;
+    }
+
+    remove() {}
+}
+
+class Marker {
+    setLngLat(lngLat) {
+        this.lngLat = lngLat;
+        return this;
+    }
+
+    setRotation(rotation) {
+        this.rotation = rotation;
+        return this;
+    }
+
+    getElement() {
+        return {};
+    }
+
+    addTo() {
+        return this;
+    }
+
+    remove() {}
+}
+
+// The mapboxgl global the tools expect, for popups, bounds and markers
+export const mapboxgl = { LngLatBounds, Popup, Marker };
@@ -0,0 +1,60 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { MapboxMapTools } from '../src/map-tools.js';
+import { MockMap, mapboxgl } from './helpers/mock-map.mjs';
+
+before(() => {
+    globalThis.mapboxgl = mapboxgl;
+});
+after(() => {
+    delete globalThis.mapboxgl;
+});
+
+const addClusteredPoints = async () => {
+    const map = new MockMap();
+    const tools = new MapboxMapTools(map);
+    const points = Array.from({ length: 5 }, (_, i) => ({ longitude: i, latitude: i }));
+    const { layerId } = await tools.executeTool('add_points_to_map', { points, cluster: true, layerName: 'stations' });
+    return { map, tools, layerId };
+};
+
+test('restyling clustered points by name leaves the cluster layers alone', async () => {
+    const { map, tools, layerId } = await addClusteredPoints();
+    const clusterPaint = { ...map.getLayer(`${layerId}-clusters`).paint };
+
+    for (const name of [layerId, 'stations']) {
+        const result = await tools.executeTool('update_layer_style', { layerId: name, paint: { 'circle-color': '#ff0000' } });
+
+        assert.deepEqual(result.layerIds, [layerId]);
+        assert.equal(map.getLayer(layerId).paint['circle-color'], '#ff0000');
+        assert.deepEqual(map.getLayer(`${layerId}-clusters`).paint, clusterPaint);
+    }
+});
+
+test('cluster layers are restyled when their map layer is named', async () => {
+    const { map, tools, layerId } = await addClusteredPoints();
+
+    const result = await tools.executeTool('update_layer_style', { layerId: `${layerId}-clusters`, paint: { 'circle-color': '#ff0000' } });
+
+    assert.deepEqual(result.layerIds, [`${layerId}-clusters`]);
+    assert.equal(map.getLayer(`${layerId}-clusters`).paint['circle-color'], '#ff0000');
+});
+
+test('hiding clustered points by name hides the cluster layers too', async () => {
+    const { map, tools, layerId } = await addClusteredPoints();
+
+    await tools.executeTool('update_layer_style', { layerId, visible: false });
+
+    for (const id of [layerId, `${layerId}-clusters`, `${layerId}-cluster-count`]) {
+        assert.equal(map.getLayer(id).layout.visibility, 'none');
+    }
+});
+
+test('properties that only apply to cluster layers are rejected for the points layer', async () => {
+    const { tools, layerId } = await addClusteredPoints();
+
+    const result = await tools.executeTool('update_layer_style', { layerId, layout: { 'text-size': 16 } });
+
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /text-size do not apply/);
+});
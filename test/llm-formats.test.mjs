@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { convertTools, toGeminiSchema, parseToolCall, formatToolResult } from '../src/llm-formats.js';
+import { MapboxMapTools } from '../src/map-tools.js';
+
+const tools = [{
+    name: 'style_layer',
+    description: 'Style a layer',
+    input_schema: {
+        type: 'object',
+        properties: {
+            layerId: { type: 'string', description: 'Layer' },
+            opacity: { type: 'number', minimum: 0, maximum: 1, default: 1 },
+            paint: { type: 'object', description: 'Paint properties' },
+            filter: { type: 'array', description: 'Filter expression' },
+            label: { type: ['string', 'null'] }
+        },
+        required: ['layerId'],
+        additionalProperties: false
+    }
+}];
+
+const result = { content: [{ type: 'text', text: 'Styled layer-1' }], isError: false, layerId: 'layer-1' };
+const errorResult = { content: [{ type: 'text', text: 'Error: Unknown layer' }], isError: true, layerId: 'layer-1' };
+
+test('anthropic: tools pass through, tool_use blocks round-trip to tool_result blocks', () => {
+    assert.equal(convertTools(tools, 'anthropic'), tools);
+
+    const call = parseToolCall({ type: 'tool_use', id: 'toolu_1', name: 'style_layer', input: { layerId: 'layer-1' } }, 'anthropic', tools);
+    assert.deepEqual(call, { id: 'toolu_1', name: 'style_layer', args: { layerId: 'layer-1' } });
+
+    assert.deepEqual(formatToolResult(call, result, 'anthropic'), {
+        type: 'tool_result',
+        tool_use_id: 'toolu_1',
+        content: [{ type: 'text', text: 'Styled layer-1\n{"layerId":"layer-1"}' }],
+        is_error: false
+    });
+    assert.equal(formatToolResult(call, errorResult, 'anthropic').content[0].text, 'Error: Unknown layer');
+});
+
+test('openai: function tools, JSON-encoded arguments and tool messages', () => {
+    const [converted] = convertTools(tools, 'openai');
+    assert.deepEqual(converted, { type: 'function', function: { name: 'style_layer', description: 'Style a layer', parameters: tools[0].input_schema } });
+    assert.notEqual(converted.function.parameters, tools[0].input_schema);
+
+    const call = parseToolCall({ id: 'call_1', type: 'function', function: { name: 'style_layer', arguments: '{"layerId":"layer-1"}' } }, 'openai', tools);
+    assert.deepEqual(call, { id: 'call_1', name: 'style_layer', args: { layerId: 'layer-1' } });
+
+    assert.deepEqual(formatToolResult(call, result, 'openai'), {
+        role: 'tool',
+        tool_call_id: 'call_1',
+        content: 'Styled layer-1\n{"layerId":"layer-1"}'
+    });
+});
+
+test('openai: arguments that are not valid JSON are reported as an error', () => {
+    const call = parseToolCall({ id: 'call_1', function: { name: 'style_layer', arguments: '{"layerId":' } }, 'openai', tools);
+
+    assert.equal(call.name, 'style_layer');
+    assert.match(call.error, /^Tool arguments are not valid JSON/);
+});
+
+test('gemini: free-form values become JSON strings and are decoded again', () => {
+    const [{ functionDeclarations: [declaration] }] = convertTools(tools, 'gemini');
+    assert.deepEqual(declaration.parameters, toGeminiSchema(tools[0].input_schema));
+
+    const schema = declaration.parameters;
+    assert.equal(schema.type, 'OBJECT');
+    assert.equal(schema.additionalProperties, undefined);
+    assert.deepEqual(schema.properties.opacity, { type: 'NUMBER', minimum: 0, maximum: 1, description: 'Default: 1.' });
+    assert.deepEqual(schema.properties.paint, { type: 'STRING', description: 'Paint properties. Pass this value as a JSON-encoded string.' });
+    assert.equal(schema.properties.filter.type, 'STRING');
+    assert.deepEqual(schema.properties.label, { type: 'STRING', nullable: true });
+
+    const call = parseToolCall({
+        functionCall: { name: 'style_layer', args: { layerId: 'layer-1', paint: '{"fill-color":"red"}', filter: '["==","kind",1]' } }
+    }, 'gemini', tools);
+    assert.deepEqual(call.args, { layerId: 'layer-1', paint: { 'fill-color': 'red' }, filter: ['==', 'kind', 1] });
+
+    assert.deepEqual(formatToolResult(call, result, 'gemini'), {
+        functionResponse: { name: 'style_layer', response: { output: 'Styled layer-1', layerId: 'layer-1' } }
+    });
+    assert.deepEqual(formatToolResult({ id: 'fc_1', name: 'style_layer' }, errorResult, 'gemini'), {
+        functionResponse: { name: 'style_layer', response: { error: 'Error: Unknown layer' }, id: 'fc_1' }
+    });
+});
+
+test('mcp: inputSchema tools, tools/call params and CallToolResult', () => {
+    assert.deepEqual(convertTools(tools, 'mcp'), [{ name: 'style_layer', description: 'Style a layer', inputSchema: tools[0].input_schema }]);
+
+    const call = parseToolCall({ name: 'style_layer', arguments: { layerId: 'layer-1' } }, 'mcp', tools);
+    assert.deepEqual(call, { name: 'style_layer', args: { layerId: 'layer-1' } });
+
+    assert.deepEqual(formatToolResult(call, result, 'mcp'), {
+        content: result.content,
+        isError: false,
+        structuredContent: { layerId: 'layer-1' }
+    });
+});
+
+test('unknown formats are rejected', () => {
+    assert.throws(() => convertTools(tools, 'cohere'), /Unknown LLM format "cohere"/);
+});
+
+test('a tool call that is not an object is reported as an error', () => {
+    for (const format of ['anthropic', 'openai', 'gemini', 'mcp']) {
+        assert.equal(parseToolCall(null, format, tools).error, 'Tool call must be an object');
+        assert.equal(parseToolCall('style_layer', format, tools).error, 'Tool call must be an object');
+    }
+});
+
+test('executeToolCall returns an error result for a tool call that is not an object', async () => {
+    const mapTools = new MapboxMapTools({ on() {} });
+
+    const message = await mapTools.executeToolCall(undefined, { format: 'openai' });
+
+    assert.deepEqual(message, { role: 'tool', tool_call_id: undefined, content: 'Error: Tool call must be an object' });
+});
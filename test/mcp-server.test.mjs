@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MapboxMcpServer, PostMessageTransport } from '../src/mcp-server.js';
+
+const fakeWindow = () => {
+    const win = { postMessage() {}, addEventListener() {}, removeEventListener() {} };
+    win.window = win;
+    return win;
+};
+
+test('a window target needs a specific targetOrigin', () => {
+    assert.throws(() => new PostMessageTransport(fakeWindow()), /targetOrigin/);
+    assert.throws(() => new PostMessageTransport(fakeWindow(), { targetOrigin: '*' }), /targetOrigin/);
+});
+
+test('window messages are only accepted from the target window at the target origin', () => {
+    const target = fakeWindow();
+    const transport = new PostMessageTransport(target, { targetOrigin: 'https://host.example.com' });
+    const received = [];
+    transport.onmessage = message => received.push(message);
+
+    transport.handleEvent({ source: fakeWindow(), origin: 'https://host.example.com', data: 'other frame' });
+    transport.handleEvent({ source: target, origin: 'https://other.example.com', data: 'other origin' });
+    transport.handleEvent({ source: target, origin: 'https://host.example.com', data: 'target' });
+
+    assert.deepEqual(received, ['target']);
+});
+
+// Server on a transport that records what it sends, with a single echo tool
+const createServer = async () => {
+    const sent = [];
+    const mapTools = {
+        getToolsForLLM: () => [{ name: 'echo', description: 'Echo', inputSchema: { type: 'object' } }],
+        executeTool: async (name, args) => ({ content: [{ type: 'text', text: JSON.stringify(args) }], isError: false })
+    };
+    const server = new MapboxMcpServer(mapTools);
+    await server.connect({ start: async () => {}, send: async message => sent.push(message), close: async () => {} });
+    return { server, sent };
+};
+
+const initialize = async server => {
+    await server.handleMessage({ jsonrpc: '2.0', id: 0, method: 'initialize', params: { protocolVersion: '2025-06-18' } });
+    await server.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' });
+};
+
+test('tools/call is rejected until the client has initialized', async () => {
+    const { server, sent } = await createServer();
+    const call = { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'echo', arguments: { a: 1 } } };
+
+    await server.handleMessage(call);
+    assert.equal(sent[0].error.code, -32600);
+    assert.match(sent[0].error.message, /not initialized/);
+
+    await initialize(server);
+    await server.handleMessage(call);
+    assert.deepEqual(sent[sent.length - 1].result.content, [{ type: 'text', text: '{"a":1}' }]);
+});
+
+test('an empty batch is answered with a single Invalid Request error', async () => {
+    const { server, sent } = await createServer();
+
+    await server.handleMessage([]);
+
+    assert.deepEqual(sent, [{ jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Invalid JSON-RPC 2.0 request: empty batch' } }]);
+});
+
+test('the server does not announce tool list changes', async () => {
+    const { server, sent } = await createServer();
+
+    await initialize(server);
+
+    assert.deepEqual(sent[0].result.capabilities.tools, { listChanged: false });
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { overlayPolygons } from '../src/overlay.js';
+
+const square = (x, y, size) => [[[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]]];
+
+// Planar area of a Polygon or MultiPolygon, holes subtracted
+const areaOf = geometry => {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    const ringArea = ring => Math.abs(ring.slice(1).reduce((sum, [x2, y2], i) => {
+        const [x1, y1] = ring[i];
+        return sum + x1 * y2 - x2 * y1;
+    }, 0)) / 2;
+    return polygons.reduce((total, rings) =>
+        total + rings.reduce((sum, ring, index) => sum + (index === 0 ? 1 : -1) * ringArea(ring), 0), 0);
+};
+
+test('union of overlapping squares is their combined outline', () => {
+    assert.deepEqual(overlayPolygons([square(0, 0, 2)], [square(1, 1, 2)], 'union'), {
+        type: 'Polygon',
+        coordinates: [[[0, 0], [2, 0], [2, 1], [3, 1], [3, 3], [1, 3], [1, 2], [0, 2], [0, 0]]]
+    });
+});
+
+test('intersection of overlapping squares is the overlap', () => {
+    const result = overlayPolygons([square(0, 0, 2)], [square(1, 1, 2)], 'intersection');
+
+    assert.equal(result.type, 'Polygon');
+    assert.equal(areaOf(result), 1);
+    assert.deepEqual(
+        new Set(result.coordinates[0].map(position => position.join())),
+        new Set(['1,1', '2,1', '2,2', '1,2'])
+    );
+});
+
+test('adjacent polygons are merged along their shared border', () => {
+    assert.deepEqual(overlayPolygons([square(0, 0, 1)], [square(1, 0, 1)], 'union'), {
+        type: 'Polygon',
+        coordinates: [[[0, 0], [2, 0], [2, 1], [0, 1], [0, 0]]]
+    });
+    assert.equal(overlayPolygons([square(0, 0, 1)], [square(1, 0, 1)], 'intersection'), null);
+
+    // Partly shared: the border of the smaller square lies on the other's edge
+    const result = overlayPolygons([square(0, 0, 2)], [[[[2, 0.5], [3, 0.5], [3, 1.5], [2, 1.5], [2, 0.5]]]], 'union');
+    assert.equal(result.type, 'Polygon');
+    assert.equal(result.coordinates.length, 1);
+    assert.equal(areaOf(result), 5);
+});
+
+test('polygons without overlap stay apart', () => {
+    assert.deepEqual(overlayPolygons([square(0, 0, 1)], [square(5, 5, 1)], 'union'), {
+        type: 'MultiPolygon',
+        coordinates: [square(0, 0, 1), square(5, 5, 1)]
+    });
+    assert.equal(overlayPolygons([square(0, 0, 1)], [square(5, 5, 1)], 'intersection'), null);
+});
+
+test('holes are kept and exclude what lies inside them', () => {
+    const holed = [[[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]], [[1, 1], [3, 1], [3, 3], [1, 3], [1, 1]]];
+
+    // Inside the hole: nothing in common, and an island in the hole for the union
+    assert.equal(overlayPolygons([holed], [square(1.5, 1.5, 1)], 'intersection'), null);
+    const union = overlayPolygons([holed], [square(1.5, 1.5, 1)], 'union');
+    assert.equal(union.type, 'MultiPolygon');
+    assert.equal(areaOf(union), 13);
+    assert.ok(union.coordinates.some(rings => rings.length === 2));
+
+    // Across the hole's corner: the L-shaped part outside the hole
+    assert.equal(areaOf(overlayPolygons([holed], [square(0.5, 0.5, 1)], 'intersection')), 0.75);
+
+    // Filling the hole removes it
+    assert.deepEqual(overlayPolygons([holed], [square(1, 1, 2)], 'union'), {
+        type: 'Polygon',
+        coordinates: square(0, 0, 4)
+    });
+});
+
+test('polygons with many edges are tested against every band of the inside index', () => {
+    // Ten teeth of width 1 and height 2 on a 19 x 1 base, 39 in area: 42 edges in 6 bands
+    const comb = [[0, 0], [19, 0]];
+    for (let x = 18; x >= 0; x -= 2) {
+        comb.push([x + 1, 1], [x + 1, 3], [x, 3], [x, 1]);
+    }
+    comb.push([0, 0]);
+    const strip = [[[0, 0.5], [20, 0.5], [20, 2.5], [0, 2.5], [0, 0.5]]];
+
+    const intersection = overlayPolygons([[comb]], [strip], 'intersection');
+    assert.equal(intersection.type, 'Polygon');
+    assert.ok(Math.abs(areaOf(intersection) - 24.5) < 1e-9);
+
+    const union = overlayPolygons([[comb]], [strip], 'union');
+    assert.ok(Math.abs(areaOf(union) - (39 + 40 - 24.5)) < 1e-9);
+});
+
+test('unknown operations are rejected', () => {
+    assert.throws(() => overlayPolygons([], [], 'difference'), /Unknown overlay operation "difference"/);
+});
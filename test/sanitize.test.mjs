@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { escapeHtml, sanitizeHtml } from '../src/sanitize.js';
+
+// Browsers provide DOMParser; Node gets jsdom's
+before(() => {
+    globalThis.DOMParser = new JSDOM().window.DOMParser;
+});
+after(() => {
+    delete globalThis.DOMParser;
+});
+
+test('escapeHtml escapes markup characters and renders nothing for null', () => {
+    assert.equal(escapeHtml('<a href="x">Tom & Jerry\'s</a>'), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+    assert.equal(escapeHtml(null), '');
+    assert.equal(escapeHtml(undefined), '');
+    assert.equal(escapeHtml(42), '42');
+});
+
+test('allowed tags are kept without their attributes', () => {
+    assert.equal(
+        sanitizeHtml('<p class="x" onclick="alert(1)">A <b>bold</b>, <strong>strong</strong>, <i>i</i>, <em>em</em> and <u>u</u><br/>line</p>'),
+        '<p>A <b>bold</b>, <strong>strong</strong>, <i>i</i>, <em>em</em> and <u>u</u><br>line</p>'
+    );
+    assert.equal(sanitizeHtml('<ul><li>one</li></ul><ol><li>two</li></ol>'), '<ul><li>one</li></ul><ol><li>two</li></ol>');
+});
+
+test('other elements are unwrapped to their escaped text', () => {
+    assert.equal(sanitizeHtml('<div><span style="color:red">Hi</span> &lt;there&gt;</div>'), 'Hi &lt;there&gt;');
+    assert.equal(sanitizeHtml('<img src="x" onerror="alert(1)">Photo'), 'Photo');
+});
+
+test('scripts, styles and embedded content are removed with their content', () => {
+    assert.equal(
+        sanitizeHtml('Safe<script>alert(1)</script><style>p{}</style><iframe src="https://x"></iframe><svg><a href="https://x">x</a></svg><!-- note -->'),
+        'Safe'
+    );
+});
+
+test('links keep http, https and mailto hrefs and always open in a new tab', () => {
+    assert.equal(
+        sanitizeHtml('<a href=" https://example.com/?a=1&b=2 " target="_self" rel="opener" onclick="x()">Site</a>'),
+        '<a href="https://example.com/?a=1&amp;b=2" target="_blank" rel="noopener noreferrer">Site</a>'
+    );
+    assert.equal(
+        sanitizeHtml('<a href="mailto:info@example.com">Mail</a>'),
+        '<a href="mailto:info@example.com" target="_blank" rel="noopener noreferrer">Mail</a>'
+    );
+});
+
+test('links with javascript:, data: and other hrefs are unwrapped to their text', () => {
+    assert.equal(sanitizeHtml('<a href="javascript:alert(1)">Click</a>'), 'Click');
+    assert.equal(sanitizeHtml('<a href="JavaScript:alert(1)">Click</a>'), 'Click');
+    assert.equal(sanitizeHtml('<a href="data:text/html,<script>alert(1)</script>">Click</a>'), 'Click');
+    assert.equal(sanitizeHtml('<a href="/relative">Click</a>'), 'Click');
+    assert.equal(sanitizeHtml('<a>Click</a>'), 'Click');
+});
+
+test('without a DOMParser the HTML is escaped', () => {
+    const parser = globalThis.DOMParser;
+    delete globalThis.DOMParser;
+    try {
+        assert.equal(sanitizeHtml('<b>bold</b>'), '&lt;b&gt;bold&lt;/b&gt;');
+    } finally {
+        globalThis.DOMParser = parser;
+    }
+    assert.equal(sanitizeHtml(null), '');
+});
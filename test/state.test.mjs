@@ -0,0 +1,103 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { STATE_VERSION, migrateState } from '../src/state.js';
+import { MapboxMapTools } from '../src/map-tools.js';
+import { MockMap, mapboxgl } from './helpers/mock-map.mjs';
+
+// Image loads from a URL or SVG markup with a fixed size, in the next task like a browser
+class MockImage {
+    set src(value) {
+        this.source = value;
+        setTimeout(() => {
+            this.width = this.width || 16;
+            this.height = this.height || 16;
+            this.onload();
+        }, 0);
+    }
+
+    get src() {
+        return this.source;
+    }
+}
+
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+
+before(() => {
+    globalThis.mapboxgl = mapboxgl;
+    globalThis.Image = MockImage;
+});
+after(() => {
+    delete globalThis.mapboxgl;
+    delete globalThis.Image;
+});
+
+test('current snapshots are returned unchanged', () => {
+    const snapshot = { version: STATE_VERSION, entries: [] };
+
+    assert.equal(migrateState(snapshot), snapshot);
+});
+
+test('snapshots without a version are upgraded with the stateMigrations option', () => {
+    const snapshot = { layers: [] };
+    const migrations = {
+        0: old => ({ version: 1, entries: old.layers })
+    };
+
+    assert.deepEqual(migrateState(snapshot, migrations), { version: 1, entries: [] });
+    assert.deepEqual(snapshot, { layers: [] });
+});
+
+test('snapshots that cannot be migrated are rejected', () => {
+    assert.throws(() => migrateState(null), /Snapshot must be an object/);
+    assert.throws(() => migrateState({ version: '1', entries: [] }), /Invalid snapshot version: "1"/);
+    assert.throws(() => migrateState({ version: STATE_VERSION + 1, entries: [] }), /is newer than the supported version/);
+    assert.throws(() => migrateState({ entries: [] }), /No migration available for snapshot version 0/);
+    assert.throws(() => migrateState({ entries: [] }, { 0: snapshot => snapshot }), /must return a version 1 snapshot/);
+    assert.throws(() => migrateState({ version: STATE_VERSION }), /Snapshot has no entries array/);
+});
+
+test('importState reproduces an exported map on a new map instance', async () => {
+    const map = new MockMap();
+    const tools = new MapboxMapTools(map);
+    await tools.executeTool('add_points_to_map', {
+        points: [{ longitude: 13.4, latitude: 52.5, title: 'Berlin', icon: 'logo' }, { longitude: 2.35, latitude: 48.86, title: 'Paris' }]
+    });
+    await tools.executeTool('add_route_to_map', { coordinates: [[13.4, 52.5], [2.35, 48.86]], layerName: 'trip' });
+    await tools.executeTool('update_layer_style', { layerId: 'trip', paint: { 'line-color': '#00ff00' } });
+    await tools.executeTool('register_map_icon', { name: 'logo', svg: '<svg xmlns="http://www.w3.org/2000/svg"></svg>', width: 24, sdf: true });
+    await tools.executeTool('pan_map_to_location', { longitude: 10, latitude: 50, zoom: 5 });
+
+    const snapshot = JSON.parse(JSON.stringify(tools.exportState()));
+    assert.equal(snapshot.version, STATE_VERSION);
+    assert.deepEqual(snapshot.icons, [{ name: 'logo', image: '<svg xmlns="http://www.w3.org/2000/svg"></svg>', width: 24, pixelRatio: 1, sdf: true }]);
+
+    const restoredMap = new MockMap();
+    const restored = new MapboxMapTools(restoredMap);
+    const result = restored.importState(snapshot);
+
+    assert.equal(result.isError, false);
+    assert.deepEqual(result.layerIds, tools.getCustomLayerIds());
+    assert.deepEqual(restoredMap.layers, map.layers);
+    assert.deepEqual(Object.keys(restoredMap.sources), Object.keys(map.sources));
+    assert.deepEqual(restoredMap.camera, map.camera);
+
+    // Icons load in the background and replace the placeholder of points using them
+    restoredMap.fire('styleimagemissing', { id: 'logo' });
+    await nextTask();
+    assert.deepEqual(restoredMap.images.logo.options, { pixelRatio: 1, sdf: true });
+    assert.equal(restoredMap.images.logo.image.width, 24);
+
+    assert.deepEqual(restored.exportState(), snapshot);
+});
+
+test('importState replaces the tool-created layers and clears the undo history', async () => {
+    const tools = new MapboxMapTools(new MockMap());
+    await tools.executeTool('add_polygon_to_map', { coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] });
+    const snapshot = tools.exportState();
+    await tools.executeTool('add_route_to_map', { coordinates: [[0, 0], [1, 1]] });
+
+    tools.importState(snapshot);
+
+    assert.deepEqual(tools.getCustomLayerIds(), snapshot.entries.flatMap(entry => entry.layers.map(layer => layer.id)));
+    assert.equal((await tools.executeTool('undo_last_action', {})).content[0].text, 'Nothing to undo');
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileDataDrivenStyle } from '../src/styling.js';
+import { buildLegendEntry } from '../src/legend.js';
+
+const pointsWith = values => values.map((pop, i) => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [i, 0] },
+    properties: { pop }
+}));
+
+test('a property with one distinct value compiles to a single class without a step', () => {
+    const features = pointsWith([5, 5, 5]);
+    const style = compileDataDrivenStyle(features, { property: 'pop', palette: 'blues', sizeRange: [4, 12] });
+
+    assert.deepEqual(style.classification.breaks, []);
+    assert.equal(style.classification.classes.length, 1);
+    assert.equal(style.classification.classes[0].count, 3);
+    const [{ color, size }] = style.classification.classes;
+    assert.deepEqual(style.color, ['case', ['has', 'pop'], color, '#cccccc']);
+    assert.deepEqual(style.size, ['case', ['has', 'pop'], size, size]);
+
+    const legend = buildLegendEntry({
+        id: 'points-1',
+        layerName: 'points',
+        toolName: 'add_points_to_map',
+        sources: [{ id: 'points-1', spec: { type: 'geojson', data: { type: 'FeatureCollection', features } } }],
+        layers: [{ id: 'points-1', type: 'circle', source: 'points-1', paint: { 'circle-color': style.color } }]
+    });
+    assert.equal(legend.property, 'pop');
+    assert.equal(legend.items[0].label, 'All');
+});
+
+test('several values compile to a step with a stop per break', () => {
+    const style = compileDataDrivenStyle(pointsWith([1, 2, 3, 4, 5, 6]), { property: 'pop', classes: 3 });
+    const [, , step] = style.color;
+
+    assert.equal(step[0], 'step');
+    assert.equal(step.length, 3 + 2 * style.classification.breaks.length);
+});
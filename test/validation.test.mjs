@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MapboxMapTools } from '../src/map-tools.js';
+
+// The validator does not touch the map, which only needs to accept event handlers
+const tools = new MapboxMapTools({ on() {} });
+
+const validate = (schema, value) => {
+    const errors = [];
+    const result = tools.validateAgainstSchema(schema, value, '', errors);
+    return { errors, result };
+};
+
+const schema = {
+    type: 'object',
+    properties: {
+        mode: { type: 'string', enum: ['fast', 'slow'], default: 'fast' },
+        count: { type: 'integer', minimum: 1, maximum: 10 },
+        ratio: { type: 'number', minimum: 0, maximum: 1 },
+        options: {
+            type: 'object',
+            properties: {
+                tags: { type: 'array', items: { type: 'string' }, default: [] }
+            }
+        },
+        stops: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    position: { type: 'array', items: { type: 'number' }, minItems: 2, maxItems: 2 }
+                },
+                required: ['position']
+            }
+        }
+    },
+    required: ['count'],
+    additionalProperties: false
+};
+
+test('defaults are applied to missing properties, also in nested objects', () => {
+    const { errors, result } = validate(schema, { count: 2, options: {} });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(result, { count: 2, mode: 'fast', options: { tags: [] } });
+});
+
+test('defaults are copied, not shared between calls', () => {
+    const first = validate(schema, { count: 1, options: {} }).result;
+    first.options.tags.push('changed');
+
+    assert.deepEqual(validate(schema, { count: 1, options: {} }).result.options.tags, []);
+});
+
+test('defaults do not change the arguments passed in', () => {
+    const args = { count: 3 };
+    validate(schema, args);
+
+    assert.deepEqual(args, { count: 3 });
+});
+
+test('errors in nested objects and arrays report the path of the value', () => {
+    const { errors } = validate(schema, {
+        count: 1,
+        options: { tags: ['a', 2] },
+        stops: [{ position: [1, 2] }, { position: [1] }, {}]
+    });
+
+    assert.deepEqual(errors, [
+        { path: 'options.tags[1]', message: 'expected string, got number' },
+        { path: 'stops[1].position', message: 'must contain at least 2 items, got 1' },
+        { path: 'stops[2].position', message: 'is required' }
+    ]);
+});
+
+test('integer accepts whole numbers only, number accepts any finite number', () => {
+    assert.deepEqual(validate(schema, { count: 2.5 }).errors, [{ path: 'count', message: 'expected integer, got number' }]);
+    assert.deepEqual(validate(schema, { count: 2, ratio: 0.5 }).errors, []);
+    assert.deepEqual(validate(schema, { count: 2, ratio: NaN }).errors, [{ path: 'ratio', message: 'expected number, got NaN' }]);
+});
+
+test('enum, minimum and maximum are checked', () => {
+    const { errors } = validate(schema, { count: 11, ratio: -0.1, mode: 'medium' });
+
+    assert.deepEqual(errors, [
+        { path: 'mode', message: 'must be one of "fast", "slow", got "medium"' },
+        { path: 'count', message: 'must be <= 10, got 11' },
+        { path: 'ratio', message: 'must be >= 0, got -0.1' }
+    ]);
+});
+
+test('required and unknown properties are reported', () => {
+    const { errors } = validate(schema, { color: 'red' });
+
+    assert.deepEqual(errors, [
+        { path: 'count', message: 'is required' },
+        { path: 'color', message: 'is not an allowed property' }
+    ]);
+});
+
+test('validateToolArgs applies the defaults of a tool schema', () => {
+    const validation = tools.validateToolArgs('add_points_to_map', { points: [{ longitude: 0, latitude: 0 }] });
+
+    assert.equal(validation.valid, true);
+    assert.equal(validation.value.cluster, false);
+    assert.equal(validation.value.clusterRadius, 50);
+});
+
+test('invalid tool calls return an error result listing every violation', async () => {
+    const result = await tools.executeTool('add_points_to_map', { points: [{ longitude: 'east', latitude: 0 }], clusterRadius: 0 });
+
+    assert.equal(result.isError, true);
+    assert.deepEqual(result.validationErrors, [
+        { path: 'points[0].longitude', message: 'expected number, got string' },
+        { path: 'clusterRadius', message: 'must be >= 1, got 0' }
+    ]);
+    assert.match(result.content[0].text, /^Error: Invalid arguments for add_points_to_map:\n- points\[0\]\.longitude: expected number, got string\n- clusterRadius: must be >= 1, got 0\n/);
+});